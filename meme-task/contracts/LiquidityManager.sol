@@ -3,22 +3,28 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 
 /**
  * @title LiquidityManager
- * @dev 流动性池管理合约，用于管理Meme代币的流动性添加和移除
+ * @dev 流动性池管理合约，用于管理Meme代币的流动性添加和移除；
+ *      添加流动性得到的LP代币由本合约托管，按用户份额记账，并支持锁定到指定时间，作为可验证的防跑路保障。
+ *      税收自动添加的流动性记在协议头寸（本合约地址）名下，由所有者锁定。
+ *      所有权两步转移，生产环境中所有者应为MemeTimelock，紧急操作同样需要经过时间锁
  * @author Your Name
  */
-contract LiquidityManager is Ownable, ReentrancyGuard {
+contract LiquidityManager is Ownable2Step, ReentrancyGuard {
     using SafeERC20 for IERC20;
     
     // ========== 状态变量 ==========
     
-    // Uniswap V2 Router地址
+    // Uniswap V2 Router地址（默认值）
     address public constant UNISWAP_V2_ROUTER = 0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D;
     
+    // 当前使用的Router，本地测试可改为MockUniswapRouter
+    IUniswapV2Router public uniswapV2Router;
+    
     // WETH地址 (Sepolia测试网)
     address public constant WETH = 0xfFf9976782d46CC05630D1f6eBAb18b2324d6B14;
     
@@ -32,9 +38,15 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
     // 最小流动性添加数量
     uint256 public minimumLiquidity;
     
-    // 流动性提供者信息
+    // 流动性提供者托管的LP份额，协议头寸记在address(this)名下
     mapping(address => uint256) public liquidityProvided;
     
+    // 托管的LP总量，超出部分为未记账的LP（例如直接转入本合约）
+    uint256 public totalLiquidity;
+    
+    // LP锁定截止时间，锁定期内该头寸的全部LP（包括锁定后新增的）都不能移除
+    mapping(address => uint256) public lockedUntil;
+    
     // 自动添加流动性开关
     bool public autoAddLiquidity = true;
     
@@ -47,6 +59,9 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
     event AutoLiquidityToggled(bool enabled);
     event MinimumLiquidityUpdated(uint256 newMinimum);
     event AutoLiquidityShareUpdated(uint256 newShare);
+    event RouterUpdated(address indexed newRouter, address indexed oldRouter);
+    event LiquidityLocked(address indexed account, uint256 lpTokens, uint256 unlockTime);
+    event LockExtended(address indexed account, uint256 oldUnlockTime, uint256 newUnlockTime);
     
     // 修饰符
     modifier validPair() {
@@ -59,15 +74,17 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
     constructor(address _memeToken) Ownable(msg.sender) {
         memeToken = IERC20(_memeToken);
         weth = IERC20(WETH);
+        uniswapV2Router = IUniswapV2Router(UNISWAP_V2_ROUTER);
         minimumLiquidity = 1000 * 10**18; // 1000 tokens minimum
     }
     
     // ========== 核心功能函数 ==========
     
     /**
-     * @dev 设置流动性配对地址
+     * @dev 设置流动性配对地址，已有托管LP时不能更换
      */
     function setLiquidityPair(address _pair) external onlyOwner {
+        require(totalLiquidity == 0, "Liquidity already custodied");
         liquidityPair = _pair;
     }
     
@@ -92,33 +109,37 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
         memeToken.safeTransferFrom(msg.sender, address(this), tokenAmount);
         
         // 授权Router使用代币和ETH
-        memeToken.approve(UNISWAP_V2_ROUTER, tokenAmount);
-        weth.approve(UNISWAP_V2_ROUTER, ethAmount);
+        memeToken.approve(address(uniswapV2Router), tokenAmount);
+        weth.approve(address(uniswapV2Router), ethAmount);
         
-        // 添加流动性到Uniswap
-        (uint amountToken, uint amountETH, uint liquidity) = IUniswapV2Router(UNISWAP_V2_ROUTER)
+        // 添加流动性到Uniswap，LP代币由本合约托管
+        (uint amountToken, uint amountETH, uint liquidity) = uniswapV2Router
             .addLiquidityETH{value: ethAmount}(
                 address(memeToken),
                 tokenAmount,
                 minTokenAmount,
                 minEthAmount,
-                msg.sender,
+                address(this),
                 block.timestamp + 300 // 5分钟超时
             );
         
-        // 更新流动性提供者信息
+        // 记录流动性提供者的份额
         liquidityProvided[msg.sender] += liquidity;
+        totalLiquidity += liquidity;
         
         emit LiquidityAdded(msg.sender, amountToken, amountETH, liquidity);
         
-        // 退还多余的ETH
-        if (msg.value > ethAmount) {
-            payable(msg.sender).transfer(msg.value - ethAmount);
+        // 退还未使用的代币和ETH
+        if (tokenAmount > amountToken) {
+            memeToken.safeTransfer(msg.sender, tokenAmount - amountToken);
+        }
+        if (ethAmount > amountETH) {
+            payable(msg.sender).transfer(ethAmount - amountETH);
         }
     }
     
     /**
-     * @dev 移除流动性
+     * @dev 移除调用者托管的流动性，锁定期内不能移除
      * @param liquidity LP代币数量
      * @param minTokenAmount 最小代币数量（滑点保护）
      * @param minEthAmount 最小ETH数量（滑点保护）
@@ -129,31 +150,33 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
         uint256 minEthAmount
     ) external nonReentrant validPair {
         require(liquidity > 0, "Liquidity must be greater than zero");
+        require(!isLocked(msg.sender), "Liquidity is locked");
         require(liquidityProvided[msg.sender] >= liquidity, "Insufficient liquidity");
         
-        // 将LP代币转移到本合约
-        IERC20(liquidityPair).safeTransferFrom(msg.sender, address(this), liquidity);
-        
-        // 授权Router移除流动性
-        IERC20(liquidityPair).approve(UNISWAP_V2_ROUTER, liquidity);
-        
-        // 移除流动性
-        (uint amountToken, uint amountETH) = IUniswapV2Router(UNISWAP_V2_ROUTER)
-            .removeLiquidityETH(
-                address(memeToken),
-                liquidity,
-                minTokenAmount,
-                minEthAmount,
-                msg.sender,
-                block.timestamp + 300 // 5分钟超时
-            );
-        
-        // 更新流动性提供者信息
+        // 先扣减份额，再调用Router
         liquidityProvided[msg.sender] -= liquidity;
+        totalLiquidity -= liquidity;
+        
+        (uint amountToken, uint amountETH) = _removeLiquidity(liquidity, minTokenAmount, minEthAmount, msg.sender);
         
         emit LiquidityRemoved(msg.sender, liquidity, amountToken, amountETH);
     }
     
+    /**
+     * @dev 锁定调用者托管的全部LP直到unlockTime，锁定期内新增的LP同样被锁定
+     */
+    function lockLiquidity(uint256 unlockTime) external {
+        require(liquidityProvided[msg.sender] > 0, "No liquidity to lock");
+        _lock(msg.sender, unlockTime);
+    }
+    
+    /**
+     * @dev 延长调用者的锁定期
+     */
+    function extendLock(uint256 newUnlockTime) external {
+        _extendLock(msg.sender, newUnlockTime);
+    }
+    
     /**
      * @dev 自动添加流动性（使用税收）
      * @param tokenAmount 代币数量
@@ -171,42 +194,75 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
         require(address(this).balance >= ethAmount, "Insufficient ETH balance");
         
         // 授权Router
-        memeToken.approve(UNISWAP_V2_ROUTER, tokenAmount);
+        memeToken.approve(address(uniswapV2Router), tokenAmount);
         
-        // 添加流动性，LP代币发送给合约所有者
-        IUniswapV2Router(UNISWAP_V2_ROUTER)
+        // 添加流动性，LP代币记入协议头寸，受协议锁定约束
+        (uint amountToken, uint amountETH, uint liquidity) = uniswapV2Router
             .addLiquidityETH{value: ethAmount}(
                 address(memeToken),
                 tokenAmount,
                 0, // 不设置最小值，因为是自动添加
                 0,
-                owner(),
+                address(this),
                 block.timestamp + 300
             );
         
-        emit LiquidityAdded(owner(), tokenAmount, ethAmount, 0);
+        liquidityProvided[address(this)] += liquidity;
+        totalLiquidity += liquidity;
+        
+        emit LiquidityAdded(address(this), amountToken, amountETH, liquidity);
     }
     
     /**
-     * @dev 紧急移除所有流动性（仅限所有者）
+     * @dev 锁定协议头寸的全部LP直到unlockTime，之后自动添加的LP同样被锁定
+     */
+    function lockProtocolLiquidity(uint256 unlockTime) external onlyOwner {
+        _lock(address(this), unlockTime);
+    }
+    
+    /**
+     * @dev 延长协议头寸的锁定期
+     */
+    function extendProtocolLock(uint256 newUnlockTime) external onlyOwner {
+        _extendLock(address(this), newUnlockTime);
+    }
+    
+    /**
+     * @dev 移除协议头寸的流动性，代币和ETH发送给所有者，锁定期内不能移除
+     */
+    function removeProtocolLiquidity(
+        uint256 liquidity,
+        uint256 minTokenAmount,
+        uint256 minEthAmount
+    ) external onlyOwner nonReentrant validPair {
+        require(liquidity > 0, "Liquidity must be greater than zero");
+        require(!isLocked(address(this)), "Liquidity is locked");
+        require(liquidityProvided[address(this)] >= liquidity, "Insufficient liquidity");
+        
+        liquidityProvided[address(this)] -= liquidity;
+        totalLiquidity -= liquidity;
+        
+        (uint amountToken, uint amountETH) = _removeLiquidity(liquidity, minTokenAmount, minEthAmount, owner());
+        
+        emit LiquidityRemoved(address(this), liquidity, amountToken, amountETH);
+    }
+    
+    /**
+     * @dev 紧急移除协议可支配的全部流动性（仅限所有者）：
+     *      未锁定的协议头寸加上未记账的LP，用户托管的LP和锁定中的协议头寸不受影响
      */
     function emergencyRemoveAllLiquidity() external onlyOwner nonReentrant validPair {
-        uint256 liquidityBalance = IERC20(liquidityPair).balanceOf(address(this));
+        uint256 liquidityBalance = unaccountedLiquidity();
+        
+        if (!isLocked(address(this))) {
+            liquidityBalance += liquidityProvided[address(this)];
+            totalLiquidity -= liquidityProvided[address(this)];
+            liquidityProvided[address(this)] = 0;
+        }
         
         if (liquidityBalance > 0) {
-            // 授权Router
-            IERC20(liquidityPair).approve(UNISWAP_V2_ROUTER, liquidityBalance);
-            
-            // 移除所有流动性
-            (uint amountToken, uint amountETH) = IUniswapV2Router(UNISWAP_V2_ROUTER)
-                .removeLiquidityETH(
-                    address(memeToken),
-                    liquidityBalance,
-                    0, // 紧急情况不设置最小值
-                    0,
-                    owner(),
-                    block.timestamp + 300
-                );
+            // 紧急情况不设置最小值
+            (uint amountToken, uint amountETH) = _removeLiquidity(liquidityBalance, 0, 0, owner());
             
             emit LiquidityRemoved(owner(), liquidityBalance, amountToken, amountETH);
         }
@@ -255,10 +311,10 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
     }
     
     /**
-     * @dev 获取用户的LP代币余额
+     * @dev 获取用户的LP代币余额，包括钱包持有的和本合约托管的份额
      */
     function getUserLiquidityBalance(address user) external view validPair returns (uint256) {
-        return IERC20(liquidityPair).balanceOf(user);
+        return IERC20(liquidityPair).balanceOf(user) + liquidityProvided[user];
     }
     
     /**
@@ -268,6 +324,86 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
         return IERC20(liquidityPair).totalSupply();
     }
     
+    /**
+     * @dev 指定头寸当前是否处于锁定期
+     */
+    function isLocked(address account) public view returns (bool) {
+        return block.timestamp < lockedUntil[account];
+    }
+    
+    /**
+     * @dev 指定头寸的锁定状态，协议头寸传入本合约地址
+     */
+    function getLockInfo(address account) external view returns (uint256 lpTokens, uint256 unlockTime, bool locked) {
+        return (liquidityProvided[account], lockedUntil[account], isLocked(account));
+    }
+    
+    /**
+     * @dev 指定头寸当前可以移除的LP数量
+     */
+    function withdrawableLiquidity(address account) external view returns (uint256) {
+        return isLocked(account) ? 0 : liquidityProvided[account];
+    }
+    
+    /**
+     * @dev 协议头寸（税收自动添加）的LP数量
+     */
+    function protocolLiquidity() external view returns (uint256) {
+        return liquidityProvided[address(this)];
+    }
+    
+    /**
+     * @dev 本合约持有但未记入任何头寸的LP数量
+     */
+    function unaccountedLiquidity() public view returns (uint256) {
+        if (liquidityPair == address(0)) {
+            return 0;
+        }
+        uint256 balance = IERC20(liquidityPair).balanceOf(address(this));
+        return balance > totalLiquidity ? balance - totalLiquidity : 0;
+    }
+    
+    // ========== 内部函数 ==========
+    
+    /**
+     * @dev 通过Router销毁本合约托管的LP，代币和ETH发送给to
+     */
+    function _removeLiquidity(
+        uint256 liquidity,
+        uint256 minTokenAmount,
+        uint256 minEthAmount,
+        address to
+    ) internal returns (uint256 amountToken, uint256 amountETH) {
+        IERC20(liquidityPair).approve(address(uniswapV2Router), liquidity);
+        
+        (amountToken, amountETH) = uniswapV2Router.removeLiquidityETH(
+            address(memeToken),
+            liquidity,
+            minTokenAmount,
+            minEthAmount,
+            to,
+            block.timestamp + 300 // 5分钟超时
+        );
+    }
+    
+    function _lock(address account, uint256 unlockTime) internal {
+        require(unlockTime > block.timestamp, "Unlock time must be in the future");
+        require(!isLocked(account), "Liquidity already locked");
+        
+        lockedUntil[account] = unlockTime;
+        
+        emit LiquidityLocked(account, liquidityProvided[account], unlockTime);
+    }
+    
+    function _extendLock(address account, uint256 newUnlockTime) internal {
+        require(isLocked(account), "Liquidity not locked");
+        require(newUnlockTime > lockedUntil[account], "New unlock time must be later");
+        
+        emit LockExtended(account, lockedUntil[account], newUnlockTime);
+        
+        lockedUntil[account] = newUnlockTime;
+    }
+    
     // ========== 管理员功能 ==========
     
     /**
@@ -278,6 +414,20 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
         emit AutoLiquidityToggled(autoAddLiquidity);
     }
     
+    /**
+     * @dev 更新使用的Router，WETH地址随之更新为该Router的WETH。
+     *      移除流动性经由Router完成，已有托管LP（含协议头寸）时不能更换
+     */
+    function updateRouter(address _router) external onlyOwner {
+        require(_router != address(0), "Router cannot be zero address");
+        require(totalLiquidity == 0, "Liquidity already custodied");
+        
+        emit RouterUpdated(_router, address(uniswapV2Router));
+        
+        uniswapV2Router = IUniswapV2Router(_router);
+        weth = IERC20(uniswapV2Router.WETH());
+    }
+    
     /**
      * @dev 更新最小流动性数量
      */
@@ -299,6 +449,11 @@ contract LiquidityManager is Ownable, ReentrancyGuard {
      * @dev 紧急提取代币
      */
     function emergencyWithdrawToken(address _tokenAddress, uint256 amount) external onlyOwner {
+        // 托管的LP只能通过移除流动性取出
+        if (_tokenAddress == liquidityPair) {
+            require(amount <= unaccountedLiquidity(), "Cannot withdraw custodied liquidity");
+        }
+        
         if (_tokenAddress == address(memeToken)) {
             uint256 balance = memeToken.balanceOf(address(this));
             require(amount <= balance, "Amount exceeds balance");
@@ -347,7 +502,7 @@ interface IUniswapV2Router {
         uint deadline
     ) external returns (uint amountToken, uint amountETH);
     
-    function WETH() external pure returns (address);
+    function WETH() external view returns (address);
 }
 
 interface IUniswapV2Pair {
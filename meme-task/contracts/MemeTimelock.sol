@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title MemeTimelock
+ * @dev MemeToken和LiquidityManager的治理时间锁，基于OpenZeppelin TimelockController：
+ *      提案者排队（schedule），延迟到期后执行者执行（execute），取消者可在执行前取消（cancel）。
+ *      无论通过构造函数还是updateDelay设置，实际延迟都不会低于MINIMUM_DELAY
+ */
+contract MemeTimelock is TimelockController {
+    uint256 public constant MINIMUM_DELAY = 1 days;
+
+    constructor(
+        uint256 minDelay,
+        address[] memory proposers,
+        address[] memory executors,
+        address admin
+    ) TimelockController(minDelay, proposers, executors, admin) {
+        require(minDelay >= MINIMUM_DELAY, "Delay below minimum");
+    }
+
+    /**
+     * @dev 排队时使用的最小延迟，不低于MINIMUM_DELAY
+     */
+    function getMinDelay() public view override returns (uint256) {
+        uint256 delay = super.getMinDelay();
+        return delay < MINIMUM_DELAY ? MINIMUM_DELAY : delay;
+    }
+}
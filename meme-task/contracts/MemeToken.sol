@@ -2,19 +2,27 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/access/Ownable2Step.sol";
+import "@openzeppelin/contracts/access/AccessControl.sol";
 import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 
 /**
  * @title MemeToken
- * @dev SHIB风格的Meme代币合约，包含代币税、交易限制和流动性池集成功能
+ * @dev SHIB风格的Meme代币合约，包含代币税、交易限制、持币分红、投票权检查点和流动性池集成功能。
+ *      管理权限按角色拆分：税收管理员、限制管理员、紧急守护者；所有权两步转移，
+ *      DEFAULT_ADMIN_ROLE始终跟随所有者，所有权移交给时间锁后角色授予也需经过时间锁
  * @author Your Name
  */
-contract MemeToken is ERC20, Ownable {
+contract MemeToken is ERC20, Ownable2Step, AccessControl {
     using SafeERC20 for IERC20;
     
     // ========== 状态变量 ==========
     
+    // 角色
+    bytes32 public constant TAX_ADMIN_ROLE = keccak256("TAX_ADMIN_ROLE");                   // 税率、税收钱包、分红等
+    bytes32 public constant LIMITS_ADMIN_ROLE = keccak256("LIMITS_ADMIN_ROLE");             // 交易限制、黑名单、冷却等
+    bytes32 public constant EMERGENCY_GUARDIAN_ROLE = keccak256("EMERGENCY_GUARDIAN_ROLE"); // 只能紧急停止交易
+    
     // 税收相关
     uint256 public constant TAX_DENOMINATOR = 10000; // 税率分母，精度为4位小数
     uint256 public buyTaxRate = 200; // 买入税率 2% (200/10000)
@@ -46,20 +54,90 @@ contract MemeToken is ERC20, Ownable {
     mapping(address => bool) public isExcludedFromTax;
     mapping(address => bool) public isExcludedFromLimit;
     
+    // 反机器人相关（均不作用于isExcludedFromLimit地址）
+    uint256 public constant MAX_COOLDOWN = 1 hours;
+    uint256 public constant MAX_BLACKLIST_RENOUNCE_DELAY = 7 days;
+    mapping(address => bool) public isBlacklisted;
+    uint256 public blacklistPowersExpireAt = type(uint256).max; // 之后不能再把地址加入黑名单
+    uint256 public buyCooldown;   // 同一地址两次买入之间的最小间隔（秒），0表示关闭
+    uint256 public sellCooldown;  // 同一地址两次卖出之间的最小间隔（秒），0表示关闭
+    bool public sandwichProtectionEnabled = false; // 禁止同一区块内对任一交易对先买后卖
+    mapping(address => uint256) public lastBuyTime;
+    mapping(address => uint256) public lastSellTime;
+    mapping(address => uint256) public lastBuyBlock;
+    
     // 流动性池相关
-    address public uniswapV2Pair;
+    address public uniswapV2Pair; // 主交易对，同时登记在automatedMarketMakerPairs中
+    mapping(address => bool) public automatedMarketMakerPairs; // 所有交易对，转入视为卖出、转出视为买入
     address public constant UNISWAP_V2_ROUTER = 0x7a250d5630B4cF539739dF2C5dAcb4c659F2488D;
+    IUniswapV2Router02 public uniswapV2Router; // 自动换取流动性使用的路由，默认为主网Router，本地测试可改为MockUniswapRouter
     
     // 交易状态控制
     bool public tradingEnabled = false;
     bool private inSwapAndLiquify;
     
+    // 上线防狙击相关（默认关闭，需在enableTrading之前配置）
+    uint256 public launchBlock;          // 首次开启交易的区块，0表示尚未上线
+    uint256 public deadBlocks;           // 上线后的死区块数，期间买入按deadBlockTaxRate征税
+    uint256 public deadBlockTaxRate;     // 死区块买入税率
+    uint256 public launchTaxRate;        // 死区块结束时的上线税率，之后线性衰减到常规税率
+    uint256 public launchTaxDecayBlocks; // 上线税率衰减到常规税率所需的区块数
+    
+    // 自动换取流动性相关
+    bool public swapAndLiquifyEnabled = false; // 关闭时流动性税直接发送给liquidityWallet
+    uint256 public swapTokensAtAmount;         // 合约累积的代币达到该数量时，在卖出交易中触发
+    
+    // 持币分红（反射）相关
+    // 未排除地址的余额以反射份额_rOwned记录，balanceOf = _rOwned / rate；
+    // 排除地址（配对、合约、黑洞等）的余额以实际数量_tOwned记录，不参与分红。
+    // rate = _rTotal / (_tTotal - _tExcludedTotal)，分红时只需减少分母以外的供应量，复杂度O(1)
+    address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+    uint256 public reflectionShare = 0;  // 税收中用于持币分红的比例，默认关闭
+    uint256 public totalReflected;       // 累计分红数量
+    mapping(address => bool) public isExcludedFromReward;
+    mapping(address => uint256) private _rOwned;
+    mapping(address => uint256) private _tOwned;
+    uint256 private _rTotal;          // 所有未排除地址的反射份额之和
+    uint256 private _tTotal;          // 总供应量
+    uint256 private _tExcludedTotal;  // 所有排除地址的余额之和
+    
+    // 投票权检查点（按区块号），接口与ERC20Votes的查询部分一致，持有者需委托（可委托给自己）后才有投票权。
+    // 分红会同时改变所有持有者的余额，因此受托人的票数按反射份额和实际数量分别记录，
+    // 查询时用同一区块的反射比率换算：votes = rVotes / rate + tVotes
+    struct Checkpoint {
+        uint48 fromBlock;
+        uint256 value;
+    }
+    mapping(address => address) private _delegates;
+    mapping(address => Checkpoint[]) private _rVoteCheckpoints;
+    mapping(address => Checkpoint[]) private _tVoteCheckpoints;
+    Checkpoint[] private _rateCheckpoints;
+    Checkpoint[] private _totalSupplyCheckpoints;
+    
     // 事件声明
     event TaxUpdated(uint256 newBuyTax, uint256 newSellTax);
     event TaxWalletsUpdated(address marketing, address liquidity, address dev);
     event TransactionLimitsUpdated(uint256 maxTx, uint256 maxWallet, uint256 maxDailySell, uint256 maxDailyBuys);
     event TradingStatusChanged(bool enabled);
     event TaxesDistributed(uint256 marketingAmount, uint256 liquidityAmount, uint256 devAmount);
+    event SwapAndLiquify(uint256 tokensSwapped, uint256 ethReceived, uint256 tokensIntoLiquidity);
+    event LiquifyLeftoverSent(address indexed wallet, uint256 ethAmount);
+    event SwapAndLiquifyEnabledUpdated(bool enabled);
+    event SwapTokensAtAmountUpdated(uint256 newAmount);
+    event UniswapV2RouterUpdated(address indexed newRouter, address indexed oldRouter);
+    event AutomatedMarketMakerPairAdded(address indexed pair);
+    event AutomatedMarketMakerPairRemoved(address indexed pair);
+    event Launched(uint256 launchBlock);
+    event LaunchScheduleUpdated(uint256 deadBlocks, uint256 deadBlockTaxRate, uint256 launchTaxRate, uint256 launchTaxDecayBlocks);
+    event ReflectionShareUpdated(uint256 newShare);
+    event ReflectionDistributed(uint256 amount);
+    event ExcludedFromReward(address indexed account);
+    event DelegateChanged(address indexed delegator, address indexed fromDelegate, address indexed toDelegate);
+    event IncludedInReward(address indexed account);
+    event BlacklistUpdated(address indexed account, bool blacklisted);
+    event BlacklistPowersRenounced(uint256 expiresAt);
+    event CooldownsUpdated(uint256 buyCooldown, uint256 sellCooldown);
+    event SandwichProtectionUpdated(bool enabled);
     
     // 修饰符
     modifier lockTheSwap() {
@@ -78,6 +156,15 @@ contract MemeToken is ERC20, Ownable {
         address _liquidityWallet,
         address _devWallet
     ) ERC20(_name, _symbol) Ownable(msg.sender) {
+        // 部署者初始持有所有角色，DEFAULT_ADMIN_ROLE已在Ownable构造时授予
+        _grantRole(TAX_ADMIN_ROLE, msg.sender);
+        _grantRole(LIMITS_ADMIN_ROLE, msg.sender);
+        _grantRole(EMERGENCY_GUARDIAN_ROLE, msg.sender);
+        
+        // 合约和黑洞地址不参与分红，需在铸造前设置
+        _excludeFromReward(address(this));
+        _excludeFromReward(DEAD_ADDRESS);
+        
         // 铸造总供应量给部署者
         _mint(msg.sender, _totalSupply * 10**decimals());
         
@@ -92,6 +179,10 @@ contract MemeToken is ERC20, Ownable {
         maxDailySellAmount = _totalSupply * 10**decimals() / 100;   // 1%
         maxDailyBuys = 10; // 每日最多10次买入
         
+        // 设置自动换取流动性
+        uniswapV2Router = IUniswapV2Router02(UNISWAP_V2_ROUTER);
+        swapTokensAtAmount = _totalSupply * 10**decimals() / 2000; // 0.05%
+        
         // 设置免税地址
         isExcludedFromTax[msg.sender] = true;
         isExcludedFromTax[address(this)] = true;
@@ -115,23 +206,338 @@ contract MemeToken is ERC20, Ownable {
      */
     function enableTrading() external onlyOwner {
         tradingEnabled = true;
+        
+        // 只有首次开启交易时记录上线区块，紧急停止后重新开启不会重置上线税
+        if (launchBlock == 0) {
+            launchBlock = block.number;
+            emit Launched(block.number);
+        }
+        
         emit TradingStatusChanged(true);
     }
     
     /**
      * @dev 关闭交易功能（紧急情况下使用）
      */
-    function emergencyStop() external onlyOwner {
+    function emergencyStop() external onlyRole(EMERGENCY_GUARDIAN_ROLE) {
         tradingEnabled = false;
         emit TradingStatusChanged(false);
     }
     
     /**
-     * @dev 设置Uniswap V2配对地址
+     * @dev 设置Uniswap V2主配对地址，替换原主配对在交易对登记表中的位置
      */
     function setUniswapPair(address _pair) external onlyOwner {
+        address oldPair = uniswapV2Pair;
+        if (oldPair != address(0) && oldPair != _pair && automatedMarketMakerPairs[oldPair]) {
+            _setAutomatedMarketMakerPair(oldPair, false);
+        }
+        
         uniswapV2Pair = _pair;
-        isExcludedFromLimit[_pair] = true;
+        
+        // 免限制状态只由交易对登记表维护
+        if (_pair != address(0) && !automatedMarketMakerPairs[_pair]) {
+            _setAutomatedMarketMakerPair(_pair, true);
+        }
+    }
+    
+    /**
+     * @dev 登记额外的交易对（例如其他DEX或MEME/USDC），税收和限制逻辑对所有登记的交易对生效
+     */
+    function addAutomatedMarketMakerPair(address pair) external onlyOwner {
+        require(pair != address(0), "Pair cannot be zero address");
+        require(!automatedMarketMakerPairs[pair], "Pair already registered");
+        _setAutomatedMarketMakerPair(pair, true);
+    }
+    
+    /**
+     * @dev 移除登记的交易对，主配对需通过setUniswapPair替换
+     */
+    function removeAutomatedMarketMakerPair(address pair) external onlyOwner {
+        require(automatedMarketMakerPairs[pair], "Pair not registered");
+        require(pair != uniswapV2Pair, "Cannot remove main pair");
+        _setAutomatedMarketMakerPair(pair, false);
+    }
+    
+    function _setAutomatedMarketMakerPair(address pair, bool value) internal {
+        automatedMarketMakerPairs[pair] = value;
+        
+        if (value) {
+            isExcludedFromLimit[pair] = true;
+            
+            // 配对的储备量必须与余额一致，不能参与分红
+            if (!isExcludedFromReward[pair]) {
+                _excludeFromReward(pair);
+            }
+            emit AutomatedMarketMakerPairAdded(pair);
+        } else {
+            // 移除的配对不再免受交易限制
+            isExcludedFromLimit[pair] = false;
+            emit AutomatedMarketMakerPairRemoved(pair);
+        }
+    }
+    
+    // ========== ERC20余额（反射） ==========
+    
+    /**
+     * @dev 总供应量，分红不会改变总供应量
+     */
+    function totalSupply() public view override returns (uint256) {
+        return _tTotal;
+    }
+    
+    /**
+     * @dev 排除地址返回实际余额，其他地址按当前比率把反射份额换算为余额
+     */
+    function balanceOf(address account) public view override returns (uint256) {
+        if (isExcludedFromReward[account]) {
+            return _tOwned[account];
+        }
+        return _rOwned[account] / _getRate();
+    }
+    
+    /**
+     * @dev 重写OpenZeppelin的余额更新，改为在反射份额/实际余额上记账
+     */
+    function _update(address from, address to, uint256 value) internal override {
+        uint256 rate;
+        if (from == address(0)) {
+            _tTotal += value;
+            rate = _getRate(); // 首次铸造时按初始比率
+        } else {
+            rate = _getRate();
+            uint256 fromBalance = balanceOf(from);
+            if (fromBalance < value) {
+                revert ERC20InsufficientBalance(from, fromBalance, value);
+            }
+            _decreaseBalance(from, value, rate);
+        }
+        
+        if (to == address(0)) {
+            _tTotal -= value;
+        } else {
+            _increaseBalance(to, value, rate);
+        }
+        
+        _writeSupplyCheckpoints();
+        
+        emit Transfer(from, to, value);
+    }
+    
+    /**
+     * @dev 当前的反射比率；没有参与分红的持有者时使用初始比率
+     */
+    function _getRate() internal view returns (uint256) {
+        uint256 tSupply = _tTotal - _tExcludedTotal;
+        if (_rTotal == 0 || tSupply == 0) {
+            return type(uint256).max / _tTotal;
+        }
+        return _rTotal / tSupply;
+    }
+    
+    function _increaseBalance(address account, uint256 tAmount, uint256 rate) internal {
+        if (isExcludedFromReward[account]) {
+            _tOwned[account] += tAmount;
+            _tExcludedTotal += tAmount;
+            _moveVotingUnits(address(0), _delegates[account], 0, tAmount);
+        } else {
+            uint256 rAmount = tAmount * rate;
+            _rOwned[account] += rAmount;
+            _rTotal += rAmount;
+            _moveVotingUnits(address(0), _delegates[account], rAmount, 0);
+        }
+    }
+    
+    function _decreaseBalance(address account, uint256 tAmount, uint256 rate) internal {
+        if (isExcludedFromReward[account]) {
+            _tOwned[account] -= tAmount;
+            _tExcludedTotal -= tAmount;
+            _moveVotingUnits(_delegates[account], address(0), 0, tAmount);
+        } else {
+            uint256 rAmount = tAmount * rate;
+            _rOwned[account] -= rAmount;
+            _rTotal -= rAmount;
+            _moveVotingUnits(_delegates[account], address(0), rAmount, 0);
+        }
+    }
+    
+    /**
+     * @dev 从from扣除tAmount并按持有比例分给所有参与分红的地址：
+     *      扣除后总供应量不变，未排除地址的供应量增加（或反射份额减少），比率随之下降
+     */
+    function _reflect(address from, uint256 tAmount) internal {
+        _decreaseBalance(from, tAmount, _getRate());
+        totalReflected += tAmount;
+        _writeSupplyCheckpoints();
+        emit ReflectionDistributed(tAmount);
+    }
+    
+    function _excludeFromReward(address account) internal {
+        uint256 rAmount = _rOwned[account];
+        if (rAmount > 0) {
+            uint256 tAmount = rAmount / _getRate();
+            _rTotal -= rAmount;
+            _rOwned[account] = 0;
+            _tOwned[account] = tAmount;
+            _tExcludedTotal += tAmount;
+            // 受托人的票数从反射份额转为实际数量
+            _moveVotingUnits(_delegates[account], address(0), rAmount, 0);
+            _moveVotingUnits(address(0), _delegates[account], 0, tAmount);
+            _writeSupplyCheckpoints();
+        }
+        isExcludedFromReward[account] = true;
+        emit ExcludedFromReward(account);
+    }
+    
+    function _includeInReward(address account) internal {
+        uint256 rate = _getRate(); // 必须在修改排除供应量之前读取
+        uint256 tAmount = _tOwned[account];
+        _tOwned[account] = 0;
+        _tExcludedTotal -= tAmount;
+        _moveVotingUnits(_delegates[account], address(0), 0, tAmount);
+        isExcludedFromReward[account] = false;
+        if (tAmount > 0) {
+            _increaseBalance(account, tAmount, rate);
+            _writeSupplyCheckpoints();
+        }
+        emit IncludedInReward(account);
+    }
+    
+    // ========== 投票权（检查点） ==========
+    
+    /**
+     * @dev ERC-6372时钟，检查点按区块号记录
+     */
+    function clock() public view returns (uint48) {
+        return uint48(block.number);
+    }
+    
+    function CLOCK_MODE() public pure returns (string memory) {
+        return "mode=blocknumber&from=default";
+    }
+    
+    /**
+     * @dev 把调用者的全部投票权委托给delegatee，委托给自己即可获得自己的投票权
+     */
+    function delegate(address delegatee) external {
+        address account = msg.sender;
+        address oldDelegate = _delegates[account];
+        _delegates[account] = delegatee;
+        
+        emit DelegateChanged(account, oldDelegate, delegatee);
+        
+        _moveVotingUnits(oldDelegate, delegatee, _rOwned[account], _tOwned[account]);
+    }
+    
+    /**
+     * @dev 账户当前的受托人
+     */
+    function delegates(address account) external view returns (address) {
+        return _delegates[account];
+    }
+    
+    /**
+     * @dev 受托人当前的投票权，包含委托人累积的分红
+     */
+    function getVotes(address account) external view returns (uint256) {
+        return _votesFrom(
+            _latestCheckpoint(_rVoteCheckpoints[account]),
+            _latestCheckpoint(_tVoteCheckpoints[account]),
+            _getRate()
+        );
+    }
+    
+    /**
+     * @dev 受托人在过去某个区块结束时的投票权
+     */
+    function getPastVotes(address account, uint256 timepoint) external view returns (uint256) {
+        require(timepoint < clock(), "Future lookup");
+        return _votesFrom(
+            _checkpointAt(_rVoteCheckpoints[account], timepoint),
+            _checkpointAt(_tVoteCheckpoints[account], timepoint),
+            _checkpointAt(_rateCheckpoints, timepoint)
+        );
+    }
+    
+    /**
+     * @dev 过去某个区块结束时的总供应量
+     */
+    function getPastTotalSupply(uint256 timepoint) external view returns (uint256) {
+        require(timepoint < clock(), "Future lookup");
+        return _checkpointAt(_totalSupplyCheckpoints, timepoint);
+    }
+    
+    function _votesFrom(uint256 rVotes, uint256 tVotes, uint256 rate) internal pure returns (uint256) {
+        return rVotes == 0 ? tVotes : rVotes / rate + tVotes;
+    }
+    
+    /**
+     * @dev 在受托人之间移动投票单位，address(0)表示铸造/销毁一侧；
+     *      本合约中转的税收没有受托人，不会产生投票权
+     */
+    function _moveVotingUnits(address from, address to, uint256 rAmount, uint256 tAmount) internal {
+        if (from == to) {
+            return;
+        }
+        if (from != address(0)) {
+            if (rAmount > 0) {
+                _writeCheckpoint(_rVoteCheckpoints[from], _latestCheckpoint(_rVoteCheckpoints[from]) - rAmount);
+            }
+            if (tAmount > 0) {
+                _writeCheckpoint(_tVoteCheckpoints[from], _latestCheckpoint(_tVoteCheckpoints[from]) - tAmount);
+            }
+        }
+        if (to != address(0)) {
+            if (rAmount > 0) {
+                _writeCheckpoint(_rVoteCheckpoints[to], _latestCheckpoint(_rVoteCheckpoints[to]) + rAmount);
+            }
+            if (tAmount > 0) {
+                _writeCheckpoint(_tVoteCheckpoints[to], _latestCheckpoint(_tVoteCheckpoints[to]) + tAmount);
+            }
+        }
+    }
+    
+    /**
+     * @dev 记录当前区块结束时的反射比率和总供应量
+     */
+    function _writeSupplyCheckpoints() internal {
+        _writeCheckpoint(_rateCheckpoints, _getRate());
+        _writeCheckpoint(_totalSupplyCheckpoints, _tTotal);
+    }
+    
+    /**
+     * @dev 同一区块内多次写入只保留最后一次
+     */
+    function _writeCheckpoint(Checkpoint[] storage checkpoints, uint256 value) internal {
+        uint256 length = checkpoints.length;
+        uint48 currentBlock = clock();
+        if (length > 0 && checkpoints[length - 1].fromBlock == currentBlock) {
+            checkpoints[length - 1].value = value;
+        } else if (length == 0 || checkpoints[length - 1].value != value) {
+            checkpoints.push(Checkpoint(currentBlock, value));
+        }
+    }
+    
+    function _latestCheckpoint(Checkpoint[] storage checkpoints) internal view returns (uint256) {
+        uint256 length = checkpoints.length;
+        return length == 0 ? 0 : checkpoints[length - 1].value;
+    }
+    
+    /**
+     * @dev 二分查找timepoint时生效的检查点（fromBlock不大于timepoint的最后一个）
+     */
+    function _checkpointAt(Checkpoint[] storage checkpoints, uint256 timepoint) internal view returns (uint256) {
+        uint256 low = 0;
+        uint256 high = checkpoints.length;
+        while (low < high) {
+            uint256 mid = (low + high) / 2;
+            if (checkpoints[mid].fromBlock > timepoint) {
+                high = mid;
+            } else {
+                low = mid + 1;
+            }
+        }
+        return high == 0 ? 0 : checkpoints[high - 1].value;
     }
     
     /**
@@ -166,14 +572,27 @@ contract MemeToken is ERC20, Ownable {
             require(from == owner() || to == owner(), "Trading is not enabled yet");
         }
         
+        // 检查是否为购买或出售交易
+        bool isSell = _isSellTransaction(from, to);
+        bool isBuy = _isBuyTransaction(from, to);
+        
+        // 检查黑名单、冷却时间和夹子交易
+        _checkAntiBot(from, to, isBuy, isSell);
+        
         // 检查交易限制
         if (!isExcludedFromLimit[from] && !isExcludedFromLimit[to]) {
             _checkTransactionLimits(from, to, amount);
         }
         
-        // 检查是否为购买或出售交易
-        bool isSell = _isSellTransaction(from, to);
-        bool isBuy = _isBuyTransaction(from, to);
+        // 卖出时，合约累积的流动性税达到阈值则先换成流动性
+        if (
+            isSell &&
+            swapAndLiquifyEnabled &&
+            !inSwapAndLiquify &&
+            balanceOf(address(this)) >= swapTokensAtAmount
+        ) {
+            _swapAndLiquify(swapTokensAtAmount);
+        }
         
         // 重置每日限制（如果需要）
         if (isSell) {
@@ -232,6 +651,33 @@ contract MemeToken is ERC20, Ownable {
         }
     }
     
+    /**
+     * @dev 检查黑名单、买卖冷却时间和同区块先买后卖（夹子）交易；
+     *      按交易双方分别判断，isExcludedFromLimit地址不受影响
+     */
+    function _checkAntiBot(address from, address to, bool isBuy, bool isSell) internal {
+        require(!isBlacklisted[from] || isExcludedFromLimit[from], "Sender is blacklisted");
+        require(!isBlacklisted[to] || isExcludedFromLimit[to], "Recipient is blacklisted");
+        
+        if (isBuy && !isExcludedFromLimit[to]) {
+            if (buyCooldown > 0) {
+                require(block.timestamp >= lastBuyTime[to] + buyCooldown, "Buy cooldown active");
+            }
+            lastBuyTime[to] = block.timestamp;
+            lastBuyBlock[to] = block.number;
+        }
+        
+        if (isSell && !isExcludedFromLimit[from]) {
+            if (sellCooldown > 0) {
+                require(block.timestamp >= lastSellTime[from] + sellCooldown, "Sell cooldown active");
+            }
+            if (sandwichProtectionEnabled) {
+                require(lastBuyBlock[from] != block.number, "Same block buy and sell detected");
+            }
+            lastSellTime[from] = block.timestamp;
+        }
+    }
+    
     /**
      * @dev 重置每日卖出限制
      */
@@ -256,32 +702,84 @@ contract MemeToken is ERC20, Ownable {
      * @dev 判断是否为卖出交易
      */
     function _isSellTransaction(address from, address to) internal view returns (bool) {
-        return from != owner() && to == uniswapV2Pair;
+        return from != owner() && automatedMarketMakerPairs[to];
     }
     
     /**
      * @dev 判断是否为买入交易
      */
     function _isBuyTransaction(address from, address to) internal view returns (bool) {
-        return from == uniswapV2Pair && to != owner();
+        return automatedMarketMakerPairs[from] && to != owner();
     }
     
     /**
      * @dev 计算税收
      */
     function _calculateTax(uint256 amount, bool isSell) internal view returns (uint256) {
-        uint256 taxRate = isSell ? sellTaxRate : buyTaxRate;
+        (uint256 buyTax, uint256 sellTax) = getTaxRatesAt(block.number);
+        uint256 taxRate = isSell ? sellTax : buyTax;
         return (amount * taxRate) / TAX_DENOMINATOR;
     }
     
+    /**
+     * @dev 指定区块的实际买入/卖出税率：
+     *      死区块内买入按deadBlockTaxRate、卖出按launchTaxRate征税；
+     *      之后在launchTaxDecayBlocks个区块内从launchTaxRate线性衰减到常规税率
+     */
+    function getTaxRatesAt(uint256 blockNumber) public view returns (uint256 buyTax, uint256 sellTax) {
+        buyTax = buyTaxRate;
+        sellTax = sellTaxRate;
+        
+        if (launchBlock == 0 || blockNumber < launchBlock) {
+            return (buyTax, sellTax);
+        }
+        
+        uint256 decayStart = launchBlock + deadBlocks;
+        if (blockNumber < decayStart) {
+            return (
+                deadBlockTaxRate > buyTax ? deadBlockTaxRate : buyTax,
+                launchTaxRate > sellTax ? launchTaxRate : sellTax
+            );
+        }
+        
+        uint256 elapsed = blockNumber - decayStart;
+        if (elapsed < launchTaxDecayBlocks) {
+            uint256 remaining = launchTaxDecayBlocks - elapsed;
+            buyTax = _decayedTaxRate(buyTax, remaining);
+            sellTax = _decayedTaxRate(sellTax, remaining);
+        }
+    }
+    
+    /**
+     * @dev 当前区块的实际买入/卖出税率，供前端展示
+     */
+    function getCurrentTaxRates() external view returns (uint256 buyTax, uint256 sellTax) {
+        return getTaxRatesAt(block.number);
+    }
+    
+    /**
+     * @dev 按剩余衰减区块数在上线税率和常规税率之间线性插值
+     */
+    function _decayedTaxRate(uint256 baseRate, uint256 remainingBlocks) internal view returns (uint256) {
+        if (launchTaxRate <= baseRate) {
+            return baseRate;
+        }
+        return baseRate + (launchTaxRate - baseRate) * remainingBlocks / launchTaxDecayBlocks;
+    }
+    
     /**
      * @dev 处理税收转账
      */
     function _handleTaxTransfer(address from, uint256 amount, uint256 taxAmount) internal lockTheSwap {
-        uint256 remainingAmount = amount - taxAmount;
+        // 先把全部金额（含税）转入合约，扣税后的部分由_afterTaxTransfer转给接收方
+        _superTransfer(from, address(this), amount);
         
-        // 先执行正常转账部分
-        _superTransfer(from, address(this), remainingAmount);
+        // 分红部分直接反射给持有者，没有参与分红的持有者时全部按钱包分配
+        uint256 reflectionAmount = (taxAmount * reflectionShare) / TAX_DENOMINATOR;
+        if (reflectionAmount > 0 && _tTotal > _tExcludedTotal) {
+            _reflect(address(this), reflectionAmount);
+            taxAmount -= reflectionAmount;
+        }
         
         // 分配税收
         _distributeTaxes(taxAmount);
@@ -298,7 +796,7 @@ contract MemeToken is ERC20, Ownable {
      * @dev 执行标准转账（无税）
      */
     function _superTransfer(address from, address to, uint256 amount) internal {
-        super._update(from, to, amount);
+        _update(from, to, amount);
     }
     
     /**
@@ -313,7 +811,8 @@ contract MemeToken is ERC20, Ownable {
             _superTransfer(address(this), marketingWallet, marketingAmount);
         }
         
-        if (liquidityAmount > 0) {
+        // 开启自动换取流动性时，流动性税留在合约中，等待_swapAndLiquify
+        if (liquidityAmount > 0 && !swapAndLiquifyEnabled) {
             _superTransfer(address(this), liquidityWallet, liquidityAmount);
         }
         
@@ -324,12 +823,73 @@ contract MemeToken is ERC20, Ownable {
         emit TaxesDistributed(marketingAmount, liquidityAmount, devAmount);
     }
     
+    /**
+     * @dev 把一半代币通过路由换成ETH，再与另一半一起添加流动性，LP代币发送给liquidityWallet。
+     *      路由退还的ETH和兑换的零头一并转给liquidityWallet，合约不留存ETH
+     */
+    function _swapAndLiquify(uint256 tokenAmount) internal lockTheSwap {
+        uint256 half = tokenAmount / 2;
+        uint256 otherHalf = tokenAmount - half;
+        
+        uint256 initialBalance = address(this).balance;
+        _swapTokensForEth(half);
+        uint256 ethReceived = address(this).balance - initialBalance;
+        
+        _addLiquidity(otherHalf, ethReceived);
+        
+        emit SwapAndLiquify(half, ethReceived, otherHalf);
+        
+        // liquidityWallet拒收时ETH留在合约中，下次换取流动性时再转，不影响卖出交易
+        uint256 leftover = address(this).balance;
+        if (leftover > 0) {
+            (bool success, ) = payable(liquidityWallet).call{value: leftover}("");
+            if (success) {
+                emit LiquifyLeftoverSent(liquidityWallet, leftover);
+            }
+        }
+    }
+    
+    /**
+     * @dev 通过路由把代币换成ETH
+     */
+    function _swapTokensForEth(uint256 tokenAmount) internal {
+        address[] memory path = new address[](2);
+        path[0] = address(this);
+        path[1] = uniswapV2Router.WETH();
+        
+        _approve(address(this), address(uniswapV2Router), tokenAmount);
+        
+        uniswapV2Router.swapExactTokensForETHSupportingFeeOnTransferTokens(
+            tokenAmount,
+            0, // 接受任意数量的ETH
+            path,
+            address(this),
+            block.timestamp
+        );
+    }
+    
+    /**
+     * @dev 通过路由添加代币/ETH流动性
+     */
+    function _addLiquidity(uint256 tokenAmount, uint256 ethAmount) internal {
+        _approve(address(this), address(uniswapV2Router), tokenAmount);
+        
+        uniswapV2Router.addLiquidityETH{value: ethAmount}(
+            address(this),
+            tokenAmount,
+            0, // 自动添加，不设置滑点保护
+            0,
+            liquidityWallet,
+            block.timestamp
+        );
+    }
+    
     // ========== 管理员功能 ==========
     
     /**
      * @dev 更新税率
      */
-    function updateTaxRates(uint256 _buyTaxRate, uint256 _sellTaxRate) external onlyOwner {
+    function updateTaxRates(uint256 _buyTaxRate, uint256 _sellTaxRate) external onlyRole(TAX_ADMIN_ROLE) {
         require(_buyTaxRate <= 1000, "Buy tax rate cannot exceed 10%");
         require(_sellTaxRate <= 1000, "Sell tax rate cannot exceed 10%");
         
@@ -339,6 +899,28 @@ contract MemeToken is ERC20, Ownable {
         emit TaxUpdated(_buyTaxRate, _sellTaxRate);
     }
     
+    /**
+     * @dev 配置上线防狙击计划，只能在首次开启交易之前调用
+     */
+    function updateLaunchSchedule(
+        uint256 _deadBlocks,
+        uint256 _deadBlockTaxRate,
+        uint256 _launchTaxRate,
+        uint256 _launchTaxDecayBlocks
+    ) external onlyRole(TAX_ADMIN_ROLE) {
+        require(launchBlock == 0, "Already launched");
+        require(_deadBlocks <= 20, "Dead blocks cannot exceed 20");
+        require(_deadBlockTaxRate <= 9900, "Dead block tax rate cannot exceed 99%");
+        require(_launchTaxRate <= 5000, "Launch tax rate cannot exceed 50%");
+        
+        deadBlocks = _deadBlocks;
+        deadBlockTaxRate = _deadBlockTaxRate;
+        launchTaxRate = _launchTaxRate;
+        launchTaxDecayBlocks = _launchTaxDecayBlocks;
+        
+        emit LaunchScheduleUpdated(_deadBlocks, _deadBlockTaxRate, _launchTaxRate, _launchTaxDecayBlocks);
+    }
+    
     /**
      * @dev 更新税收钱包地址
      */
@@ -346,7 +928,7 @@ contract MemeToken is ERC20, Ownable {
         address _marketingWallet,
         address _liquidityWallet,
         address _devWallet
-    ) external onlyOwner {
+    ) external onlyRole(TAX_ADMIN_ROLE) {
         require(_marketingWallet != address(0), "Marketing wallet cannot be zero address");
         require(_liquidityWallet != address(0), "Liquidity wallet cannot be zero address");
         require(_devWallet != address(0), "Dev wallet cannot be zero address");
@@ -365,7 +947,7 @@ contract MemeToken is ERC20, Ownable {
         uint256 _marketingShare,
         uint256 _liquidityShare,
         uint256 _devShare
-    ) external onlyOwner {
+    ) external onlyRole(TAX_ADMIN_ROLE) {
         require(_marketingShare + _liquidityShare + _devShare == 10000, "Total share must be 100%");
         
         marketingShare = _marketingShare;
@@ -373,6 +955,33 @@ contract MemeToken is ERC20, Ownable {
         devShare = _devShare;
     }
     
+    /**
+     * @dev 更新税收中用于持币分红的比例，剩余部分仍按营销/流动性/开发比例分配
+     */
+    function updateReflectionShare(uint256 _reflectionShare) external onlyRole(TAX_ADMIN_ROLE) {
+        require(_reflectionShare <= 5000, "Reflection share cannot exceed 50%");
+        
+        reflectionShare = _reflectionShare;
+        
+        emit ReflectionShareUpdated(_reflectionShare);
+    }
+    
+    /**
+     * @dev 排除地址参与分红，余额按当前比率固定下来
+     */
+    function excludeFromReward(address account) external onlyRole(TAX_ADMIN_ROLE) {
+        require(!isExcludedFromReward[account], "Account is already excluded");
+        _excludeFromReward(account);
+    }
+    
+    /**
+     * @dev 恢复地址参与分红，余额保持不变
+     */
+    function includeInReward(address account) external onlyRole(TAX_ADMIN_ROLE) {
+        require(isExcludedFromReward[account], "Account is not excluded");
+        _includeInReward(account);
+    }
+    
     /**
      * @dev 更新交易限制
      */
@@ -381,7 +990,7 @@ contract MemeToken is ERC20, Ownable {
         uint256 _maxWalletBalance,
         uint256 _maxDailySellAmount,
         uint256 _maxDailyBuys
-    ) external onlyOwner {
+    ) external onlyRole(LIMITS_ADMIN_ROLE) {
         maxTransactionAmount = _maxTransactionAmount;
         maxWalletBalance = _maxWalletBalance;
         maxDailySellAmount = _maxDailySellAmount;
@@ -390,17 +999,103 @@ contract MemeToken is ERC20, Ownable {
         emit TransactionLimitsUpdated(_maxTransactionAmount, _maxWalletBalance, _maxDailySellAmount, _maxDailyBuys);
     }
     
+    /**
+     * @dev 开启或关闭自动换取流动性
+     */
+    function setSwapAndLiquifyEnabled(bool enabled) external onlyRole(TAX_ADMIN_ROLE) {
+        swapAndLiquifyEnabled = enabled;
+        emit SwapAndLiquifyEnabledUpdated(enabled);
+    }
+    
+    /**
+     * @dev 更新触发自动换取流动性的代币数量阈值
+     */
+    function updateSwapTokensAtAmount(uint256 _swapTokensAtAmount) external onlyRole(TAX_ADMIN_ROLE) {
+        require(_swapTokensAtAmount > 0, "Swap amount must be greater than zero");
+        require(_swapTokensAtAmount <= totalSupply() / 100, "Swap amount cannot exceed 1% of supply");
+        
+        swapTokensAtAmount = _swapTokensAtAmount;
+        
+        emit SwapTokensAtAmountUpdated(_swapTokensAtAmount);
+    }
+    
+    /**
+     * @dev 更新自动换取流动性使用的路由，原路由不再免受交易限制
+     */
+    function updateUniswapV2Router(address _router) external onlyOwner {
+        require(_router != address(0), "Router cannot be zero address");
+        
+        address oldRouter = address(uniswapV2Router);
+        emit UniswapV2RouterUpdated(_router, oldRouter);
+        
+        if (oldRouter != _router) {
+            isExcludedFromLimit[oldRouter] = false;
+        }
+        uniswapV2Router = IUniswapV2Router02(_router);
+        isExcludedFromLimit[_router] = true;
+    }
+    
+    /**
+     * @dev 设置黑名单；放弃黑名单权限后只能移出，不能再加入
+     */
+    function setBlacklisted(address account, bool blacklisted) external onlyRole(LIMITS_ADMIN_ROLE) {
+        if (blacklisted) {
+            require(block.timestamp < blacklistPowersExpireAt, "Blacklist powers renounced");
+            require(!automatedMarketMakerPairs[account] && account != address(this), "Cannot blacklist pair or contract");
+        }
+        
+        isBlacklisted[account] = blacklisted;
+        
+        emit BlacklistUpdated(account, blacklisted);
+    }
+    
+    /**
+     * @dev 在delay秒后永久放弃加入黑名单的权限，社区可通过blacklistPowersExpireAt验证；
+     *      只能提前、不能推迟已设置的截止时间
+     */
+    function renounceBlacklistPowers(uint256 delay) external onlyRole(LIMITS_ADMIN_ROLE) {
+        require(delay <= MAX_BLACKLIST_RENOUNCE_DELAY, "Delay cannot exceed 7 days");
+        
+        uint256 expiresAt = block.timestamp + delay;
+        require(expiresAt < blacklistPowersExpireAt, "Cannot extend blacklist powers");
+        
+        blacklistPowersExpireAt = expiresAt;
+        
+        emit BlacklistPowersRenounced(expiresAt);
+    }
+    
+    /**
+     * @dev 更新买入/卖出冷却时间（秒）
+     */
+    function updateCooldowns(uint256 _buyCooldown, uint256 _sellCooldown) external onlyRole(LIMITS_ADMIN_ROLE) {
+        require(_buyCooldown <= MAX_COOLDOWN, "Buy cooldown cannot exceed 1 hour");
+        require(_sellCooldown <= MAX_COOLDOWN, "Sell cooldown cannot exceed 1 hour");
+        
+        buyCooldown = _buyCooldown;
+        sellCooldown = _sellCooldown;
+        
+        emit CooldownsUpdated(_buyCooldown, _sellCooldown);
+    }
+    
+    /**
+     * @dev 开启或关闭同区块先买后卖检测
+     */
+    function setSandwichProtectionEnabled(bool enabled) external onlyRole(LIMITS_ADMIN_ROLE) {
+        sandwichProtectionEnabled = enabled;
+        emit SandwichProtectionUpdated(enabled);
+    }
+    
     /**
      * @dev 设置免税地址
      */
-    function setExcludedFromTax(address account, bool excluded) external onlyOwner {
+    function setExcludedFromTax(address account, bool excluded) external onlyRole(TAX_ADMIN_ROLE) {
         isExcludedFromTax[account] = excluded;
     }
     
     /**
      * @dev 设置免限制地址
      */
-    function setExcludedFromLimit(address account, bool excluded) external onlyOwner {
+    function setExcludedFromLimit(address account, bool excluded) external onlyRole(LIMITS_ADMIN_ROLE) {
         isExcludedFromLimit[account] = excluded;
     }
     
@@ -435,16 +1130,64 @@ contract MemeToken is ERC20, Ownable {
     /**
      * @dev 手动分配税收（如果自动分配失败）
      */
-    function manualDistributeTaxes() external onlyOwner {
+    function manualDistributeTaxes() external onlyRole(TAX_ADMIN_ROLE) {
         uint256 contractBalance = balanceOf(address(this));
         if (contractBalance > 0) {
             _distributeTaxes(contractBalance);
         }
     }
     
+    // ========== 所有权 ==========
+    
+    /**
+     * @dev 所有权变更（acceptOwnership、renounceOwnership）时，DEFAULT_ADMIN_ROLE随之转移
+     */
+    function _transferOwnership(address newOwner) internal override {
+        address oldOwner = owner();
+        super._transferOwnership(newOwner);
+        
+        if (oldOwner != address(0)) {
+            _revokeRole(DEFAULT_ADMIN_ROLE, oldOwner);
+        }
+        if (newOwner != address(0)) {
+            _grantRole(DEFAULT_ADMIN_ROLE, newOwner);
+        }
+    }
+    
+    /**
+     * @dev DEFAULT_ADMIN_ROLE只能属于当前所有者，防止其他管理员在所有权移交时间锁后绕过时间锁授予角色
+     */
+    function _grantRole(bytes32 role, address account) internal override returns (bool) {
+        require(role != DEFAULT_ADMIN_ROLE || account == owner(), "Admin role is reserved for owner");
+        return super._grantRole(role, account);
+    }
+    
     // ========== 接收以太币功能（如果需要） ==========
     
     receive() external payable {}
     
     fallback() external payable {}
-}
\ No newline at end of file
+}
+
+// ========== 接口定义 =========
+
+interface IUniswapV2Router02 {
+    function WETH() external view returns (address);
+    
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external;
+    
+    function addLiquidityETH(
+        address token,
+        uint amountTokenDesired,
+        uint amountTokenMin,
+        uint amountETHMin,
+        address to,
+        uint deadline
+    ) external payable returns (uint amountToken, uint amountETH, uint liquidity);
+}
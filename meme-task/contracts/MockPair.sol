@@ -2,26 +2,133 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/utils/math/Math.sol";
 
+/**
+ * @dev 本地测试用的恒定乘积交易对，按Uniswap V2的规则实现mint/burn/swap：
+ *      储备按实际余额记录，swap收取0.3%手续费，首次添加流动性永久锁定MINIMUM_LIQUIDITY
+ */
 contract MockPair is ERC20 {
+    uint public constant MINIMUM_LIQUIDITY = 10**3;
+    address private constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
+    address public factory;
     address public token0;
     address public token1;
     uint112 public reserve0;
     uint112 public reserve1;
-    
-    constructor() ERC20("LP Token", "LP") {}
-    
-    function setReserves(uint _reserve0, uint _reserve1) external {
-        reserve0 = uint112(_reserve0);
-        reserve1 = uint112(_reserve1);
-    }
-    
-    function getReserves() external view returns (uint112 _reserve0, uint112 _reserve1, uint32 _blockTimestampLast) {
-        return (reserve0, reserve1, uint32(block.timestamp));
-    }
-    
-    function setTokens(address _token0, address _token1) external {
+    uint32 private blockTimestampLast;
+
+    uint private unlocked = 1;
+
+    event Mint(address indexed sender, uint amount0, uint amount1);
+    event Burn(address indexed sender, uint amount0, uint amount1, address indexed to);
+    event Swap(address indexed sender, uint amount0In, uint amount1In, uint amount0Out, uint amount1Out, address indexed to);
+    event Sync(uint112 reserve0, uint112 reserve1);
+
+    modifier lock() {
+        require(unlocked == 1, "MockPair: LOCKED");
+        unlocked = 0;
+        _;
+        unlocked = 1;
+    }
+
+    constructor(address _token0, address _token1) ERC20("LP Token", "LP") {
+        factory = msg.sender;
         token0 = _token0;
         token1 = _token1;
     }
-}
\ No newline at end of file
+
+    function getReserves() public view returns (uint112 _reserve0, uint112 _reserve1, uint32 _blockTimestampLast) {
+        return (reserve0, reserve1, blockTimestampLast);
+    }
+
+    /**
+     * @dev 按转入的代币数量铸造LP，调用前需先把两种代币转入本合约
+     */
+    function mint(address to) external lock returns (uint liquidity) {
+        (uint112 _reserve0, uint112 _reserve1,) = getReserves();
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+        uint amount0 = balance0 - _reserve0;
+        uint amount1 = balance1 - _reserve1;
+
+        uint _totalSupply = totalSupply();
+        if (_totalSupply == 0) {
+            liquidity = Math.sqrt(amount0 * amount1) - MINIMUM_LIQUIDITY;
+            _mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
+        } else {
+            liquidity = Math.min(amount0 * _totalSupply / _reserve0, amount1 * _totalSupply / _reserve1);
+        }
+        require(liquidity > 0, "MockPair: INSUFFICIENT_LIQUIDITY_MINTED");
+        _mint(to, liquidity);
+
+        _update(balance0, balance1);
+        emit Mint(msg.sender, amount0, amount1);
+    }
+
+    /**
+     * @dev 销毁转入本合约的LP，按份额把两种代币发送给to
+     */
+    function burn(address to) external lock returns (uint amount0, uint amount1) {
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+        uint liquidity = balanceOf(address(this));
+
+        uint _totalSupply = totalSupply();
+        amount0 = liquidity * balance0 / _totalSupply;
+        amount1 = liquidity * balance1 / _totalSupply;
+        require(amount0 > 0 && amount1 > 0, "MockPair: INSUFFICIENT_LIQUIDITY_BURNED");
+        _burn(address(this), liquidity);
+        IERC20(token0).transfer(to, amount0);
+        IERC20(token1).transfer(to, amount1);
+
+        _update(IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)));
+        emit Burn(msg.sender, amount0, amount1, to);
+    }
+
+    /**
+     * @dev 先转出指定数量，再按扣除0.3%手续费后的余额校验恒定乘积，调用前需先把输入代币转入本合约
+     */
+    function swap(uint amount0Out, uint amount1Out, address to) external lock {
+        require(amount0Out > 0 || amount1Out > 0, "MockPair: INSUFFICIENT_OUTPUT_AMOUNT");
+        (uint112 _reserve0, uint112 _reserve1,) = getReserves();
+        require(amount0Out < _reserve0 && amount1Out < _reserve1, "MockPair: INSUFFICIENT_LIQUIDITY");
+        require(to != token0 && to != token1, "MockPair: INVALID_TO");
+
+        if (amount0Out > 0) IERC20(token0).transfer(to, amount0Out);
+        if (amount1Out > 0) IERC20(token1).transfer(to, amount1Out);
+        uint balance0 = IERC20(token0).balanceOf(address(this));
+        uint balance1 = IERC20(token1).balanceOf(address(this));
+
+        uint amount0In = balance0 > _reserve0 - amount0Out ? balance0 - (_reserve0 - amount0Out) : 0;
+        uint amount1In = balance1 > _reserve1 - amount1Out ? balance1 - (_reserve1 - amount1Out) : 0;
+        require(amount0In > 0 || amount1In > 0, "MockPair: INSUFFICIENT_INPUT_AMOUNT");
+
+        uint balance0Adjusted = balance0 * 1000 - amount0In * 3;
+        uint balance1Adjusted = balance1 * 1000 - amount1In * 3;
+        require(
+            balance0Adjusted * balance1Adjusted >= uint(_reserve0) * _reserve1 * 1000**2,
+            "MockPair: K"
+        );
+
+        _update(balance0, balance1);
+        emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out, to);
+    }
+
+    /**
+     * @dev 把储备同步为当前余额，例如代币被直接转入交易对之后
+     */
+    function sync() external lock {
+        _update(IERC20(token0).balanceOf(address(this)), IERC20(token1).balanceOf(address(this)));
+    }
+
+    function _update(uint balance0, uint balance1) private {
+        require(balance0 <= type(uint112).max && balance1 <= type(uint112).max, "MockPair: OVERFLOW");
+        reserve0 = uint112(balance0);
+        reserve1 = uint112(balance1);
+        blockTimestampLast = uint32(block.timestamp);
+        emit Sync(reserve0, reserve1);
+    }
+}
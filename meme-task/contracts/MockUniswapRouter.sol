@@ -1,13 +1,36 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./MockPair.sol";
+import "./MockUniswapFactory.sol";
+import "./MockWETH.sol";
+
+/**
+ * @dev 本地测试用的Uniswap V2路由，基于MockUniswapFactory创建的恒定乘积交易对，
+ *      代币和ETH真实转移，ETH通过MockWETH包装。部署时自动创建自己的工厂
+ */
 contract MockUniswapRouter {
-    address public WETH;
-    
+    address public immutable factory;
+    address public immutable WETH;
+
+    modifier ensure(uint deadline) {
+        require(deadline >= block.timestamp, "MockUniswapRouter: EXPIRED");
+        _;
+    }
+
     constructor(address _weth) {
         WETH = _weth;
+        factory = address(new MockUniswapFactory());
+    }
+
+    // 只接收WETH解包的ETH
+    receive() external payable {
+        require(msg.sender == WETH, "MockUniswapRouter: ETH_NOT_FROM_WETH");
     }
-    
+
+    // ========== 流动性 ==========
+
     function addLiquidityETH(
         address token,
         uint amountTokenDesired,
@@ -15,11 +38,21 @@ contract MockUniswapRouter {
         uint amountETHMin,
         address to,
         uint deadline
-    ) external payable returns (uint amountToken, uint amountETH, uint liquidity) {
-        // Mock实现 - 简单返回输入值
-        return (amountTokenDesired, msg.value, amountTokenDesired);
+    ) external payable ensure(deadline) returns (uint amountToken, uint amountETH, uint liquidity) {
+        (amountToken, amountETH) = _addLiquidity(token, WETH, amountTokenDesired, msg.value, amountTokenMin, amountETHMin);
+        address pair = MockUniswapFactory(factory).getPair(token, WETH);
+
+        IERC20(token).transferFrom(msg.sender, pair, amountToken);
+        MockWETH(payable(WETH)).deposit{value: amountETH}();
+        IERC20(WETH).transfer(pair, amountETH);
+        liquidity = MockPair(pair).mint(to);
+
+        // 退还未使用的ETH
+        if (msg.value > amountETH) {
+            payable(msg.sender).transfer(msg.value - amountETH);
+        }
     }
-    
+
     function removeLiquidityETH(
         address token,
         uint liquidity,
@@ -27,12 +60,133 @@ contract MockUniswapRouter {
         uint amountETHMin,
         address to,
         uint deadline
-    ) external returns (uint amountToken, uint amountETH) {
-        // Mock实现 - 返回流动性值
-        return (liquidity, liquidity);
+    ) external ensure(deadline) returns (uint amountToken, uint amountETH) {
+        address pair = pairFor(token, WETH);
+        IERC20(pair).transferFrom(msg.sender, pair, liquidity);
+        (uint amount0, uint amount1) = MockPair(pair).burn(address(this));
+        (amountToken, amountETH) = token == MockPair(pair).token0() ? (amount0, amount1) : (amount1, amount0);
+        require(amountToken >= amountTokenMin, "MockUniswapRouter: INSUFFICIENT_A_AMOUNT");
+        require(amountETH >= amountETHMin, "MockUniswapRouter: INSUFFICIENT_B_AMOUNT");
+
+        IERC20(token).transfer(to, amountToken);
+        MockWETH(payable(WETH)).withdraw(amountETH);
+        payable(to).transfer(amountETH);
+    }
+
+    // ========== 兑换（支持转账收费代币） ==========
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint amountIn,
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external ensure(deadline) {
+        require(path[path.length - 1] == WETH, "MockUniswapRouter: INVALID_PATH");
+        IERC20(path[0]).transferFrom(msg.sender, pairFor(path[0], path[1]), amountIn);
+        _swapSupportingFeeOnTransferTokens(path, address(this));
+
+        uint amountOut = IERC20(WETH).balanceOf(address(this));
+        require(amountOut >= amountOutMin, "MockUniswapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+        MockWETH(payable(WETH)).withdraw(amountOut);
+        payable(to).transfer(amountOut);
     }
-    
+
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint amountOutMin,
+        address[] calldata path,
+        address to,
+        uint deadline
+    ) external payable ensure(deadline) {
+        require(path[0] == WETH, "MockUniswapRouter: INVALID_PATH");
+        MockWETH(payable(WETH)).deposit{value: msg.value}();
+        IERC20(WETH).transfer(pairFor(path[0], path[1]), msg.value);
+
+        // 按接收方实际到账数量校验，扣除的转账税不计入
+        IERC20 tokenOut = IERC20(path[path.length - 1]);
+        uint balanceBefore = tokenOut.balanceOf(to);
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(tokenOut.balanceOf(to) - balanceBefore >= amountOutMin, "MockUniswapRouter: INSUFFICIENT_OUTPUT_AMOUNT");
+    }
+
+    // ========== 查询函数 ==========
+
+    function pairFor(address tokenA, address tokenB) public view returns (address pair) {
+        pair = MockUniswapFactory(factory).getPair(tokenA, tokenB);
+        require(pair != address(0), "MockUniswapRouter: PAIR_NOT_FOUND");
+    }
+
+    function getReserves(address tokenA, address tokenB) public view returns (uint reserveA, uint reserveB) {
+        MockPair pair = MockPair(pairFor(tokenA, tokenB));
+        (uint reserve0, uint reserve1,) = pair.getReserves();
+        (reserveA, reserveB) = tokenA == pair.token0() ? (reserve0, reserve1) : (reserve1, reserve0);
+    }
+
+    function quote(uint amountA, uint reserveA, uint reserveB) public pure returns (uint amountB) {
+        require(amountA > 0, "MockUniswapRouter: INSUFFICIENT_AMOUNT");
+        require(reserveA > 0 && reserveB > 0, "MockUniswapRouter: INSUFFICIENT_LIQUIDITY");
+        amountB = amountA * reserveB / reserveA;
+    }
+
+    function getAmountOut(uint amountIn, uint reserveIn, uint reserveOut) public pure returns (uint amountOut) {
+        require(amountIn > 0, "MockUniswapRouter: INSUFFICIENT_INPUT_AMOUNT");
+        require(reserveIn > 0 && reserveOut > 0, "MockUniswapRouter: INSUFFICIENT_LIQUIDITY");
+        uint amountInWithFee = amountIn * 997;
+        amountOut = amountInWithFee * reserveOut / (reserveIn * 1000 + amountInWithFee);
+    }
+
     function getWETH() external view returns (address) {
         return WETH;
     }
-}
\ No newline at end of file
+
+    // ========== 内部函数 ==========
+
+    /**
+     * @dev 交易对不存在时先创建；按当前储备比例计算实际投入数量
+     */
+    function _addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint amountADesired,
+        uint amountBDesired,
+        uint amountAMin,
+        uint amountBMin
+    ) internal returns (uint amountA, uint amountB) {
+        if (MockUniswapFactory(factory).getPair(tokenA, tokenB) == address(0)) {
+            MockUniswapFactory(factory).createPair(tokenA, tokenB);
+        }
+        (uint reserveA, uint reserveB) = getReserves(tokenA, tokenB);
+        if (reserveA == 0 && reserveB == 0) {
+            return (amountADesired, amountBDesired);
+        }
+
+        uint amountBOptimal = quote(amountADesired, reserveA, reserveB);
+        if (amountBOptimal <= amountBDesired) {
+            require(amountBOptimal >= amountBMin, "MockUniswapRouter: INSUFFICIENT_B_AMOUNT");
+            return (amountADesired, amountBOptimal);
+        }
+        uint amountAOptimal = quote(amountBDesired, reserveB, reserveA);
+        require(amountAOptimal >= amountAMin, "MockUniswapRouter: INSUFFICIENT_A_AMOUNT");
+        return (amountAOptimal, amountBDesired);
+    }
+
+    /**
+     * @dev 按交易对实际收到的输入数量逐跳兑换，兼容转账时扣税的代币
+     */
+    function _swapSupportingFeeOnTransferTokens(address[] memory path, address _to) internal {
+        for (uint i; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            MockPair pair = MockPair(pairFor(input, output));
+
+            (uint reserveInput, uint reserveOutput) = getReserves(input, output);
+            uint amountInput = IERC20(input).balanceOf(address(pair)) - reserveInput;
+            uint amountOutput = getAmountOut(amountInput, reserveInput, reserveOutput);
+
+            (uint amount0Out, uint amount1Out) = input == pair.token0()
+                ? (uint(0), amountOutput)
+                : (amountOutput, uint(0));
+            address to = i < path.length - 2 ? pairFor(output, path[i + 2]) : _to;
+            pair.swap(amount0Out, amount1Out, to);
+        }
+    }
+}
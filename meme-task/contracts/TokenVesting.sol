@@ -0,0 +1,244 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+/**
+ * @title TokenVesting
+ * @dev 团队、营销、开发等份额的锁仓合约。未释放的代币始终托管在本合约中，
+ *      受益人只能通过claim领取已释放部分，因此锁定的代币无法从受益人钱包转出。
+ *      每个锁仓计划支持悬崖期 + 线性释放，可在创建时指定是否可撤销
+ */
+contract TokenVesting is Ownable, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // ========== 状态变量 ==========
+
+    struct VestingSchedule {
+        address beneficiary;   // 受益人
+        uint256 totalAmount;   // 锁仓总量
+        uint256 released;      // 已领取数量
+        uint64 start;          // 开始释放时间
+        uint64 cliffDuration;  // 悬崖期（秒），期间不释放
+        uint64 duration;       // 从start起算的总释放时长（秒）
+        bool revocable;        // 是否可撤销
+        bool revoked;          // 是否已撤销
+    }
+
+    // 锁仓代币
+    IERC20 public immutable token;
+
+    // 所有锁仓计划，下标即计划ID
+    VestingSchedule[] public vestingSchedules;
+
+    // 受益人 => 计划ID列表
+    mapping(address => uint256[]) private beneficiarySchedules;
+
+    // 所有计划中尚未领取且未被撤销的代币总量
+    uint256 public totalLocked;
+
+    // 事件声明
+    event VestingScheduleCreated(
+        uint256 indexed scheduleId,
+        address indexed beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliffDuration,
+        uint64 duration,
+        bool revocable
+    );
+    event TokensClaimed(uint256 indexed scheduleId, address indexed beneficiary, uint256 amount);
+    event VestingScheduleRevoked(uint256 indexed scheduleId, address indexed beneficiary, uint256 vestedPaid, uint256 unvestedReturned);
+
+    // 修饰符
+    modifier validSchedule(uint256 scheduleId) {
+        require(scheduleId < vestingSchedules.length, "Schedule does not exist");
+        _;
+    }
+
+    // ========== 构造函数 ==========
+
+    constructor(address _token) Ownable(msg.sender) {
+        require(_token != address(0), "Token cannot be zero address");
+        token = IERC20(_token);
+    }
+
+    // ========== 核心功能函数 ==========
+
+    /**
+     * @dev 创建锁仓计划，代币从调用者转入本合约
+     * @param beneficiary 受益人
+     * @param amount 锁仓总量
+     * @param start 开始释放时间
+     * @param cliffDuration 悬崖期（秒）
+     * @param duration 总释放时长（秒），必须不小于悬崖期
+     * @param revocable 是否可撤销
+     */
+    function createVestingSchedule(
+        address beneficiary,
+        uint256 amount,
+        uint64 start,
+        uint64 cliffDuration,
+        uint64 duration,
+        bool revocable
+    ) external onlyOwner returns (uint256 scheduleId) {
+        require(beneficiary != address(0), "Beneficiary cannot be zero address");
+        require(amount > 0, "Amount must be greater than zero");
+        require(duration > 0, "Duration must be greater than zero");
+        require(cliffDuration <= duration, "Cliff exceeds duration");
+
+        token.safeTransferFrom(msg.sender, address(this), amount);
+
+        scheduleId = vestingSchedules.length;
+        vestingSchedules.push(VestingSchedule({
+            beneficiary: beneficiary,
+            totalAmount: amount,
+            released: 0,
+            start: start,
+            cliffDuration: cliffDuration,
+            duration: duration,
+            revocable: revocable,
+            revoked: false
+        }));
+        beneficiarySchedules[beneficiary].push(scheduleId);
+        totalLocked += amount;
+
+        emit VestingScheduleCreated(scheduleId, beneficiary, amount, start, cliffDuration, duration, revocable);
+    }
+
+    /**
+     * @dev 受益人领取指定计划中已释放的代币
+     */
+    function claim(uint256 scheduleId) public nonReentrant validSchedule(scheduleId) {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        require(msg.sender == schedule.beneficiary, "Only beneficiary can claim");
+
+        uint256 amount = _claimableAmount(schedule);
+        require(amount > 0, "Nothing to claim");
+
+        schedule.released += amount;
+        totalLocked -= amount;
+        token.safeTransfer(schedule.beneficiary, amount);
+
+        emit TokensClaimed(scheduleId, schedule.beneficiary, amount);
+    }
+
+    /**
+     * @dev 受益人一次性领取名下所有计划中已释放的代币
+     */
+    function claimAll() external {
+        uint256[] storage ids = beneficiarySchedules[msg.sender];
+        bool claimed;
+
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (_claimableAmount(vestingSchedules[ids[i]]) > 0) {
+                claim(ids[i]);
+                claimed = true;
+            }
+        }
+
+        require(claimed, "Nothing to claim");
+    }
+
+    /**
+     * @dev 撤销可撤销的计划：已释放未领取的部分发给受益人，未释放的部分退回所有者
+     */
+    function revoke(uint256 scheduleId) external onlyOwner nonReentrant validSchedule(scheduleId) {
+        VestingSchedule storage schedule = vestingSchedules[scheduleId];
+        require(schedule.revocable, "Schedule is not revocable");
+        require(!schedule.revoked, "Schedule already revoked");
+
+        uint256 vested = _vestedAmount(schedule);
+        uint256 vestedPaid = vested - schedule.released;
+        uint256 unvested = schedule.totalAmount - vested;
+
+        schedule.revoked = true;
+        schedule.released = vested;
+        totalLocked -= vestedPaid + unvested;
+
+        if (vestedPaid > 0) {
+            token.safeTransfer(schedule.beneficiary, vestedPaid);
+        }
+        if (unvested > 0) {
+            token.safeTransfer(owner(), unvested);
+        }
+
+        emit VestingScheduleRevoked(scheduleId, schedule.beneficiary, vestedPaid, unvested);
+    }
+
+    // ========== 查询函数 ==========
+
+    /**
+     * @dev 指定计划截至当前已释放（含已领取）的数量
+     */
+    function vestedAmount(uint256 scheduleId) external view validSchedule(scheduleId) returns (uint256) {
+        return _vestedAmount(vestingSchedules[scheduleId]);
+    }
+
+    /**
+     * @dev 指定计划当前可领取的数量
+     */
+    function claimableAmount(uint256 scheduleId) external view validSchedule(scheduleId) returns (uint256) {
+        return _claimableAmount(vestingSchedules[scheduleId]);
+    }
+
+    /**
+     * @dev 受益人名下所有计划中仍锁定（尚未释放）的数量
+     */
+    function lockedAmount(address beneficiary) external view returns (uint256 locked) {
+        uint256[] storage ids = beneficiarySchedules[beneficiary];
+        for (uint256 i = 0; i < ids.length; i++) {
+            VestingSchedule storage schedule = vestingSchedules[ids[i]];
+            if (!schedule.revoked) {
+                locked += schedule.totalAmount - _vestedAmount(schedule);
+            }
+        }
+    }
+
+    /**
+     * @dev 受益人名下的计划ID列表
+     */
+    function getScheduleIds(address beneficiary) external view returns (uint256[] memory) {
+        return beneficiarySchedules[beneficiary];
+    }
+
+    /**
+     * @dev 锁仓计划总数
+     */
+    function getScheduleCount() external view returns (uint256) {
+        return vestingSchedules.length;
+    }
+
+    // ========== 内部函数 ==========
+
+    function _vestedAmount(VestingSchedule storage schedule) internal view returns (uint256) {
+        if (schedule.revoked) {
+            return schedule.released;
+        }
+        if (block.timestamp < schedule.start + schedule.cliffDuration) {
+            return 0;
+        }
+        if (block.timestamp >= schedule.start + schedule.duration) {
+            return schedule.totalAmount;
+        }
+        return (schedule.totalAmount * (block.timestamp - schedule.start)) / schedule.duration;
+    }
+
+    function _claimableAmount(VestingSchedule storage schedule) internal view returns (uint256) {
+        return _vestedAmount(schedule) - schedule.released;
+    }
+
+    // ========== 管理员功能 ==========
+
+    /**
+     * @dev 提取未分配给任何计划的代币（例如误转入的代币）
+     */
+    function withdrawUnallocated(uint256 amount) external onlyOwner {
+        uint256 unallocated = token.balanceOf(address(this)) - totalLocked;
+        require(amount <= unallocated, "Amount exceeds unallocated balance");
+        token.safeTransfer(owner(), amount);
+    }
+}
@@ -1,4 +1,6 @@
 const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
 require("dotenv").config();
 
 async function main() {
@@ -58,27 +60,125 @@ async function main() {
     const liquidityManagerAddress = await liquidityManager.getAddress();
     console.log("  ✅ LiquidityManager合约地址:", liquidityManagerAddress, "\n");
 
-    // 3. 创建Uniswap V2配对（模拟）
+    // 3. 设置路由和Uniswap V2配对
     console.log("3️⃣ 设置Uniswap配对信息...");
     // 在实际部署中，需要通过Uniswap Router创建配对
     // 这里我们使用一个模拟地址用于测试
-    const uniswapPairAddress = "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f"; // Uniswap V2 Factory地址（作为示例）
+    let uniswapPairAddress = "0x5C69bEe701ef814a2B6a3EDD4B1652CB9cc5aA6f"; // Uniswap V2 Factory地址（作为示例）
+
+    // 本地网络没有Uniswap，改用MockUniswapRouter，并通过它的工厂创建真实可交易的配对
+    let routerAddress = await memeToken.uniswapV2Router();
+    if (network.name === "hardhat" || network.name === "localhost") {
+      const MockWETH = await ethers.getContractFactory("MockWETH");
+      const mockWeth = await MockWETH.deploy();
+      await mockWeth.waitForDeployment();
+
+      const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter");
+      const mockRouter = await MockUniswapRouter.deploy(await mockWeth.getAddress());
+      await mockRouter.waitForDeployment();
+      routerAddress = await mockRouter.getAddress();
+
+      const mockFactory = await ethers.getContractAt("MockUniswapFactory", await mockRouter.factory());
+      await (await mockFactory.createPair(memeTokenAddress, await mockWeth.getAddress())).wait();
+      uniswapPairAddress = await mockFactory.getPair(memeTokenAddress, await mockWeth.getAddress());
+
+      await memeToken.updateUniswapV2Router(routerAddress);
+      await liquidityManager.updateRouter(routerAddress);
+    }
+    console.log("  ✅ 路由地址:", routerAddress);
     
     // 设置配对地址
     await memeToken.setUniswapPair(uniswapPairAddress);
     await liquidityManager.setLiquidityPair(uniswapPairAddress);
     console.log("  ✅ Uniswap配对地址设置完成:", uniswapPairAddress);
 
+    // 登记其他DEX或其他计价代币的交易对（逗号分隔），例如MEME/USDC
+    const extraPairs = (process.env.EXTRA_AMM_PAIRS || "").split(",").map((p) => p.trim()).filter(Boolean);
+    for (const extraPair of extraPairs) {
+      await memeToken.addAutomatedMarketMakerPair(extraPair);
+      console.log("  ✅ 已登记交易对:", extraPair);
+    }
+
+    // LiquidityManager添加/移除流动性时代币经过交易对和路由，不应被当作买卖扣税或受交易限制
+    for (const account of [liquidityManagerAddress, routerAddress]) {
+      await memeToken.setExcludedFromTax(account, true);
+      await memeToken.setExcludedFromLimit(account, true);
+    }
+
     // 4. 开启交易功能
     console.log("4️⃣ 开启交易功能...");
     await memeToken.enableTrading();
     console.log("  ✅ 交易功能已开启");
 
-    // 5. 验证配置
+    // 5. 部署锁仓合约并按分配文件创建锁仓计划
+    console.log("5️⃣ 部署TokenVesting合约...");
+    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    const tokenVesting = await TokenVesting.deploy(memeTokenAddress);
+
+    await tokenVesting.waitForDeployment();
+    const tokenVestingAddress = await tokenVesting.getAddress();
+    console.log("  ✅ TokenVesting合约地址:", tokenVestingAddress);
+
+    // 锁仓合约转入/转出不收税、不受交易限制
+    await memeToken.setExcludedFromTax(tokenVestingAddress, true);
+    await memeToken.setExcludedFromLimit(tokenVestingAddress, true);
+
+    const allocationsFile = process.env.VESTING_ALLOCATIONS_FILE || path.join(__dirname, "vesting-allocations.json");
+    const { allocations } = JSON.parse(fs.readFileSync(allocationsFile, "utf8"));
+    console.log("  📄 锁仓分配文件:", allocationsFile);
+
+    const totalVestingAmount = allocations.reduce((sum, a) => sum + ethers.parseEther(a.amount), 0n);
+    await memeToken.approve(tokenVestingAddress, totalVestingAmount);
+
+    const DAY = 24 * 60 * 60;
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    const vestingSchedules = [];
+    for (const allocation of allocations) {
+      const start = now + (allocation.startDelayDays || 0) * DAY;
+      const tx = await tokenVesting.createVestingSchedule(
+        allocation.beneficiary,
+        ethers.parseEther(allocation.amount),
+        start,
+        allocation.cliffDays * DAY,
+        allocation.durationDays * DAY,
+        allocation.revocable
+      );
+      await tx.wait();
+
+      const scheduleId = (await tokenVesting.getScheduleCount()) - 1n;
+      vestingSchedules.push({ ...allocation, scheduleId: scheduleId.toString(), start });
+      console.log(`  ✅ ${allocation.name}: ${allocation.amount} ${tokenSymbol} -> ${allocation.beneficiary}` +
+        ` (悬崖期${allocation.cliffDays}天, 释放期${allocation.durationDays}天, ${allocation.revocable ? "可撤销" : "不可撤销"})`);
+    }
+    console.log("  🔒 锁仓总量:", ethers.formatEther(totalVestingAmount), `${tokenSymbol}`);
+
+    // 6. 部署时间锁并移交管理权限
+    console.log("6️⃣ 部署MemeTimelock合约...");
+    const timelockDelay = Number(process.env.TIMELOCK_DELAY || 24 * 60 * 60); // 默认1天，不能低于合约的MINIMUM_DELAY
+    const MemeTimelock = await ethers.getContractFactory("MemeTimelock");
+    // 部署者作为提案者，任何人都可以执行到期的提案，时间锁自我管理
+    const timelock = await MemeTimelock.deploy(timelockDelay, [deployer.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+
+    await timelock.waitForDeployment();
+    const timelockAddress = await timelock.getAddress();
+    console.log("  ✅ MemeTimelock合约地址:", timelockAddress);
+
+    // 税收/限制管理员角色交给时间锁，部署者只保留紧急守护者角色
+    await memeToken.grantRole(await memeToken.TAX_ADMIN_ROLE(), timelockAddress);
+    await memeToken.grantRole(await memeToken.LIMITS_ADMIN_ROLE(), timelockAddress);
+    await memeToken.revokeRole(await memeToken.TAX_ADMIN_ROLE(), deployer.address);
+    await memeToken.revokeRole(await memeToken.LIMITS_ADMIN_ROLE(), deployer.address);
+
+    // 两步所有权转移：时间锁需通过提案调用acceptOwnership完成接收
+    await memeToken.transferOwnership(timelockAddress);
+    await liquidityManager.transferOwnership(timelockAddress);
+    console.log("  ⏳ 已发起所有权转移，待时间锁执行acceptOwnership提案");
+
+    // 7. 验证配置
     console.log("\n📋 验证合约配置...");
     console.log("  税收配置:");
-    console.log("    买入税率:", (await memeToken.buyTaxRate()) / 100, "%");
-    console.log("    卖出税率:", (await memeToken.sellTaxRate()) / 100, "%");
+    console.log("    买入税率:", Number(await memeToken.buyTaxRate()) / 100, "%");
+    console.log("    卖出税率:", Number(await memeToken.sellTaxRate()) / 100, "%");
     console.log("    营销钱包:", await memeToken.marketingWallet());
     console.log("    流动性钱包:", await memeToken.liquidityWallet());
     console.log("    开发钱包:", await memeToken.devWallet());
@@ -92,9 +192,9 @@ async function main() {
     console.log("  流动性管理:");
     console.log("    自动添加流动性:", await liquidityManager.autoAddLiquidity());
     console.log("    最小流动性:", ethers.formatEther(await liquidityManager.minimumLiquidity()), `${tokenSymbol}`);
-    console.log("    自动流动性份额:", (await liquidityManager.autoLiquidityShare()) / 100, "%");
+    console.log("    自动流动性份额:", Number(await liquidityManager.autoLiquifyShare()) / 100, "%");
 
-    // 6. 保存部署信息到文件
+    // 8. 保存部署信息到文件
     console.log("\n💾 保存部署信息...");
     const deploymentInfo = {
       network: {
@@ -114,10 +214,21 @@ async function main() {
         },
         liquidityManager: {
           address: liquidityManagerAddress
+        },
+        timelock: {
+          address: timelockAddress,
+          minDelay: (await timelock.getMinDelay()).toString()
+        },
+        tokenVesting: {
+          address: tokenVestingAddress,
+          totalLocked: ethers.formatEther(await tokenVesting.totalLocked()),
+          schedules: vestingSchedules
         }
       },
       config: {
         uniswapPair: uniswapPairAddress,
+        extraPairs,
+        router: routerAddress,
         taxRates: {
           buy: (await memeToken.buyTaxRate()).toString(),
           sell: (await memeToken.sellTaxRate()).toString()
@@ -138,20 +249,23 @@ async function main() {
     };
 
     // 保存到JSON文件
-    const fs = require("fs");
     fs.writeFileSync(
       "deployment-info.json", 
       JSON.stringify(deploymentInfo, null, 2)
     );
     console.log("  ✅ 部署信息已保存到 deployment-info.json");
 
-    // 7. 显示下一步操作提示
+    // 9. 显示下一步操作提示
     console.log("\n🎉 部署完成！");
     console.log("\n📝 后续操作建议:");
     console.log("1. 在Etherscan上验证合约源码");
     console.log("2. 向Uniswap V2添加流动性");
     console.log("3. 在DEX上测试代币交易");
     console.log("4. 设置代币徽标和信息（如需要）");
+    console.log("5. 通过时间锁接收MemeToken和LiquidityManager的所有权:");
+    console.log("   ACTION=queue CONTRACT=MemeToken FUNCTION=acceptOwnership npx hardhat run scripts/governance.js --network", network.name);
+    console.log("   ACTION=queue CONTRACT=LiquidityManager FUNCTION=acceptOwnership npx hardhat run scripts/governance.js --network", network.name);
+    console.log("   延迟到期后把ACTION改为execute再执行一次");
     
     if (network.name === "localhost") {
       console.log("\n🧪 本地测试命令:");
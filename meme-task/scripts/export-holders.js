@@ -0,0 +1,133 @@
+const { ethers } = require("hardhat");
+const fs = require("fs");
+const path = require("path");
+require("dotenv").config();
+
+/**
+ * 导出MemeToken在指定区块的持有者快照（CSV/JSON），用于社区投票和空投
+ *
+ * 持有者列表从Transfer事件中收集，余额按指定区块查询（需要归档节点，本地hardhat节点默认支持）。
+ * hardhat run不支持传递命令行参数，参数通过环境变量传入：
+ *   TOKEN        MemeToken地址，默认从 deployment-info.json 读取
+ *   BLOCK        快照区块号，默认最新区块
+ *   FROM_BLOCK   开始扫描Transfer事件的区块，默认 0（建议设为代币部署区块）
+ *   CHUNK_SIZE   每次查询事件的区块数，默认 10000
+ *   FORMAT       csv | json | both，默认 both
+ *   OUTPUT_DIR   输出目录，默认 snapshots
+ *   INCLUDE_ZERO 是否包含余额为0的地址，默认不包含
+ *
+ * 示例（本地节点）：
+ *   BLOCK=120 npx hardhat run scripts/export-holders.js --network localhost
+ */
+
+function loadTokenAddress() {
+  if (process.env.TOKEN) {
+    return process.env.TOKEN;
+  }
+  if (fs.existsSync("deployment-info.json")) {
+    return JSON.parse(fs.readFileSync("deployment-info.json", "utf8")).contracts.memeToken.address;
+  }
+  throw new Error("找不到MemeToken地址，请设置 TOKEN");
+}
+
+/**
+ * 分段扫描Transfer事件，收集所有出现过的接收地址
+ */
+async function collectHolders(memeToken, fromBlock, toBlock, chunkSize) {
+  const holders = new Set();
+  const filter = memeToken.filters.Transfer();
+
+  for (let start = fromBlock; start <= toBlock; start += chunkSize) {
+    const end = Math.min(start + chunkSize - 1, toBlock);
+    const events = await memeToken.queryFilter(filter, start, end);
+    for (const event of events) {
+      holders.add(event.args.to);
+    }
+  }
+
+  holders.delete(ethers.ZeroAddress);
+  return [...holders];
+}
+
+function toCsv(rows) {
+  const header = "address,balance,balanceWei,votes,delegate,isPair,isExcludedFromReward";
+  const lines = rows.map((row) =>
+    [row.address, row.balance, row.balanceWei, row.votes, row.delegate, row.isPair, row.isExcludedFromReward].join(",")
+  );
+  return [header, ...lines].join("\n") + "\n";
+}
+
+async function main() {
+  const tokenAddress = loadTokenAddress();
+  const memeToken = await ethers.getContractAt("MemeToken", tokenAddress);
+
+  const latestBlock = await ethers.provider.getBlockNumber();
+  const snapshotBlock = process.env.BLOCK ? Number(process.env.BLOCK) : latestBlock;
+  if (snapshotBlock > latestBlock) {
+    throw new Error(`快照区块 ${snapshotBlock} 晚于最新区块 ${latestBlock}`);
+  }
+  const fromBlock = Number(process.env.FROM_BLOCK || 0);
+  const chunkSize = Number(process.env.CHUNK_SIZE || 10000);
+  const format = process.env.FORMAT || "both";
+  const outputDir = process.env.OUTPUT_DIR || "snapshots";
+
+  console.log("📸 导出持有者快照");
+  console.log("  代币地址:", tokenAddress);
+  console.log("  快照区块:", snapshotBlock);
+
+  const addresses = await collectHolders(memeToken, fromBlock, snapshotBlock, chunkSize);
+  console.log("  扫描到地址数:", addresses.length);
+
+  // 历史区块用检查点查询投票权，最新区块的检查点尚未结束，直接取当前值
+  const overrides = { blockTag: snapshotBlock };
+  const rows = [];
+  for (const address of addresses) {
+    const balance = await memeToken.balanceOf(address, overrides);
+    if (balance === 0n && !process.env.INCLUDE_ZERO) {
+      continue;
+    }
+    const votes = snapshotBlock < latestBlock
+      ? await memeToken.getPastVotes(address, snapshotBlock)
+      : await memeToken.getVotes(address);
+
+    rows.push({
+      address,
+      balance: ethers.formatEther(balance),
+      balanceWei: balance.toString(),
+      votes: votes.toString(),
+      delegate: await memeToken.delegates(address, overrides),
+      isPair: await memeToken.automatedMarketMakerPairs(address, overrides),
+      isExcludedFromReward: await memeToken.isExcludedFromReward(address, overrides)
+    });
+  }
+  rows.sort((a, b) => (BigInt(b.balanceWei) > BigInt(a.balanceWei) ? 1 : BigInt(b.balanceWei) < BigInt(a.balanceWei) ? -1 : 0));
+
+  const totalSupply = await memeToken.totalSupply(overrides);
+  const snapshot = {
+    token: tokenAddress,
+    block: snapshotBlock,
+    timestamp: (await ethers.provider.getBlock(snapshotBlock)).timestamp,
+    totalSupply: totalSupply.toString(),
+    holderCount: rows.length,
+    holders: rows
+  };
+
+  fs.mkdirSync(outputDir, { recursive: true });
+  const baseName = path.join(outputDir, `holders-${snapshotBlock}`);
+  if (format === "json" || format === "both") {
+    fs.writeFileSync(`${baseName}.json`, JSON.stringify(snapshot, null, 2));
+    console.log("  ✅ 已导出:", `${baseName}.json`);
+  }
+  if (format === "csv" || format === "both") {
+    fs.writeFileSync(`${baseName}.csv`, toCsv(rows));
+    console.log("  ✅ 已导出:", `${baseName}.csv`);
+  }
+  console.log("  持有者数:", rows.length);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ 导出失败:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,154 @@
+const { ethers, network } = require("hardhat");
+const fs = require("fs");
+require("dotenv").config();
+
+/**
+ * MemeTimelock提案辅助脚本：排队(queue)、执行(execute)、取消(cancel)和查询(status)提案
+ *
+ * hardhat run不支持传递命令行参数，参数通过环境变量传入：
+ *   ACTION       queue | execute | cancel | status
+ *   CONTRACT     目标合约名，MemeToken | LiquidityManager | MemeTimelock
+ *   FUNCTION     函数名，例如 updateTaxRates
+ *   ARGS         JSON数组格式的函数参数，例如 '[300, 300]'，默认 []
+ *   TARGET       目标合约地址，默认从 deployment-info.json 读取
+ *   TIMELOCK     时间锁地址，默认从 deployment-info.json 读取
+ *   VALUE        随调用发送的ETH数量，默认 0
+ *   SALT         区分相同调用的盐值，默认 0
+ *   DELAY        排队延迟（秒），默认使用时间锁的最小延迟
+ *   FAST_FORWARD 本地网络执行前是否把时间快进到提案到期，默认关闭
+ *
+ * 示例（本地节点）：
+ *   ACTION=queue CONTRACT=MemeToken FUNCTION=updateTaxRates ARGS='[300,300]' npx hardhat run scripts/governance.js --network localhost
+ *   ACTION=execute FAST_FORWARD=1 CONTRACT=MemeToken FUNCTION=updateTaxRates ARGS='[300,300]' npx hardhat run scripts/governance.js --network localhost
+ */
+
+// deployment-info.json 中合约名与字段的对应关系
+const DEPLOYMENT_KEYS = {
+  MemeToken: "memeToken",
+  LiquidityManager: "liquidityManager",
+  MemeTimelock: "timelock"
+};
+
+const OPERATION_STATES = ["未排队", "等待中", "可执行", "已执行"];
+
+function loadDeploymentInfo() {
+  if (!fs.existsSync("deployment-info.json")) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync("deployment-info.json", "utf8"));
+}
+
+/**
+ * 根据环境变量构造提案，返回时间锁调用所需的参数
+ */
+async function buildProposal() {
+  const deploymentInfo = loadDeploymentInfo();
+  const contractName = process.env.CONTRACT;
+  const functionName = process.env.FUNCTION;
+  if (!contractName || !functionName) {
+    throw new Error("必须设置 CONTRACT 和 FUNCTION");
+  }
+
+  const timelockAddress = process.env.TIMELOCK || deploymentInfo?.contracts.timelock?.address;
+  const target = process.env.TARGET || deploymentInfo?.contracts[DEPLOYMENT_KEYS[contractName]]?.address;
+  if (!timelockAddress || !target) {
+    throw new Error("找不到时间锁或目标合约地址，请设置 TIMELOCK 和 TARGET");
+  }
+
+  const targetContract = await ethers.getContractAt(contractName, target);
+  const args = JSON.parse(process.env.ARGS || "[]");
+  const data = targetContract.interface.encodeFunctionData(functionName, args);
+
+  return {
+    timelock: await ethers.getContractAt("MemeTimelock", timelockAddress),
+    description: `${contractName}.${functionName}(${args.join(", ")})`,
+    target,
+    value: ethers.parseEther(process.env.VALUE || "0"),
+    data,
+    predecessor: ethers.ZeroHash,
+    salt: ethers.zeroPadValue(ethers.toBeHex(BigInt(process.env.SALT || "0")), 32)
+  };
+}
+
+function callArgs(proposal) {
+  return [proposal.target, proposal.value, proposal.data, proposal.predecessor, proposal.salt];
+}
+
+async function queue(proposal) {
+  const delay = process.env.DELAY ? BigInt(process.env.DELAY) : await proposal.timelock.getMinDelay();
+  const tx = await proposal.timelock.schedule(...callArgs(proposal), delay);
+  await tx.wait();
+
+  const id = await proposal.timelock.hashOperation(...callArgs(proposal));
+  const readyAt = await proposal.timelock.getTimestamp(id);
+  console.log("  ✅ 提案已排队:", proposal.description);
+  console.log("  提案ID:", id);
+  console.log("  可执行时间:", new Date(Number(readyAt) * 1000).toISOString());
+}
+
+async function execute(proposal) {
+  const id = await proposal.timelock.hashOperation(...callArgs(proposal));
+
+  if (process.env.FAST_FORWARD) {
+    if (network.name !== "hardhat" && network.name !== "localhost") {
+      throw new Error("FAST_FORWARD只能在本地网络使用");
+    }
+    const readyAt = await proposal.timelock.getTimestamp(id);
+    const latest = (await ethers.provider.getBlock("latest")).timestamp;
+    if (readyAt > BigInt(latest)) {
+      await network.provider.send("evm_increaseTime", [Number(readyAt) - latest]);
+      await network.provider.send("evm_mine");
+      console.log("  ⏩ 已快进到提案可执行时间");
+    }
+  }
+
+  const tx = await proposal.timelock.execute(...callArgs(proposal), { value: proposal.value });
+  await tx.wait();
+  console.log("  ✅ 提案已执行:", proposal.description);
+  console.log("  交易哈希:", tx.hash);
+}
+
+async function cancel(proposal) {
+  const id = await proposal.timelock.hashOperation(...callArgs(proposal));
+  const tx = await proposal.timelock.cancel(id);
+  await tx.wait();
+  console.log("  ✅ 提案已取消:", proposal.description);
+}
+
+async function status(proposal) {
+  const id = await proposal.timelock.hashOperation(...callArgs(proposal));
+  const state = await proposal.timelock.getOperationState(id);
+  const readyAt = await proposal.timelock.getTimestamp(id);
+
+  console.log("  提案:", proposal.description);
+  console.log("  提案ID:", id);
+  console.log("  状态:", OPERATION_STATES[Number(state)]);
+  if (readyAt > 1n) {
+    console.log("  可执行时间:", new Date(Number(readyAt) * 1000).toISOString());
+  }
+}
+
+async function main() {
+  const action = process.env.ACTION || "status";
+  const actions = { queue, execute, cancel, status };
+  if (!actions[action]) {
+    throw new Error(`未知的ACTION: ${action}，可选 queue | execute | cancel | status`);
+  }
+
+  const [signer] = await ethers.getSigners();
+  console.log("🏛️  时间锁提案操作:", action);
+  console.log("  操作账户:", signer.address);
+
+  const proposal = await buildProposal();
+  console.log("  时间锁地址:", await proposal.timelock.getAddress());
+  console.log("  目标合约:", proposal.target);
+
+  await actions[action](proposal);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error("❌ 操作失败:", error.message);
+    process.exit(1);
+  });
@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("多交易对与可配置路由", function () {
+  let memeToken;
+  let owner, marketingWallet, liquidityWallet, devWallet, wethPair, usdcPair, trader;
+
+  const AMOUNT = ethers.parseEther("10000");
+  // 营销钱包收到2%税收中的40%
+  const marketingTaxOf = (amount) => amount * 200n / 10000n * 4000n / 10000n;
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, wethPair, usdcPair, trader] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+
+    // 用普通账户模拟MEME/WETH和MEME/USDC配对
+    await memeToken.setUniswapPair(wethPair.address);
+    await memeToken.enableTrading();
+    await memeToken.transfer(wethPair.address, ethers.parseEther("1000000"));
+    await memeToken.transfer(usdcPair.address, ethers.parseEther("1000000"));
+    await memeToken.transfer(trader.address, ethers.parseEther("100000"));
+  });
+
+  async function marketingReceived(tx) {
+    const before = await memeToken.balanceOf(marketingWallet.address);
+    await tx;
+    return (await memeToken.balanceOf(marketingWallet.address)) - before;
+  }
+
+  describe("交易对登记", function () {
+    it("设置主配对时自动登记", async function () {
+      expect(await memeToken.automatedMarketMakerPairs(wethPair.address)).to.be.true;
+      expect(await memeToken.isExcludedFromLimit(wethPair.address)).to.be.true;
+      expect(await memeToken.isExcludedFromReward(wethPair.address)).to.be.true;
+    });
+
+    it("应该登记额外的交易对并触发事件", async function () {
+      await expect(memeToken.addAutomatedMarketMakerPair(usdcPair.address))
+        .to.emit(memeToken, "AutomatedMarketMakerPairAdded")
+        .withArgs(usdcPair.address);
+
+      expect(await memeToken.automatedMarketMakerPairs(usdcPair.address)).to.be.true;
+      expect(await memeToken.isExcludedFromLimit(usdcPair.address)).to.be.true;
+      expect(await memeToken.isExcludedFromReward(usdcPair.address)).to.be.true;
+    });
+
+    it("税收对所有登记的交易对生效", async function () {
+      await memeToken.addAutomatedMarketMakerPair(usdcPair.address);
+
+      expect(await marketingReceived(memeToken.connect(trader).transfer(wethPair.address, AMOUNT)))
+        .to.equal(marketingTaxOf(AMOUNT));
+      expect(await marketingReceived(memeToken.connect(trader).transfer(usdcPair.address, AMOUNT)))
+        .to.equal(marketingTaxOf(AMOUNT));
+      expect(await marketingReceived(memeToken.connect(usdcPair).transfer(trader.address, AMOUNT)))
+        .to.equal(marketingTaxOf(AMOUNT));
+    });
+
+    it("未登记的地址不收税", async function () {
+      expect(await marketingReceived(memeToken.connect(trader).transfer(usdcPair.address, AMOUNT)))
+        .to.equal(0);
+    });
+
+    it("冷却时间对所有登记的交易对生效", async function () {
+      await memeToken.addAutomatedMarketMakerPair(usdcPair.address);
+      await memeToken.updateCooldowns(0, 60);
+
+      await memeToken.connect(trader).transfer(wethPair.address, AMOUNT);
+      await expect(memeToken.connect(trader).transfer(usdcPair.address, AMOUNT))
+        .to.be.revertedWith("Sell cooldown active");
+
+      await time.increase(60);
+      await memeToken.connect(trader).transfer(usdcPair.address, AMOUNT);
+    });
+
+    it("移除后不再视为交易对", async function () {
+      await memeToken.addAutomatedMarketMakerPair(usdcPair.address);
+      await expect(memeToken.removeAutomatedMarketMakerPair(usdcPair.address))
+        .to.emit(memeToken, "AutomatedMarketMakerPairRemoved")
+        .withArgs(usdcPair.address);
+
+      expect(await memeToken.automatedMarketMakerPairs(usdcPair.address)).to.be.false;
+      expect(await memeToken.isExcludedFromLimit(usdcPair.address)).to.be.false;
+      expect(await marketingReceived(memeToken.connect(trader).transfer(usdcPair.address, AMOUNT)))
+        .to.equal(0);
+    });
+
+    it("替换主配对时移除原主配对", async function () {
+      await memeToken.setUniswapPair(usdcPair.address);
+
+      expect(await memeToken.uniswapV2Pair()).to.equal(usdcPair.address);
+      expect(await memeToken.automatedMarketMakerPairs(usdcPair.address)).to.be.true;
+      expect(await memeToken.automatedMarketMakerPairs(wethPair.address)).to.be.false;
+      expect(await memeToken.isExcludedFromLimit(wethPair.address)).to.be.false;
+    });
+
+    it("清空主配对时不给零地址免限制", async function () {
+      await memeToken.setUniswapPair(ethers.ZeroAddress);
+
+      expect(await memeToken.uniswapV2Pair()).to.equal(ethers.ZeroAddress);
+      expect(await memeToken.automatedMarketMakerPairs(wethPair.address)).to.be.false;
+      expect(await memeToken.isExcludedFromLimit(wethPair.address)).to.be.false;
+      expect(await memeToken.isExcludedFromLimit(ethers.ZeroAddress)).to.be.false;
+    });
+
+    it("应该拒绝无效的登记和移除", async function () {
+      await expect(memeToken.addAutomatedMarketMakerPair(ethers.ZeroAddress))
+        .to.be.revertedWith("Pair cannot be zero address");
+      await expect(memeToken.addAutomatedMarketMakerPair(wethPair.address))
+        .to.be.revertedWith("Pair already registered");
+      await expect(memeToken.removeAutomatedMarketMakerPair(usdcPair.address))
+        .to.be.revertedWith("Pair not registered");
+      await expect(memeToken.removeAutomatedMarketMakerPair(wethPair.address))
+        .to.be.revertedWith("Cannot remove main pair");
+    });
+
+    it("只有所有者可以管理交易对", async function () {
+      await expect(memeToken.connect(trader).addAutomatedMarketMakerPair(usdcPair.address))
+        .to.be.revertedWithCustomError(memeToken, "OwnableUnauthorizedAccount");
+      await expect(memeToken.connect(trader).removeAutomatedMarketMakerPair(wethPair.address))
+        .to.be.revertedWithCustomError(memeToken, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("可配置路由", function () {
+    let weth, router, liquidityManager;
+
+    beforeEach(async function () {
+      const MockWETH = await ethers.getContractFactory("MockWETH");
+      weth = await MockWETH.deploy();
+
+      const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter");
+      router = await MockUniswapRouter.deploy(await weth.getAddress());
+
+      const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+      liquidityManager = await LiquidityManager.deploy(await memeToken.getAddress());
+    });
+
+    it("MemeToken可以改用本地部署的路由", async function () {
+      await memeToken.updateUniswapV2Router(await router.getAddress());
+
+      expect(await memeToken.uniswapV2Router()).to.equal(await router.getAddress());
+      expect(await memeToken.isExcludedFromLimit(await router.getAddress())).to.be.true;
+    });
+
+    it("LiquidityManager默认使用主网路由，可以改用本地路由", async function () {
+      expect(await liquidityManager.uniswapV2Router()).to.equal(await liquidityManager.UNISWAP_V2_ROUTER());
+
+      await expect(liquidityManager.updateRouter(await router.getAddress()))
+        .to.emit(liquidityManager, "RouterUpdated")
+        .withArgs(await router.getAddress(), await liquidityManager.UNISWAP_V2_ROUTER());
+
+      expect(await liquidityManager.uniswapV2Router()).to.equal(await router.getAddress());
+      expect(await liquidityManager.weth()).to.equal(await weth.getAddress());
+    });
+
+    it("通过本地路由添加流动性", async function () {
+      await liquidityManager.updateRouter(await router.getAddress());
+      const factory = await ethers.getContractAt("MockUniswapFactory", await router.factory());
+      await factory.createPair(await memeToken.getAddress(), await weth.getAddress());
+      const localPair = await factory.getPair(await memeToken.getAddress(), await weth.getAddress());
+      await liquidityManager.setLiquidityPair(localPair);
+
+      const tokenAmount = ethers.parseEther("1000");
+      const ethAmount = ethers.parseEther("1");
+      await memeToken.approve(await liquidityManager.getAddress(), tokenAmount);
+
+      await expect(liquidityManager.addLiquidity(tokenAmount, ethAmount, 0, 0, { value: ethAmount }))
+        .to.emit(liquidityManager, "LiquidityAdded");
+      expect(await memeToken.balanceOf(localPair)).to.equal(tokenAmount);
+      expect(await weth.balanceOf(localPair)).to.equal(ethAmount);
+      expect(await liquidityManager.liquidityProvided(owner.address)).to.be.gt(0);
+    });
+
+    it("应该拒绝零地址和非所有者", async function () {
+      await expect(liquidityManager.updateRouter(ethers.ZeroAddress))
+        .to.be.revertedWith("Router cannot be zero address");
+      await expect(liquidityManager.connect(trader).updateRouter(await router.getAddress()))
+        .to.be.revertedWithCustomError(liquidityManager, "OwnableUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,209 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time, mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("黑名单与反机器人", function () {
+  let memeToken;
+  let owner, marketingWallet, liquidityWallet, devWallet, pair, trader, other;
+
+  const AMOUNT = ethers.parseEther("1000");
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, pair, trader, other] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+
+    // 用普通账户模拟配对地址
+    await memeToken.setUniswapPair(pair.address);
+    await memeToken.enableTrading();
+    await memeToken.transfer(pair.address, ethers.parseEther("1000000"));
+    await memeToken.transfer(trader.address, ethers.parseEther("100000"));
+  });
+
+  describe("黑名单", function () {
+    it("应该正确加入/移出黑名单并触发事件", async function () {
+      await expect(memeToken.setBlacklisted(trader.address, true))
+        .to.emit(memeToken, "BlacklistUpdated")
+        .withArgs(trader.address, true);
+      expect(await memeToken.isBlacklisted(trader.address)).to.be.true;
+
+      await expect(memeToken.setBlacklisted(trader.address, false))
+        .to.emit(memeToken, "BlacklistUpdated")
+        .withArgs(trader.address, false);
+      expect(await memeToken.isBlacklisted(trader.address)).to.be.false;
+    });
+
+    it("黑名单地址不能转出或接收代币", async function () {
+      await memeToken.setBlacklisted(trader.address, true);
+
+      await expect(memeToken.connect(trader).transfer(other.address, AMOUNT))
+        .to.be.revertedWith("Sender is blacklisted");
+      await expect(memeToken.connect(pair).transfer(trader.address, AMOUNT))
+        .to.be.revertedWith("Recipient is blacklisted");
+      await expect(memeToken.connect(trader).transfer(pair.address, AMOUNT))
+        .to.be.revertedWith("Sender is blacklisted");
+    });
+
+    it("免限制地址不受黑名单影响", async function () {
+      await memeToken.setBlacklisted(trader.address, true);
+      await memeToken.setExcludedFromLimit(trader.address, true);
+
+      await memeToken.connect(trader).transfer(other.address, AMOUNT);
+      expect(await memeToken.balanceOf(other.address)).to.equal(AMOUNT);
+    });
+
+    it("不能把配对地址或合约加入黑名单", async function () {
+      await expect(memeToken.setBlacklisted(pair.address, true))
+        .to.be.revertedWith("Cannot blacklist pair or contract");
+      await expect(memeToken.setBlacklisted(await memeToken.getAddress(), true))
+        .to.be.revertedWith("Cannot blacklist pair or contract");
+    });
+
+    it("只有限制管理员可以设置黑名单", async function () {
+      await expect(memeToken.connect(other).setBlacklisted(trader.address, true))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("放弃黑名单权限", function () {
+    it("截止时间之后不能再加入黑名单，但仍可移出", async function () {
+      await memeToken.setBlacklisted(trader.address, true);
+
+      const delay = 24 * 60 * 60;
+      const tx = await memeToken.renounceBlacklistPowers(delay);
+      const timestamp = (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp;
+      const expiresAt = BigInt(timestamp + delay);
+      await expect(tx).to.emit(memeToken, "BlacklistPowersRenounced").withArgs(expiresAt);
+      expect(await memeToken.blacklistPowersExpireAt()).to.equal(expiresAt);
+
+      // 截止前仍可加入
+      await memeToken.setBlacklisted(other.address, true);
+
+      await time.increaseTo(expiresAt);
+      await expect(memeToken.setBlacklisted(devWallet.address, true))
+        .to.be.revertedWith("Blacklist powers renounced");
+
+      await memeToken.setBlacklisted(trader.address, false);
+      expect(await memeToken.isBlacklisted(trader.address)).to.be.false;
+    });
+
+    it("立即放弃后马上生效", async function () {
+      await memeToken.renounceBlacklistPowers(0);
+      await expect(memeToken.setBlacklisted(trader.address, true))
+        .to.be.revertedWith("Blacklist powers renounced");
+    });
+
+    it("截止时间只能提前不能推迟", async function () {
+      await memeToken.renounceBlacklistPowers(3600);
+      await expect(memeToken.renounceBlacklistPowers(7200))
+        .to.be.revertedWith("Cannot extend blacklist powers");
+      await memeToken.renounceBlacklistPowers(60);
+    });
+
+    it("应该拒绝过长的延迟", async function () {
+      await expect(memeToken.renounceBlacklistPowers(7 * 24 * 60 * 60 + 1))
+        .to.be.revertedWith("Delay cannot exceed 7 days");
+    });
+  });
+
+  describe("冷却时间", function () {
+    const COOLDOWN = 60;
+
+    beforeEach(async function () {
+      await expect(memeToken.updateCooldowns(COOLDOWN, COOLDOWN))
+        .to.emit(memeToken, "CooldownsUpdated")
+        .withArgs(COOLDOWN, COOLDOWN);
+    });
+
+    it("冷却期内不能再次买入", async function () {
+      await memeToken.connect(pair).transfer(trader.address, AMOUNT);
+      await expect(memeToken.connect(pair).transfer(trader.address, AMOUNT))
+        .to.be.revertedWith("Buy cooldown active");
+
+      await time.increase(COOLDOWN);
+      await memeToken.connect(pair).transfer(trader.address, AMOUNT);
+    });
+
+    it("冷却期内不能再次卖出", async function () {
+      await memeToken.connect(trader).transfer(pair.address, AMOUNT);
+      await expect(memeToken.connect(trader).transfer(pair.address, AMOUNT))
+        .to.be.revertedWith("Sell cooldown active");
+
+      await time.increase(COOLDOWN);
+      await memeToken.connect(trader).transfer(pair.address, AMOUNT);
+    });
+
+    it("普通转账和免限制地址不受冷却时间限制", async function () {
+      await memeToken.connect(trader).transfer(other.address, AMOUNT);
+      await memeToken.connect(trader).transfer(other.address, AMOUNT);
+
+      await memeToken.setExcludedFromLimit(trader.address, true);
+      await memeToken.connect(trader).transfer(pair.address, AMOUNT);
+      await memeToken.connect(trader).transfer(pair.address, AMOUNT);
+    });
+
+    it("应该拒绝过长的冷却时间", async function () {
+      await expect(memeToken.updateCooldowns(3601, 0))
+        .to.be.revertedWith("Buy cooldown cannot exceed 1 hour");
+      await expect(memeToken.updateCooldowns(0, 3601))
+        .to.be.revertedWith("Sell cooldown cannot exceed 1 hour");
+    });
+  });
+
+  describe("夹子交易检测", function () {
+    // 关闭自动出块，把买入和卖出打包进同一个区块
+    async function buyThenSellInSameBlock(seller) {
+      await ethers.provider.send("evm_setAutomine", [false]);
+      try {
+        const buyTx = await memeToken.connect(pair).transfer(trader.address, AMOUNT, { gasLimit: 500000 });
+        const sellTx = await memeToken.connect(seller).transfer(pair.address, AMOUNT, { gasLimit: 500000 });
+        await mine();
+        return [buyTx, sellTx];
+      } finally {
+        await ethers.provider.send("evm_setAutomine", [true]);
+      }
+    }
+
+    it("开启后应该拒绝同一区块内先买后卖", async function () {
+      await expect(memeToken.setSandwichProtectionEnabled(true))
+        .to.emit(memeToken, "SandwichProtectionUpdated")
+        .withArgs(true);
+
+      const [buyTx, sellTx] = await buyThenSellInSameBlock(trader);
+      const buyReceipt = await buyTx.wait();
+      await expect(sellTx.wait()).to.be.rejected;
+
+      const sellReceipt = await ethers.provider.getTransactionReceipt(sellTx.hash);
+      expect(sellReceipt.blockNumber).to.equal(buyReceipt.blockNumber);
+      expect(sellReceipt.status).to.equal(0);
+    });
+
+    it("下一个区块可以正常卖出", async function () {
+      await memeToken.setSandwichProtectionEnabled(true);
+
+      await memeToken.connect(pair).transfer(trader.address, AMOUNT);
+      await memeToken.connect(trader).transfer(pair.address, AMOUNT);
+    });
+
+    it("关闭时不检测", async function () {
+      const [, sellTx] = await buyThenSellInSameBlock(trader);
+      expect((await sellTx.wait()).status).to.equal(1);
+    });
+
+    it("免限制地址不受检测", async function () {
+      await memeToken.setSandwichProtectionEnabled(true);
+      await memeToken.setExcludedFromLimit(trader.address, true);
+
+      const [, sellTx] = await buyThenSellInSameBlock(trader);
+      expect((await sellTx.wait()).status).to.equal(1);
+    });
+  });
+});
@@ -0,0 +1,229 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("治理：角色、两步所有权与时间锁", function () {
+  let memeToken, liquidityManager, timelock;
+  let owner, marketingWallet, liquidityWallet, devWallet, taxAdmin, limitsAdmin, guardian, proposer, other;
+  let TAX_ADMIN_ROLE, LIMITS_ADMIN_ROLE, EMERGENCY_GUARDIAN_ROLE, DEFAULT_ADMIN_ROLE;
+
+  const DAY = 24 * 60 * 60;
+  const ZERO_HASH = ethers.ZeroHash;
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, taxAdmin, limitsAdmin, guardian, proposer, other] =
+      await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+
+    const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+    liquidityManager = await LiquidityManager.deploy(await memeToken.getAddress());
+
+    // 时间锁自我管理：proposer负责排队和取消，任何人都可以执行到期的提案
+    const MemeTimelock = await ethers.getContractFactory("MemeTimelock");
+    timelock = await MemeTimelock.deploy(DAY, [proposer.address], [ethers.ZeroAddress], ethers.ZeroAddress);
+
+    TAX_ADMIN_ROLE = await memeToken.TAX_ADMIN_ROLE();
+    LIMITS_ADMIN_ROLE = await memeToken.LIMITS_ADMIN_ROLE();
+    EMERGENCY_GUARDIAN_ROLE = await memeToken.EMERGENCY_GUARDIAN_ROLE();
+    DEFAULT_ADMIN_ROLE = await memeToken.DEFAULT_ADMIN_ROLE();
+  });
+
+  // 排队提案并等待延迟到期，返回执行参数
+  async function queue(target, data, delay = DAY) {
+    const args = [await target.getAddress(), 0, data, ZERO_HASH, ZERO_HASH];
+    await timelock.connect(proposer).schedule(...args, delay);
+    return args;
+  }
+
+  async function queueAndExecute(target, data) {
+    const args = await queue(target, data);
+    await time.increase(DAY);
+    await timelock.execute(...args);
+  }
+
+  // 把MemeToken的税收/限制角色和所有权交给时间锁，部署者只保留紧急守护者角色
+  async function handOverMemeToken() {
+    const timelockAddress = await timelock.getAddress();
+    await memeToken.grantRole(TAX_ADMIN_ROLE, timelockAddress);
+    await memeToken.grantRole(LIMITS_ADMIN_ROLE, timelockAddress);
+    await memeToken.revokeRole(TAX_ADMIN_ROLE, owner.address);
+    await memeToken.revokeRole(LIMITS_ADMIN_ROLE, owner.address);
+
+    await memeToken.transferOwnership(timelockAddress);
+    await queueAndExecute(memeToken, memeToken.interface.encodeFunctionData("acceptOwnership"));
+  }
+
+  describe("角色分离", function () {
+    it("部署者初始持有所有角色", async function () {
+      for (const role of [DEFAULT_ADMIN_ROLE, TAX_ADMIN_ROLE, LIMITS_ADMIN_ROLE, EMERGENCY_GUARDIAN_ROLE]) {
+        expect(await memeToken.hasRole(role, owner.address)).to.be.true;
+      }
+    });
+
+    it("各角色只能调用各自的管理函数", async function () {
+      await memeToken.grantRole(TAX_ADMIN_ROLE, taxAdmin.address);
+      await memeToken.grantRole(LIMITS_ADMIN_ROLE, limitsAdmin.address);
+      await memeToken.grantRole(EMERGENCY_GUARDIAN_ROLE, guardian.address);
+
+      await memeToken.connect(taxAdmin).updateTaxRates(300, 300);
+      await memeToken.connect(taxAdmin).updateTaxWallets(other.address, other.address, other.address);
+      await expect(memeToken.connect(taxAdmin).updateTransactionLimits(1, 1, 1, 1))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount")
+        .withArgs(taxAdmin.address, LIMITS_ADMIN_ROLE);
+
+      await memeToken.connect(limitsAdmin).updateTransactionLimits(1, 1, 1, 1);
+      await expect(memeToken.connect(limitsAdmin).updateTaxRates(100, 100))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount")
+        .withArgs(limitsAdmin.address, TAX_ADMIN_ROLE);
+
+      await memeToken.connect(guardian).emergencyStop();
+      expect(await memeToken.tradingEnabled()).to.be.false;
+      await expect(memeToken.connect(guardian).updateTaxRates(100, 100))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+      await expect(memeToken.connect(guardian).emergencyWithdrawToken(other.address, 0))
+        .to.be.revertedWithCustomError(memeToken, "OwnableUnauthorizedAccount");
+    });
+
+    it("只有管理员可以授予角色", async function () {
+      await expect(memeToken.connect(other).grantRole(TAX_ADMIN_ROLE, other.address))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("两步所有权转移", function () {
+    it("MemeToken需要新所有者确认，管理员角色随所有权转移", async function () {
+      await expect(memeToken.transferOwnership(other.address))
+        .to.emit(memeToken, "OwnershipTransferStarted")
+        .withArgs(owner.address, other.address);
+      expect(await memeToken.owner()).to.equal(owner.address);
+      expect(await memeToken.pendingOwner()).to.equal(other.address);
+
+      await expect(memeToken.connect(guardian).acceptOwnership())
+        .to.be.revertedWithCustomError(memeToken, "OwnableUnauthorizedAccount");
+
+      await memeToken.connect(other).acceptOwnership();
+      expect(await memeToken.owner()).to.equal(other.address);
+      expect(await memeToken.hasRole(DEFAULT_ADMIN_ROLE, other.address)).to.be.true;
+      expect(await memeToken.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+    });
+
+    it("DEFAULT_ADMIN_ROLE只能授予所有者，移交后其他账户没有管理权限", async function () {
+      await expect(memeToken.grantRole(DEFAULT_ADMIN_ROLE, other.address))
+        .to.be.revertedWith("Admin role is reserved for owner");
+
+      await handOverMemeToken();
+      expect(await memeToken.hasRole(DEFAULT_ADMIN_ROLE, other.address)).to.be.false;
+      expect(await memeToken.hasRole(DEFAULT_ADMIN_ROLE, owner.address)).to.be.false;
+      for (const account of [owner, other]) {
+        await expect(memeToken.connect(account).grantRole(TAX_ADMIN_ROLE, account.address))
+          .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount")
+          .withArgs(account.address, DEFAULT_ADMIN_ROLE);
+      }
+
+      // 时间锁作为所有者也不能把管理员角色交给其他账户
+      const data = memeToken.interface.encodeFunctionData("grantRole", [DEFAULT_ADMIN_ROLE, other.address]);
+      const args = await queue(memeToken, data);
+      await time.increase(DAY);
+      await expect(timelock.execute(...args)).to.be.reverted;
+    });
+
+    it("LiquidityManager需要新所有者确认", async function () {
+      await liquidityManager.transferOwnership(other.address);
+      expect(await liquidityManager.owner()).to.equal(owner.address);
+
+      await liquidityManager.connect(other).acceptOwnership();
+      expect(await liquidityManager.owner()).to.equal(other.address);
+    });
+  });
+
+  describe("时间锁", function () {
+    it("最小延迟不能低于MINIMUM_DELAY", async function () {
+      const MemeTimelock = await ethers.getContractFactory("MemeTimelock");
+      await expect(MemeTimelock.deploy(DAY - 1, [proposer.address], [ethers.ZeroAddress], ethers.ZeroAddress))
+        .to.be.revertedWith("Delay below minimum");
+
+      const data = memeToken.interface.encodeFunctionData("updateTaxRates", [300, 300]);
+      await expect(queue(memeToken, data, DAY - 1))
+        .to.be.revertedWithCustomError(timelock, "TimelockInsufficientDelay");
+    });
+
+    it("通过updateDelay也不能把延迟降到MINIMUM_DELAY以下", async function () {
+      await queueAndExecute(timelock, timelock.interface.encodeFunctionData("updateDelay", [60]));
+      expect(await timelock.getMinDelay()).to.equal(DAY);
+    });
+
+    it("移交后管理函数必须经过时间锁", async function () {
+      await handOverMemeToken();
+      expect(await memeToken.owner()).to.equal(await timelock.getAddress());
+
+      await expect(memeToken.updateTaxRates(300, 300))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+      await expect(memeToken.emergencyWithdrawToken(other.address, 0))
+        .to.be.revertedWithCustomError(memeToken, "OwnableUnauthorizedAccount");
+
+      // 紧急守护者仍可立即停止交易
+      await expect(memeToken.emergencyStop())
+        .to.emit(memeToken, "TradingStatusChanged")
+        .withArgs(false);
+    });
+
+    it("排队的提案在延迟到期后才能执行", async function () {
+      await handOverMemeToken();
+
+      const data = memeToken.interface.encodeFunctionData("updateTaxRates", [300, 400]);
+      const args = await queue(memeToken, data);
+
+      await expect(timelock.execute(...args))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+
+      await time.increase(DAY);
+      await expect(timelock.execute(...args))
+        .to.emit(memeToken, "TaxUpdated")
+        .withArgs(300, 400);
+      expect(await memeToken.buyTaxRate()).to.equal(300);
+      expect(await memeToken.sellTaxRate()).to.equal(400);
+    });
+
+    it("取消的提案不能执行", async function () {
+      await handOverMemeToken();
+
+      const data = memeToken.interface.encodeFunctionData("updateTransactionLimits", [1, 1, 1, 1]);
+      const args = await queue(memeToken, data);
+      const id = await timelock.hashOperation(...args);
+
+      await expect(timelock.connect(other).cancel(id))
+        .to.be.revertedWithCustomError(timelock, "AccessControlUnauthorizedAccount");
+      await expect(timelock.connect(proposer).cancel(id))
+        .to.emit(timelock, "Cancelled")
+        .withArgs(id);
+
+      await time.increase(DAY);
+      await expect(timelock.execute(...args))
+        .to.be.revertedWithCustomError(timelock, "TimelockUnexpectedOperationState");
+    });
+
+    it("LiquidityManager的紧急提取需要经过时间锁", async function () {
+      const timelockAddress = await timelock.getAddress();
+      await liquidityManager.transferOwnership(timelockAddress);
+      await queueAndExecute(liquidityManager, liquidityManager.interface.encodeFunctionData("acceptOwnership"));
+
+      const amount = ethers.parseEther("1");
+      await owner.sendTransaction({ to: await liquidityManager.getAddress(), value: amount });
+
+      await expect(liquidityManager.emergencyWithdrawETH(amount))
+        .to.be.revertedWithCustomError(liquidityManager, "OwnableUnauthorizedAccount");
+
+      await queueAndExecute(liquidityManager, liquidityManager.interface.encodeFunctionData("emergencyWithdrawETH", [amount]));
+      expect(await ethers.provider.getBalance(timelockAddress)).to.equal(amount);
+    });
+  });
+});
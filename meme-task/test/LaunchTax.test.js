@@ -0,0 +1,191 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("上线防狙击税", function () {
+  let memeToken;
+  let owner, marketingWallet, liquidityWallet, devWallet, pair, buyer;
+
+  const DEAD_BLOCKS = 3n;
+  const DEAD_BLOCK_TAX = 9900n;
+  const LAUNCH_TAX = 3000n;
+  const DECAY_BLOCKS = 10n;
+  const STEADY_TAX = 200n;
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, pair, buyer] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+
+    // 用普通账户模拟配对地址
+    await memeToken.setUniswapPair(pair.address);
+    await memeToken.transfer(pair.address, ethers.parseEther("1000000"));
+    await memeToken.transfer(buyer.address, ethers.parseEther("1000000"));
+  });
+
+  async function launchWithSchedule() {
+    await memeToken.updateLaunchSchedule(DEAD_BLOCKS, DEAD_BLOCK_TAX, LAUNCH_TAX, DECAY_BLOCKS);
+    const tx = await memeToken.enableTrading();
+    return BigInt((await tx.wait()).blockNumber);
+  }
+
+  // 计算一笔交易实际收取的税：营销钱包收到40%
+  async function taxRateOf(tx, amount) {
+    const marketingBefore = await memeToken.balanceOf(marketingWallet.address);
+    await tx;
+    const marketingReceived = (await memeToken.balanceOf(marketingWallet.address)) - marketingBefore;
+    return marketingReceived * 10000n * 10000n / 4000n / amount;
+  }
+
+  describe("配置", function () {
+    it("默认不启用上线计划", async function () {
+      expect(await memeToken.deadBlocks()).to.equal(0);
+      expect(await memeToken.launchTaxRate()).to.equal(0);
+
+      await memeToken.enableTrading();
+      const [buyTax, sellTax] = await memeToken.getCurrentTaxRates();
+      expect(buyTax).to.equal(STEADY_TAX);
+      expect(sellTax).to.equal(STEADY_TAX);
+    });
+
+    it("应该正确更新上线计划并触发事件", async function () {
+      await expect(memeToken.updateLaunchSchedule(DEAD_BLOCKS, DEAD_BLOCK_TAX, LAUNCH_TAX, DECAY_BLOCKS))
+        .to.emit(memeToken, "LaunchScheduleUpdated")
+        .withArgs(DEAD_BLOCKS, DEAD_BLOCK_TAX, LAUNCH_TAX, DECAY_BLOCKS);
+
+      expect(await memeToken.deadBlocks()).to.equal(DEAD_BLOCKS);
+      expect(await memeToken.deadBlockTaxRate()).to.equal(DEAD_BLOCK_TAX);
+      expect(await memeToken.launchTaxRate()).to.equal(LAUNCH_TAX);
+      expect(await memeToken.launchTaxDecayBlocks()).to.equal(DECAY_BLOCKS);
+    });
+
+    it("应该拒绝超过上限的配置", async function () {
+      await expect(memeToken.updateLaunchSchedule(21, DEAD_BLOCK_TAX, LAUNCH_TAX, DECAY_BLOCKS))
+        .to.be.revertedWith("Dead blocks cannot exceed 20");
+      await expect(memeToken.updateLaunchSchedule(DEAD_BLOCKS, 9901, LAUNCH_TAX, DECAY_BLOCKS))
+        .to.be.revertedWith("Dead block tax rate cannot exceed 99%");
+      await expect(memeToken.updateLaunchSchedule(DEAD_BLOCKS, DEAD_BLOCK_TAX, 5001, DECAY_BLOCKS))
+        .to.be.revertedWith("Launch tax rate cannot exceed 50%");
+    });
+
+    it("上线后不能再修改上线计划", async function () {
+      await launchWithSchedule();
+      await expect(memeToken.updateLaunchSchedule(0, 0, 0, 0))
+        .to.be.revertedWith("Already launched");
+    });
+
+    it("非税收管理员不能修改上线计划", async function () {
+      await expect(memeToken.connect(buyer).updateLaunchSchedule(0, 0, 0, 0))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("上线区块", function () {
+    it("首次开启交易时记录上线区块", async function () {
+      const tx = await memeToken.enableTrading();
+      const blockNumber = (await tx.wait()).blockNumber;
+
+      await expect(tx).to.emit(memeToken, "Launched").withArgs(blockNumber);
+      expect(await memeToken.launchBlock()).to.equal(blockNumber);
+    });
+
+    it("紧急停止后重新开启不会重置上线区块", async function () {
+      const launchBlock = await launchWithSchedule();
+      await memeToken.emergencyStop();
+      await mine(5);
+
+      await expect(memeToken.enableTrading()).to.not.emit(memeToken, "Launched");
+      expect(await memeToken.launchBlock()).to.equal(launchBlock);
+    });
+  });
+
+  describe("税率计划", function () {
+    it("上线前使用常规税率", async function () {
+      await memeToken.updateLaunchSchedule(DEAD_BLOCKS, DEAD_BLOCK_TAX, LAUNCH_TAX, DECAY_BLOCKS);
+      const [buyTax, sellTax] = await memeToken.getCurrentTaxRates();
+      expect(buyTax).to.equal(STEADY_TAX);
+      expect(sellTax).to.equal(STEADY_TAX);
+    });
+
+    it("死区块内买入按死区块税率、卖出按上线税率", async function () {
+      const launchBlock = await launchWithSchedule();
+
+      for (let i = 0n; i < DEAD_BLOCKS; i++) {
+        const [buyTax, sellTax] = await memeToken.getTaxRatesAt(launchBlock + i);
+        expect(buyTax).to.equal(DEAD_BLOCK_TAX);
+        expect(sellTax).to.equal(LAUNCH_TAX);
+      }
+    });
+
+    it("死区块之后线性衰减到常规税率", async function () {
+      const launchBlock = await launchWithSchedule();
+      const decayStart = launchBlock + DEAD_BLOCKS;
+
+      for (let i = 0n; i <= DECAY_BLOCKS; i++) {
+        const expected = STEADY_TAX + (LAUNCH_TAX - STEADY_TAX) * (DECAY_BLOCKS - i) / DECAY_BLOCKS;
+        const [buyTax, sellTax] = await memeToken.getTaxRatesAt(decayStart + i);
+        expect(buyTax).to.equal(expected);
+        expect(sellTax).to.equal(expected);
+      }
+
+      const [buyTax, sellTax] = await memeToken.getTaxRatesAt(decayStart + DECAY_BLOCKS + 100n);
+      expect(buyTax).to.equal(STEADY_TAX);
+      expect(sellTax).to.equal(STEADY_TAX);
+    });
+
+    it("上线税率低于常规税率时使用常规税率", async function () {
+      await memeToken.updateLaunchSchedule(0, 0, 100, DECAY_BLOCKS);
+      const tx = await memeToken.enableTrading();
+      const launchBlock = BigInt((await tx.wait()).blockNumber);
+
+      const [buyTax, sellTax] = await memeToken.getTaxRatesAt(launchBlock + 1n);
+      expect(buyTax).to.equal(STEADY_TAX);
+      expect(sellTax).to.equal(STEADY_TAX);
+    });
+  });
+
+  describe("实际征税", function () {
+    const amount = ethers.parseEther("10000");
+
+    it("死区块内的狙击买入被重税", async function () {
+      await launchWithSchedule();
+
+      const buyerBefore = await memeToken.balanceOf(buyer.address);
+      const taxRate = await taxRateOf(memeToken.connect(pair).transfer(buyer.address, amount), amount);
+
+      expect(taxRate).to.equal(DEAD_BLOCK_TAX);
+      expect((await memeToken.balanceOf(buyer.address)) - buyerBefore)
+        .to.equal(amount - amount * DEAD_BLOCK_TAX / 10000n);
+    });
+
+    it("衰减期内的卖出按当前区块税率征税", async function () {
+      const launchBlock = await launchWithSchedule();
+      // 下一笔交易落在衰减期第5个区块
+      const targetBlock = launchBlock + DEAD_BLOCKS + 5n;
+      await mine(targetBlock - launchBlock - 1n);
+
+      const tx = memeToken.connect(buyer).transfer(pair.address, amount);
+      const taxRate = await taxRateOf(tx, amount);
+      const [, expectedSellTax] = await memeToken.getTaxRatesAt(targetBlock);
+
+      expect(expectedSellTax).to.equal(STEADY_TAX + (LAUNCH_TAX - STEADY_TAX) * 5n / DECAY_BLOCKS);
+      expect(taxRate).to.equal(expectedSellTax);
+    });
+
+    it("衰减结束后按常规税率征税", async function () {
+      await launchWithSchedule();
+      await mine(DEAD_BLOCKS + DECAY_BLOCKS);
+
+      const taxRate = await taxRateOf(memeToken.connect(pair).transfer(buyer.address, amount), amount);
+      expect(taxRate).to.equal(STEADY_TAX);
+    });
+  });
+});
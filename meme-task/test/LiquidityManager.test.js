@@ -0,0 +1,344 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+
+describe("LiquidityManager LP托管与锁定", function () {
+  let memeToken, weth, router, pair, liquidityManager, managerAddress;
+  let owner, marketingWallet, liquidityWallet, devWallet, alice, bob;
+
+  const TOKEN_AMOUNT = ethers.parseEther("1000");
+  const ETH_AMOUNT = ethers.parseEther("1");
+  const ONE_DAY = 24 * 60 * 60;
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, alice, bob] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+
+    const MockWETH = await ethers.getContractFactory("MockWETH");
+    weth = await MockWETH.deploy();
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter");
+    router = await MockUniswapRouter.deploy(await weth.getAddress());
+
+    const factory = await ethers.getContractAt("MockUniswapFactory", await router.factory());
+    await factory.createPair(await memeToken.getAddress(), await weth.getAddress());
+    pair = await ethers.getContractAt(
+      "MockPair",
+      await factory.getPair(await memeToken.getAddress(), await weth.getAddress())
+    );
+
+    const LiquidityManager = await ethers.getContractFactory("LiquidityManager");
+    liquidityManager = await LiquidityManager.deploy(await memeToken.getAddress());
+    managerAddress = await liquidityManager.getAddress();
+
+    await liquidityManager.updateRouter(await router.getAddress());
+    await liquidityManager.setLiquidityPair(await pair.getAddress());
+
+    // 与部署脚本一致：LiquidityManager和路由免税、不受限制
+    for (const account of [managerAddress, await router.getAddress()]) {
+      await memeToken.setExcludedFromTax(account, true);
+      await memeToken.setExcludedFromLimit(account, true);
+    }
+    await memeToken.setUniswapPair(await pair.getAddress());
+    await memeToken.enableTrading();
+
+    for (const user of [alice, bob]) {
+      await memeToken.transfer(user.address, ethers.parseEther("100000"));
+      await memeToken.connect(user).approve(managerAddress, ethers.MaxUint256);
+    }
+  });
+
+  async function addLiquidity(user, tokenAmount = TOKEN_AMOUNT, ethAmount = ETH_AMOUNT) {
+    return liquidityManager.connect(user).addLiquidity(tokenAmount, ethAmount, 0, 0, { value: ethAmount });
+  }
+
+  async function lpOf(account) {
+    return liquidityManager.liquidityProvided(account);
+  }
+
+  describe("LP托管", function () {
+    it("添加流动性时LP由合约托管并记入调用者份额", async function () {
+      await expect(addLiquidity(alice))
+        .to.emit(liquidityManager, "LiquidityAdded")
+        .withArgs(alice.address, TOKEN_AMOUNT, ETH_AMOUNT, anyValue);
+
+      const lp = await lpOf(alice.address);
+      expect(lp).to.be.gt(0);
+      expect(await pair.balanceOf(managerAddress)).to.equal(lp);
+      expect(await pair.balanceOf(alice.address)).to.equal(0);
+      expect(await liquidityManager.totalLiquidity()).to.equal(lp);
+      expect(await liquidityManager.withdrawableLiquidity(alice.address)).to.equal(lp);
+      expect(await liquidityManager.getUserLiquidityBalance(alice.address)).to.equal(lp);
+
+      const [tokenReserve, ethReserve] = await liquidityManager.getReserves();
+      expect(tokenReserve).to.equal(TOKEN_AMOUNT);
+      expect(ethReserve).to.equal(ETH_AMOUNT);
+    });
+
+    it("多个提供者分别记账", async function () {
+      await addLiquidity(alice);
+      await addLiquidity(bob);
+
+      const total = (await lpOf(alice.address)) + (await lpOf(bob.address));
+      expect(await liquidityManager.totalLiquidity()).to.equal(total);
+      expect(await pair.balanceOf(managerAddress)).to.equal(total);
+    });
+
+    it("按池子比例添加，退还多余的代币和ETH", async function () {
+      await addLiquidity(alice);
+
+      // 代币过多：只投入与1 ETH等值的代币
+      const tokenBefore = await memeToken.balanceOf(bob.address);
+      await addLiquidity(bob, TOKEN_AMOUNT * 2n, ETH_AMOUNT);
+      expect(tokenBefore - await memeToken.balanceOf(bob.address)).to.equal(TOKEN_AMOUNT);
+
+      // ETH过多：只投入与代币等值的ETH
+      await expect(addLiquidity(bob, TOKEN_AMOUNT, ETH_AMOUNT * 2n))
+        .to.changeEtherBalance(bob, -ETH_AMOUNT);
+      expect(await ethers.provider.getBalance(managerAddress)).to.equal(0);
+      expect(await memeToken.balanceOf(managerAddress)).to.equal(0);
+    });
+
+    it("移除流动性时扣减份额并取回代币和ETH", async function () {
+      await addLiquidity(alice);
+      const lp = await lpOf(alice.address);
+      const totalSupply = await pair.totalSupply();
+      const expectedToken = (lp / 2n) * TOKEN_AMOUNT / totalSupply;
+      const expectedEth = (lp / 2n) * ETH_AMOUNT / totalSupply;
+
+      const tokenBefore = await memeToken.balanceOf(alice.address);
+      await expect(liquidityManager.connect(alice).removeLiquidity(lp / 2n, 0, 0))
+        .to.emit(liquidityManager, "LiquidityRemoved")
+        .withArgs(alice.address, lp / 2n, expectedToken, expectedEth);
+
+      expect(await memeToken.balanceOf(alice.address) - tokenBefore).to.equal(expectedToken);
+      expect(await lpOf(alice.address)).to.equal(lp - lp / 2n);
+      expect(await liquidityManager.totalLiquidity()).to.equal(lp - lp / 2n);
+    });
+
+    it("移除的ETH直接发送给提供者", async function () {
+      await addLiquidity(alice);
+      const lp = await lpOf(alice.address);
+      const expectedEth = lp * ETH_AMOUNT / (await pair.totalSupply());
+
+      await expect(liquidityManager.connect(alice).removeLiquidity(lp, 0, 0))
+        .to.changeEtherBalance(alice, expectedEth);
+    });
+
+    it("不能移除超过自己份额的流动性", async function () {
+      await addLiquidity(alice);
+      await addLiquidity(bob);
+
+      await expect(liquidityManager.connect(alice).removeLiquidity((await lpOf(alice.address)) + 1n, 0, 0))
+        .to.be.revertedWith("Insufficient liquidity");
+    });
+
+    it("已有托管LP时不能更换配对", async function () {
+      await addLiquidity(alice);
+
+      await expect(liquidityManager.setLiquidityPair(bob.address))
+        .to.be.revertedWith("Liquidity already custodied");
+    });
+
+    it("已有托管LP时不能更换路由", async function () {
+      await addLiquidity(alice);
+      await liquidityManager.connect(alice).lockLiquidity((await time.latest()) + 3600);
+
+      await expect(liquidityManager.updateRouter(bob.address))
+        .to.be.revertedWith("Liquidity already custodied");
+
+      // 全部移除后可以更换
+      await time.increase(3600);
+      await liquidityManager.connect(alice).removeLiquidity(await lpOf(alice.address), 0, 0);
+      await expect(liquidityManager.updateRouter(await router.getAddress()))
+        .to.emit(liquidityManager, "RouterUpdated");
+    });
+
+    it("紧急提取只能取走未记账的LP", async function () {
+      await addLiquidity(alice);
+      await expect(liquidityManager.emergencyWithdrawToken(await pair.getAddress(), 1))
+        .to.be.revertedWith("Cannot withdraw custodied liquidity");
+
+      // 直接发送到本合约的LP不属于任何头寸
+      await memeToken.approve(await router.getAddress(), TOKEN_AMOUNT);
+      await router.addLiquidityETH(
+        await memeToken.getAddress(), TOKEN_AMOUNT, 0, 0, managerAddress, ethers.MaxUint256, { value: ETH_AMOUNT }
+      );
+      const surplus = await liquidityManager.unaccountedLiquidity();
+      expect(surplus).to.be.gt(0);
+
+      await liquidityManager.emergencyWithdrawToken(await pair.getAddress(), surplus);
+      expect(await pair.balanceOf(owner.address)).to.equal(surplus);
+      expect(await pair.balanceOf(managerAddress)).to.equal(await lpOf(alice.address));
+    });
+  });
+
+  describe("用户锁定", function () {
+    it("锁定后不能移除流动性，到期后可以移除", async function () {
+      await addLiquidity(alice);
+      const lp = await lpOf(alice.address);
+      const unlockTime = (await time.latest()) + 30 * ONE_DAY;
+
+      await expect(liquidityManager.connect(alice).lockLiquidity(unlockTime))
+        .to.emit(liquidityManager, "LiquidityLocked")
+        .withArgs(alice.address, lp, unlockTime);
+
+      expect(await liquidityManager.isLocked(alice.address)).to.be.true;
+      expect(await liquidityManager.withdrawableLiquidity(alice.address)).to.equal(0);
+      await expect(liquidityManager.connect(alice).removeLiquidity(lp, 0, 0))
+        .to.be.revertedWith("Liquidity is locked");
+
+      await time.increaseTo(unlockTime);
+
+      expect(await liquidityManager.isLocked(alice.address)).to.be.false;
+      await liquidityManager.connect(alice).removeLiquidity(lp, 0, 0);
+      expect(await lpOf(alice.address)).to.equal(0);
+      expect(await pair.balanceOf(managerAddress)).to.equal(0);
+    });
+
+    it("锁定期内新增的LP同样被锁定", async function () {
+      await addLiquidity(alice);
+      await liquidityManager.connect(alice).lockLiquidity((await time.latest()) + ONE_DAY);
+      await addLiquidity(alice);
+
+      const [lpTokens, , locked] = await liquidityManager.getLockInfo(alice.address);
+      expect(lpTokens).to.equal(await pair.balanceOf(managerAddress));
+      expect(locked).to.be.true;
+      await expect(liquidityManager.connect(alice).removeLiquidity(1, 0, 0))
+        .to.be.revertedWith("Liquidity is locked");
+    });
+
+    it("锁定不影响其他提供者", async function () {
+      await addLiquidity(alice);
+      await addLiquidity(bob);
+      await liquidityManager.connect(alice).lockLiquidity((await time.latest()) + ONE_DAY);
+
+      await liquidityManager.connect(bob).removeLiquidity(await lpOf(bob.address), 0, 0);
+      expect(await lpOf(bob.address)).to.equal(0);
+    });
+
+    it("应该拒绝无效的锁定", async function () {
+      await expect(liquidityManager.connect(alice).lockLiquidity((await time.latest()) + ONE_DAY))
+        .to.be.revertedWith("No liquidity to lock");
+
+      await addLiquidity(alice);
+      await expect(liquidityManager.connect(alice).lockLiquidity(await time.latest()))
+        .to.be.revertedWith("Unlock time must be in the future");
+
+      await liquidityManager.connect(alice).lockLiquidity((await time.latest()) + ONE_DAY);
+      await expect(liquidityManager.connect(alice).lockLiquidity((await time.latest()) + 2 * ONE_DAY))
+        .to.be.revertedWith("Liquidity already locked");
+    });
+
+    it("只能延长锁定期，不能缩短", async function () {
+      await addLiquidity(alice);
+      const unlockTime = (await time.latest()) + ONE_DAY;
+
+      await expect(liquidityManager.connect(alice).extendLock(unlockTime))
+        .to.be.revertedWith("Liquidity not locked");
+
+      await liquidityManager.connect(alice).lockLiquidity(unlockTime);
+      await expect(liquidityManager.connect(alice).extendLock(unlockTime))
+        .to.be.revertedWith("New unlock time must be later");
+
+      await expect(liquidityManager.connect(alice).extendLock(unlockTime + ONE_DAY))
+        .to.emit(liquidityManager, "LockExtended")
+        .withArgs(alice.address, unlockTime, unlockTime + ONE_DAY);
+      expect(await liquidityManager.lockedUntil(alice.address)).to.equal(unlockTime + ONE_DAY);
+    });
+
+    it("到期后可以重新锁定", async function () {
+      await addLiquidity(alice);
+      await liquidityManager.connect(alice).lockLiquidity((await time.latest()) + ONE_DAY);
+      await time.increase(ONE_DAY);
+
+      await expect(liquidityManager.connect(alice).lockLiquidity((await time.latest()) + ONE_DAY))
+        .to.emit(liquidityManager, "LiquidityLocked");
+    });
+  });
+
+  describe("协议头寸", function () {
+    beforeEach(async function () {
+      await memeToken.transfer(managerAddress, TOKEN_AMOUNT);
+      await owner.sendTransaction({ to: managerAddress, value: ETH_AMOUNT });
+    });
+
+    it("税收添加的流动性记入协议头寸", async function () {
+      await expect(liquidityManager.autoAddLiquidityFromTax(TOKEN_AMOUNT, ETH_AMOUNT))
+        .to.emit(liquidityManager, "LiquidityAdded")
+        .withArgs(managerAddress, TOKEN_AMOUNT, ETH_AMOUNT, anyValue);
+
+      const lp = await liquidityManager.protocolLiquidity();
+      expect(lp).to.be.gt(0);
+      expect(await liquidityManager.totalLiquidity()).to.equal(lp);
+      expect(await pair.balanceOf(managerAddress)).to.equal(lp);
+    });
+
+    it("锁定的协议头寸不能被所有者移除", async function () {
+      await liquidityManager.autoAddLiquidityFromTax(TOKEN_AMOUNT, ETH_AMOUNT);
+      const lp = await liquidityManager.protocolLiquidity();
+      const unlockTime = (await time.latest()) + 365 * ONE_DAY;
+
+      await expect(liquidityManager.lockProtocolLiquidity(unlockTime))
+        .to.emit(liquidityManager, "LiquidityLocked")
+        .withArgs(managerAddress, lp, unlockTime);
+
+      await expect(liquidityManager.removeProtocolLiquidity(lp, 0, 0))
+        .to.be.revertedWith("Liquidity is locked");
+
+      // 紧急移除跳过锁定中的协议头寸
+      await liquidityManager.emergencyRemoveAllLiquidity();
+      expect(await liquidityManager.protocolLiquidity()).to.equal(lp);
+
+      await time.increaseTo(unlockTime);
+      const tokenBefore = await memeToken.balanceOf(owner.address);
+      await liquidityManager.removeProtocolLiquidity(lp, 0, 0);
+      expect(await liquidityManager.protocolLiquidity()).to.equal(0);
+      expect(await memeToken.balanceOf(owner.address)).to.be.gt(tokenBefore);
+    });
+
+    it("可以在添加流动性之前锁定协议头寸", async function () {
+      await liquidityManager.lockProtocolLiquidity((await time.latest()) + ONE_DAY);
+      await liquidityManager.autoAddLiquidityFromTax(TOKEN_AMOUNT, ETH_AMOUNT);
+
+      const [lpTokens, , locked] = await liquidityManager.getLockInfo(managerAddress);
+      expect(lpTokens).to.equal(await pair.balanceOf(managerAddress));
+      expect(locked).to.be.true;
+    });
+
+    it("紧急移除不影响用户托管的LP", async function () {
+      await addLiquidity(alice);
+      await liquidityManager.autoAddLiquidityFromTax(TOKEN_AMOUNT, ETH_AMOUNT);
+      const aliceLp = await lpOf(alice.address);
+
+      await liquidityManager.emergencyRemoveAllLiquidity();
+
+      expect(await liquidityManager.protocolLiquidity()).to.equal(0);
+      expect(await lpOf(alice.address)).to.equal(aliceLp);
+      expect(await liquidityManager.totalLiquidity()).to.equal(aliceLp);
+      expect(await pair.balanceOf(managerAddress)).to.equal(aliceLp);
+    });
+
+    it("协议锁定只能由所有者操作", async function () {
+      const unlockTime = (await time.latest()) + ONE_DAY;
+
+      await expect(liquidityManager.connect(alice).lockProtocolLiquidity(unlockTime))
+        .to.be.revertedWithCustomError(liquidityManager, "OwnableUnauthorizedAccount");
+      await liquidityManager.lockProtocolLiquidity(unlockTime);
+      await expect(liquidityManager.connect(alice).extendProtocolLock(unlockTime + ONE_DAY))
+        .to.be.revertedWithCustomError(liquidityManager, "OwnableUnauthorizedAccount");
+      await expect(liquidityManager.connect(alice).removeProtocolLiquidity(1, 0, 0))
+        .to.be.revertedWithCustomError(liquidityManager, "OwnableUnauthorizedAccount");
+    });
+  });
+});
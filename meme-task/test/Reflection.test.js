@@ -0,0 +1,264 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("持币分红（反射）", function () {
+  let memeToken;
+  let owner, marketingWallet, liquidityWallet, devWallet, pair, holders;
+  let tokenAddress;
+
+  const TAX_RATE = 200n;
+  const REFLECTION_SHARE = 5000n; // 税收的50%用于分红
+  const DEAD_ADDRESS = "0x000000000000000000000000000000000000dEaD";
+
+  beforeEach(async function () {
+    let rest;
+    [owner, marketingWallet, liquidityWallet, devWallet, pair, ...rest] = await ethers.getSigners();
+    holders = rest.slice(0, 5);
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+    tokenAddress = await memeToken.getAddress();
+
+    // 用普通账户模拟配对地址
+    await memeToken.setUniswapPair(pair.address);
+    await memeToken.enableTrading();
+
+    for (const holder of holders) {
+      await memeToken.setExcludedFromLimit(holder.address, true);
+    }
+    await memeToken.transfer(pair.address, ethers.parseEther("50000000"));
+  });
+
+  function allAccounts() {
+    return [
+      owner.address, marketingWallet.address, liquidityWallet.address, devWallet.address,
+      pair.address, tokenAddress, DEAD_ADDRESS, ...holders.map((h) => h.address)
+    ];
+  }
+
+  async function sumOfBalances() {
+    let sum = 0n;
+    for (const account of allAccounts()) {
+      sum += await memeToken.balanceOf(account);
+    }
+    return sum;
+  }
+
+  describe("配置", function () {
+    it("默认关闭分红，合约、黑洞和配对地址不参与分红", async function () {
+      expect(await memeToken.reflectionShare()).to.equal(0);
+      expect(await memeToken.isExcludedFromReward(tokenAddress)).to.be.true;
+      expect(await memeToken.isExcludedFromReward(DEAD_ADDRESS)).to.be.true;
+      expect(await memeToken.isExcludedFromReward(pair.address)).to.be.true;
+      expect(await memeToken.isExcludedFromReward(owner.address)).to.be.false;
+    });
+
+    it("应该正确更新分红比例并触发事件", async function () {
+      await expect(memeToken.updateReflectionShare(REFLECTION_SHARE))
+        .to.emit(memeToken, "ReflectionShareUpdated")
+        .withArgs(REFLECTION_SHARE);
+      expect(await memeToken.reflectionShare()).to.equal(REFLECTION_SHARE);
+    });
+
+    it("应该拒绝过高的分红比例和非税收管理员调用", async function () {
+      await expect(memeToken.updateReflectionShare(5001))
+        .to.be.revertedWith("Reflection share cannot exceed 50%");
+      await expect(memeToken.connect(holders[0]).updateReflectionShare(100))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+      await expect(memeToken.connect(holders[0]).excludeFromReward(holders[1].address))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+    });
+
+    it("分红关闭时余额与普通ERC20一致", async function () {
+      const amount = ethers.parseEther("1000");
+      await memeToken.transfer(holders[0].address, amount);
+      await memeToken.connect(pair).transfer(holders[0].address, amount);
+
+      expect(await memeToken.balanceOf(holders[0].address)).to.equal(amount * 2n - amount * TAX_RATE / 10000n);
+      expect(await memeToken.totalReflected()).to.equal(0);
+    });
+  });
+
+  describe("分红分配", function () {
+    beforeEach(async function () {
+      await memeToken.updateReflectionShare(REFLECTION_SHARE);
+      await memeToken.transfer(holders[0].address, ethers.parseEther("1000000"));
+      await memeToken.transfer(holders[1].address, ethers.parseEther("3000000"));
+      await memeToken.transfer(holders[2].address, ethers.parseEther("1000000"));
+    });
+
+    it("应该按持有比例把分红分给持有者", async function () {
+      const before0 = await memeToken.balanceOf(holders[0].address);
+      const before1 = await memeToken.balanceOf(holders[1].address);
+      const pairBefore = await memeToken.balanceOf(pair.address);
+
+      const amount = ethers.parseEther("500000");
+      const tax = amount * TAX_RATE / 10000n;
+      const reflection = tax * REFLECTION_SHARE / 10000n;
+
+      await expect(memeToken.connect(holders[2]).transfer(pair.address, amount))
+        .to.emit(memeToken, "ReflectionDistributed")
+        .withArgs(reflection);
+
+      const gain0 = (await memeToken.balanceOf(holders[0].address)) - before0;
+      const gain1 = (await memeToken.balanceOf(holders[1].address)) - before1;
+      expect(gain0).to.be.gt(0);
+      expect(gain1).to.be.closeTo(gain0 * 3n, 3n);
+
+      // 配对地址不参与分红，只收到扣税后的金额
+      expect(await memeToken.balanceOf(pair.address)).to.equal(pairBefore + amount - tax);
+      expect(await memeToken.totalReflected()).to.equal(reflection);
+    });
+
+    it("其余税收仍按钱包比例分配", async function () {
+      const amount = ethers.parseEther("500000");
+      const walletTax = amount * TAX_RATE / 10000n * (10000n - REFLECTION_SHARE) / 10000n;
+
+      await expect(memeToken.connect(holders[2]).transfer(pair.address, amount))
+        .to.emit(memeToken, "TaxesDistributed")
+        .withArgs(walletTax * 4000n / 10000n, walletTax * 3000n / 10000n, walletTax - walletTax * 7000n / 10000n);
+      expect(await memeToken.balanceOf(tokenAddress)).to.equal(0);
+    });
+
+    it("分红后总供应量不变，余额之和与总供应量一致", async function () {
+      const totalSupply = await memeToken.totalSupply();
+      await memeToken.connect(holders[2]).transfer(pair.address, ethers.parseEther("500000"));
+
+      expect(await memeToken.totalSupply()).to.equal(totalSupply);
+      const sum = await sumOfBalances();
+      expect(sum).to.be.lte(totalSupply);
+      expect(totalSupply - sum).to.be.lte(BigInt(allAccounts().length));
+    });
+
+    it("分红后可以转出全部余额", async function () {
+      await memeToken.connect(holders[2]).transfer(pair.address, ethers.parseEther("500000"));
+
+      const balance = await memeToken.balanceOf(holders[0].address);
+      await memeToken.connect(holders[0]).transfer(holders[3].address, balance);
+      expect(await memeToken.balanceOf(holders[0].address)).to.equal(0);
+      expect(await memeToken.balanceOf(holders[3].address)).to.equal(balance);
+    });
+  });
+
+  describe("排除/恢复分红", function () {
+    beforeEach(async function () {
+      await memeToken.updateReflectionShare(REFLECTION_SHARE);
+      await memeToken.transfer(holders[0].address, ethers.parseEther("1000000"));
+      await memeToken.transfer(holders[1].address, ethers.parseEther("1000000"));
+    });
+
+    it("排除后余额不变且不再获得分红", async function () {
+      const balance = await memeToken.balanceOf(holders[0].address);
+      await expect(memeToken.excludeFromReward(holders[0].address))
+        .to.emit(memeToken, "ExcludedFromReward")
+        .withArgs(holders[0].address);
+      expect(await memeToken.balanceOf(holders[0].address)).to.equal(balance);
+
+      const before1 = await memeToken.balanceOf(holders[1].address);
+      await memeToken.connect(holders[1]).transfer(pair.address, ethers.parseEther("100000"));
+
+      expect(await memeToken.balanceOf(holders[0].address)).to.equal(balance);
+      expect(await memeToken.balanceOf(holders[1].address)).to.be.gt(before1 - ethers.parseEther("100000"));
+    });
+
+    it("恢复后余额不变并重新获得分红", async function () {
+      await memeToken.excludeFromReward(holders[0].address);
+      const balance = await memeToken.balanceOf(holders[0].address);
+
+      await expect(memeToken.includeInReward(holders[0].address))
+        .to.emit(memeToken, "IncludedInReward")
+        .withArgs(holders[0].address);
+      expect(await memeToken.balanceOf(holders[0].address)).to.equal(balance);
+
+      await memeToken.connect(holders[1]).transfer(pair.address, ethers.parseEther("100000"));
+      expect(await memeToken.balanceOf(holders[0].address)).to.be.gt(balance);
+    });
+
+    it("应该拒绝重复排除或恢复", async function () {
+      await expect(memeToken.excludeFromReward(pair.address))
+        .to.be.revertedWith("Account is already excluded");
+      await expect(memeToken.includeInReward(holders[0].address))
+        .to.be.revertedWith("Account is not excluded");
+    });
+  });
+
+  describe("随机转账后的不变量", function () {
+    // 固定种子的线性同余生成器，保证测试可复现
+    let seed = 20240601n;
+    function random(max) {
+      seed = (seed * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+      return (seed >> 16n) % max;
+    }
+
+    it("多次随机转账、买入、卖出后余额之和始终与总供应量一致", async function () {
+      await memeToken.updateReflectionShare(REFLECTION_SHARE);
+      await memeToken.excludeFromReward(holders[4].address);
+      for (const holder of holders) {
+        await memeToken.transfer(holder.address, ethers.parseEther("2000000"));
+      }
+
+      const totalSupply = await memeToken.totalSupply();
+      let expectedReflected = 0n;
+
+      for (let i = 0; i < 120; i++) {
+        const action = random(3n);
+        const sender = holders[Number(random(BigInt(holders.length)))];
+        const receiver = holders[Number(random(BigInt(holders.length)))];
+
+        const balancesBefore = {};
+        for (const account of allAccounts()) {
+          balancesBefore[account] = await memeToken.balanceOf(account);
+        }
+
+        let from, to;
+        if (action === 0n) {
+          from = sender; to = receiver.address;       // 普通转账，不收税
+        } else if (action === 1n) {
+          from = sender; to = pair.address;           // 卖出
+        } else {
+          from = pair; to = receiver.address;         // 买入
+        }
+
+        const fromBalance = balancesBefore[from.address];
+        const amount = fromBalance * (random(50n) + 1n) / 100n;
+        if (amount === 0n) continue;
+        await memeToken.connect(from).transfer(to, amount);
+
+        const isTaxed = action !== 0n;
+        const tax = isTaxed ? amount * TAX_RATE / 10000n : 0n;
+        expectedReflected += tax * REFLECTION_SHARE / 10000n;
+
+        // 总供应量不变，余额之和只可能因取整略小于总供应量
+        expect(await memeToken.totalSupply()).to.equal(totalSupply);
+        const sum = await sumOfBalances();
+        expect(sum).to.be.lte(totalSupply);
+        expect(totalSupply - sum).to.be.lte(BigInt(allAccounts().length));
+
+        // 排除地址的余额严格按转账金额变化
+        const pairDelta = action === 1n ? amount - tax : action === 2n ? -amount : 0n;
+        expect(await memeToken.balanceOf(pair.address)).to.equal(balancesBefore[pair.address] + pairDelta);
+        if (from.address !== holders[4].address && to !== holders[4].address) {
+          expect(await memeToken.balanceOf(holders[4].address)).to.equal(balancesBefore[holders[4].address]);
+        }
+
+        // 未参与转账的持有者余额不会减少
+        for (const holder of holders) {
+          if (holder.address !== from.address && holder.address !== to) {
+            expect(await memeToken.balanceOf(holder.address)).to.be.gte(balancesBefore[holder.address]);
+          }
+        }
+      }
+
+      expect(await memeToken.totalReflected()).to.equal(expectedReflected);
+      expect(expectedReflected).to.be.gt(0);
+      expect(await memeToken.balanceOf(tokenAddress)).to.equal(0);
+    });
+  });
+});
@@ -0,0 +1,216 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("自动换取流动性", function () {
+  let memeToken, weth, router, pair;
+  let owner, marketingWallet, liquidityWallet, devWallet, addr1;
+
+  const sellAmount = ethers.parseEther("10000");
+  const threshold = ethers.parseEther("100");
+  // 每笔卖出的流动性税：2%税收中的30%
+  const liquidityTaxPerSell = sellAmount * 200n / 10000n * 3000n / 10000n;
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, addr1] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+
+    const MockWETH = await ethers.getContractFactory("MockWETH");
+    weth = await MockWETH.deploy();
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter");
+    router = await MockUniswapRouter.deploy(await weth.getAddress());
+
+    // 所有者注入初始流动性：1000000代币 / 100 ETH
+    await memeToken.approve(await router.getAddress(), ethers.MaxUint256);
+    await router.addLiquidityETH(
+      await memeToken.getAddress(),
+      ethers.parseEther("1000000"),
+      0,
+      0,
+      owner.address,
+      ethers.MaxUint256,
+      { value: ethers.parseEther("100") }
+    );
+    const factory = await ethers.getContractAt("MockUniswapFactory", await router.factory());
+    pair = await ethers.getContractAt(
+      "MockPair",
+      await factory.getPair(await memeToken.getAddress(), await weth.getAddress())
+    );
+
+    await memeToken.updateUniswapV2Router(await router.getAddress());
+    await memeToken.setUniswapPair(await pair.getAddress());
+    await memeToken.updateSwapTokensAtAmount(threshold);
+    await memeToken.enableTrading();
+
+    await memeToken.transfer(addr1.address, ethers.parseEther("100000"));
+    await memeToken.connect(addr1).approve(await router.getAddress(), ethers.MaxUint256);
+  });
+
+  // 通过路由卖出，与真实交易路径一致
+  async function sell(amount = sellAmount) {
+    return router.connect(addr1).swapExactTokensForETHSupportingFeeOnTransferTokens(
+      amount, 0, [await memeToken.getAddress(), await weth.getAddress()], addr1.address, ethers.MaxUint256
+    );
+  }
+
+  describe("配置", function () {
+    it("应该设置正确的默认值", async function () {
+      const MemeToken = await ethers.getContractFactory("MemeToken");
+      const fresh = await MemeToken.deploy(
+        "MemeShiba", "MEMESHI", 1000000000, marketingWallet.address, liquidityWallet.address, devWallet.address
+      );
+
+      expect(await fresh.swapAndLiquifyEnabled()).to.be.false;
+      expect(await fresh.swapTokensAtAmount()).to.equal(ethers.parseEther("1000000000") / 2000n);
+      expect(await fresh.uniswapV2Router()).to.equal(await fresh.UNISWAP_V2_ROUTER());
+    });
+
+    it("应该正确更新配置并触发事件", async function () {
+      await expect(memeToken.setSwapAndLiquifyEnabled(true))
+        .to.emit(memeToken, "SwapAndLiquifyEnabledUpdated")
+        .withArgs(true);
+
+      await expect(memeToken.updateSwapTokensAtAmount(ethers.parseEther("500")))
+        .to.emit(memeToken, "SwapTokensAtAmountUpdated")
+        .withArgs(ethers.parseEther("500"));
+
+      await expect(memeToken.updateUniswapV2Router(addr1.address))
+        .to.emit(memeToken, "UniswapV2RouterUpdated")
+        .withArgs(addr1.address, await router.getAddress());
+      expect(await memeToken.isExcludedFromLimit(addr1.address)).to.be.true;
+    });
+
+    it("更换路由后原路由不再免受交易限制", async function () {
+      expect(await memeToken.isExcludedFromLimit(await router.getAddress())).to.be.true;
+
+      await memeToken.updateUniswapV2Router(addr1.address);
+      expect(await memeToken.isExcludedFromLimit(await router.getAddress())).to.be.false;
+
+      // 重复设置同一路由不会取消免限制
+      await memeToken.updateUniswapV2Router(addr1.address);
+      expect(await memeToken.isExcludedFromLimit(addr1.address)).to.be.true;
+    });
+
+    it("阈值必须大于0且不超过总供应量的1%", async function () {
+      await expect(memeToken.updateSwapTokensAtAmount(0))
+        .to.be.revertedWith("Swap amount must be greater than zero");
+      await expect(memeToken.updateSwapTokensAtAmount(ethers.parseEther("10000001")))
+        .to.be.revertedWith("Swap amount cannot exceed 1% of supply");
+    });
+
+    it("非所有者不能修改配置", async function () {
+      await expect(memeToken.connect(addr1).setSwapAndLiquifyEnabled(true))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+      await expect(memeToken.connect(addr1).updateSwapTokensAtAmount(threshold))
+        .to.be.revertedWithCustomError(memeToken, "AccessControlUnauthorizedAccount");
+      await expect(memeToken.connect(addr1).updateUniswapV2Router(addr1.address))
+        .to.be.revertedWithCustomError(memeToken, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("流动性税", function () {
+    it("关闭时流动性税直接发送给liquidityWallet", async function () {
+      await sell();
+
+      expect(await memeToken.balanceOf(liquidityWallet.address)).to.equal(liquidityTaxPerSell);
+      expect(await memeToken.balanceOf(await memeToken.getAddress())).to.equal(0);
+    });
+
+    it("开启后流动性税留在合约中", async function () {
+      await memeToken.setSwapAndLiquifyEnabled(true);
+      await sell();
+
+      expect(await memeToken.balanceOf(liquidityWallet.address)).to.equal(0);
+      expect(await memeToken.balanceOf(await memeToken.getAddress())).to.equal(liquidityTaxPerSell);
+    });
+  });
+
+  describe("触发条件", function () {
+    beforeEach(async function () {
+      await memeToken.setSwapAndLiquifyEnabled(true);
+    });
+
+    it("未达到阈值时不应该触发", async function () {
+      await sell();
+      await expect(sell()).to.not.emit(memeToken, "SwapAndLiquify");
+    });
+
+    it("达到阈值后卖出应该换取ETH并添加流动性", async function () {
+      await sell();
+      await sell();
+      expect(await memeToken.balanceOf(await memeToken.getAddress())).to.equal(liquidityTaxPerSell * 2n);
+
+      const half = threshold / 2n;
+      const [tokenReserve, ethReserve] = await router.getReserves(await memeToken.getAddress(), await weth.getAddress());
+      const ethReceived = await router.getAmountOut(half, tokenReserve, ethReserve);
+      const lpBefore = await pair.balanceOf(liquidityWallet.address);
+
+      await expect(sell())
+        .to.emit(memeToken, "SwapAndLiquify")
+        .withArgs(half, ethReceived, threshold - half);
+
+      // LP发送给liquidityWallet，路由不留代币和ETH
+      expect(await pair.balanceOf(liquidityWallet.address)).to.be.gt(lpBefore);
+      expect(await memeToken.balanceOf(await router.getAddress())).to.equal(0);
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+
+      // 换得的ETH不足以匹配另一半代币，ETH全部用于添加流动性，剩余代币留在合约中等待下次
+      expect(await ethers.provider.getBalance(await memeToken.getAddress())).to.equal(0);
+      expect(await memeToken.balanceOf(await memeToken.getAddress()))
+        .to.be.gt(liquidityTaxPerSell * 3n - threshold);
+    });
+
+    it("添加流动性后剩余的ETH转给liquidityWallet", async function () {
+      await sell();
+      await sell();
+      // 模拟路由退还或之前留下的ETH
+      const leftover = ethers.parseEther("1");
+      await owner.sendTransaction({ to: await memeToken.getAddress(), value: leftover });
+
+      const tx = sell();
+      await expect(tx).to.emit(memeToken, "LiquifyLeftoverSent").withArgs(liquidityWallet.address, leftover);
+      await expect(tx).to.changeEtherBalance(liquidityWallet, leftover);
+      expect(await ethers.provider.getBalance(await memeToken.getAddress())).to.equal(0);
+    });
+
+    it("liquidityWallet拒收ETH时不影响卖出", async function () {
+      // 没有receive函数的合约作为流动性钱包
+      await memeToken.updateTaxWallets(marketingWallet.address, await router.factory(), devWallet.address);
+      await sell();
+      await sell();
+      await owner.sendTransaction({ to: await memeToken.getAddress(), value: ethers.parseEther("1") });
+
+      await expect(sell()).to.emit(memeToken, "SwapAndLiquify").and.not.to.emit(memeToken, "LiquifyLeftoverSent");
+      expect(await ethers.provider.getBalance(await memeToken.getAddress())).to.equal(ethers.parseEther("1"));
+    });
+
+    it("买入交易不应该触发", async function () {
+      await sell();
+      await sell();
+
+      await expect(
+        router.connect(addr1).swapExactETHForTokensSupportingFeeOnTransferTokens(
+          0, [await weth.getAddress(), await memeToken.getAddress()], addr1.address, ethers.MaxUint256,
+          { value: ethers.parseEther("0.1") }
+        )
+      ).to.not.emit(memeToken, "SwapAndLiquify");
+    });
+
+    it("关闭后不应该触发", async function () {
+      await sell();
+      await sell();
+      await memeToken.setSwapAndLiquifyEnabled(false);
+
+      await expect(sell()).to.not.emit(memeToken, "SwapAndLiquify");
+    });
+  });
+});
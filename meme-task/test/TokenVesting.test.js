@@ -0,0 +1,202 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TokenVesting 锁仓", function () {
+  let memeToken, vesting;
+  let owner, marketingWallet, liquidityWallet, devWallet, team, other;
+  let start;
+
+  const DAY = 24 * 60 * 60;
+  const CLIFF = 180 * DAY;
+  const DURATION = 720 * DAY;
+  const AMOUNT = ethers.parseEther("72000000");
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, team, other] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+    await memeToken.enableTrading();
+
+    const TokenVesting = await ethers.getContractFactory("TokenVesting");
+    vesting = await TokenVesting.deploy(await memeToken.getAddress());
+
+    await memeToken.setExcludedFromTax(await vesting.getAddress(), true);
+    await memeToken.setExcludedFromLimit(await vesting.getAddress(), true);
+    await memeToken.approve(await vesting.getAddress(), ethers.MaxUint256);
+
+    start = (await time.latest()) + 10;
+  });
+
+  async function createSchedule(revocable) {
+    await vesting.createVestingSchedule(team.address, AMOUNT, start, CLIFF, DURATION, revocable);
+    return 0;
+  }
+
+  describe("创建锁仓计划", function () {
+    it("应该把代币转入锁仓合约并记录计划", async function () {
+      await expect(vesting.createVestingSchedule(team.address, AMOUNT, start, CLIFF, DURATION, false))
+        .to.emit(vesting, "VestingScheduleCreated")
+        .withArgs(0, team.address, AMOUNT, start, CLIFF, DURATION, false);
+
+      expect(await memeToken.balanceOf(await vesting.getAddress())).to.equal(AMOUNT);
+      expect(await memeToken.balanceOf(team.address)).to.equal(0);
+      expect(await vesting.totalLocked()).to.equal(AMOUNT);
+      expect(await vesting.getScheduleIds(team.address)).to.deep.equal([0n]);
+      expect(await vesting.lockedAmount(team.address)).to.equal(AMOUNT);
+    });
+
+    it("应该拒绝无效参数", async function () {
+      await expect(vesting.createVestingSchedule(ethers.ZeroAddress, AMOUNT, start, CLIFF, DURATION, false))
+        .to.be.revertedWith("Beneficiary cannot be zero address");
+      await expect(vesting.createVestingSchedule(team.address, 0, start, CLIFF, DURATION, false))
+        .to.be.revertedWith("Amount must be greater than zero");
+      await expect(vesting.createVestingSchedule(team.address, AMOUNT, start, 0, 0, false))
+        .to.be.revertedWith("Duration must be greater than zero");
+      await expect(vesting.createVestingSchedule(team.address, AMOUNT, start, DURATION + 1, DURATION, false))
+        .to.be.revertedWith("Cliff exceeds duration");
+    });
+
+    it("只有所有者可以创建计划", async function () {
+      await expect(vesting.connect(other).createVestingSchedule(team.address, AMOUNT, start, CLIFF, DURATION, false))
+        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("悬崖期与线性释放", function () {
+    it("悬崖期内不释放", async function () {
+      const id = await createSchedule(false);
+      await time.increaseTo(start + CLIFF - 2);
+
+      expect(await vesting.vestedAmount(id)).to.equal(0);
+      await expect(vesting.connect(team).claim(id)).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("悬崖期结束后按时间线性释放", async function () {
+      const id = await createSchedule(false);
+
+      await time.increaseTo(start + CLIFF);
+      expect(await vesting.vestedAmount(id)).to.equal(AMOUNT * BigInt(CLIFF) / BigInt(DURATION));
+
+      await time.increaseTo(start + DURATION / 2);
+      expect(await vesting.vestedAmount(id)).to.equal(AMOUNT / 2n);
+
+      await time.increaseTo(start + DURATION);
+      expect(await vesting.vestedAmount(id)).to.equal(AMOUNT);
+      expect(await vesting.lockedAmount(team.address)).to.equal(0);
+    });
+
+    it("受益人可以分多次领取，总额等于锁仓量", async function () {
+      const id = await createSchedule(false);
+
+      await time.increaseTo(start + DURATION / 2 - 1);
+      await expect(vesting.connect(team).claim(id))
+        .to.emit(vesting, "TokensClaimed")
+        .withArgs(id, team.address, AMOUNT / 2n);
+      expect(await memeToken.balanceOf(team.address)).to.equal(AMOUNT / 2n);
+      expect(await vesting.claimableAmount(id)).to.equal(0);
+
+      await time.increaseTo(start + DURATION);
+      await vesting.connect(team).claim(id);
+
+      expect(await memeToken.balanceOf(team.address)).to.equal(AMOUNT);
+      expect(await vesting.totalLocked()).to.equal(0);
+      await expect(vesting.connect(team).claim(id)).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("claimAll应该领取名下所有计划", async function () {
+      await createSchedule(false);
+      await vesting.createVestingSchedule(team.address, AMOUNT, start, 0, DURATION, true);
+
+      await time.increaseTo(start + DURATION);
+      await vesting.connect(team).claimAll();
+
+      expect(await memeToken.balanceOf(team.address)).to.equal(AMOUNT * 2n);
+      await expect(vesting.connect(team).claimAll()).to.be.revertedWith("Nothing to claim");
+    });
+
+    it("非受益人不能领取", async function () {
+      const id = await createSchedule(false);
+      await time.increaseTo(start + DURATION);
+
+      await expect(vesting.connect(other).claim(id)).to.be.revertedWith("Only beneficiary can claim");
+      await expect(vesting.connect(team).claim(1)).to.be.revertedWith("Schedule does not exist");
+    });
+  });
+
+  describe("锁定代币不可转出", function () {
+    it("受益人钱包只持有已领取部分，无法转出锁定代币", async function () {
+      const id = await createSchedule(false);
+      await time.increaseTo(start + DURATION / 4 - 1);
+      await vesting.connect(team).claim(id);
+
+      const claimed = await memeToken.balanceOf(team.address);
+      expect(claimed).to.equal(AMOUNT / 4n);
+
+      // 排除交易限制，只验证余额约束
+      await memeToken.setExcludedFromLimit(team.address, true);
+      await expect(memeToken.connect(team).transfer(other.address, claimed + 1n))
+        .to.be.revertedWithCustomError(memeToken, "ERC20InsufficientBalance");
+
+      // 已领取部分可以正常转出
+      await memeToken.connect(team).transfer(other.address, claimed);
+      expect(await memeToken.balanceOf(team.address)).to.equal(0);
+    });
+  });
+
+  describe("撤销", function () {
+    it("可撤销计划：已释放部分给受益人，未释放部分退回所有者", async function () {
+      const id = await createSchedule(true);
+      await time.increaseTo(start + DURATION / 4 - 1);
+      await vesting.connect(team).claim(id);
+
+      const ownerBefore = await memeToken.balanceOf(owner.address);
+      await time.increaseTo(start + DURATION / 2 - 1);
+      await expect(vesting.revoke(id))
+        .to.emit(vesting, "VestingScheduleRevoked")
+        .withArgs(id, team.address, AMOUNT / 4n, AMOUNT / 2n);
+
+      expect(await memeToken.balanceOf(team.address)).to.equal(AMOUNT / 2n);
+      expect(await memeToken.balanceOf(owner.address)).to.equal(ownerBefore + AMOUNT / 2n);
+      expect(await vesting.totalLocked()).to.equal(0);
+      expect(await vesting.lockedAmount(team.address)).to.equal(0);
+
+      // 撤销后不再继续释放
+      await time.increaseTo(start + DURATION);
+      expect(await vesting.claimableAmount(id)).to.equal(0);
+      await expect(vesting.revoke(id)).to.be.revertedWith("Schedule already revoked");
+    });
+
+    it("不可撤销计划不能撤销", async function () {
+      const id = await createSchedule(false);
+      await expect(vesting.revoke(id)).to.be.revertedWith("Schedule is not revocable");
+    });
+
+    it("只有所有者可以撤销", async function () {
+      const id = await createSchedule(true);
+      await expect(vesting.connect(other).revoke(id))
+        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("未分配代币", function () {
+    it("只能提取未分配给计划的代币", async function () {
+      await createSchedule(false);
+      const extra = ethers.parseEther("1000");
+      await memeToken.transfer(await vesting.getAddress(), extra);
+
+      await expect(vesting.withdrawUnallocated(extra + 1n))
+        .to.be.revertedWith("Amount exceeds unallocated balance");
+      await vesting.withdrawUnallocated(extra);
+      expect(await memeToken.balanceOf(await vesting.getAddress())).to.equal(AMOUNT);
+    });
+  });
+});
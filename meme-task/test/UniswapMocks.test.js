@@ -0,0 +1,162 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("本地Uniswap模拟环境", function () {
+  let memeToken, weth, router, factory, pair;
+  let owner, marketingWallet, liquidityWallet, devWallet, trader;
+  let tokenAddress, wethAddress;
+
+  const TOKEN_RESERVE = ethers.parseEther("1000000");
+  const ETH_RESERVE = ethers.parseEther("100");
+  const MINIMUM_LIQUIDITY = 1000n;
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, trader] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+    tokenAddress = await memeToken.getAddress();
+
+    const MockWETH = await ethers.getContractFactory("MockWETH");
+    weth = await MockWETH.deploy();
+    wethAddress = await weth.getAddress();
+
+    const MockUniswapRouter = await ethers.getContractFactory("MockUniswapRouter");
+    router = await MockUniswapRouter.deploy(wethAddress);
+    factory = await ethers.getContractAt("MockUniswapFactory", await router.factory());
+
+    // 首次添加流动性时自动创建交易对
+    await memeToken.approve(await router.getAddress(), ethers.MaxUint256);
+    await router.addLiquidityETH(tokenAddress, TOKEN_RESERVE, 0, 0, owner.address, ethers.MaxUint256, { value: ETH_RESERVE });
+    pair = await ethers.getContractAt("MockPair", await factory.getPair(tokenAddress, wethAddress));
+
+    await memeToken.updateUniswapV2Router(await router.getAddress());
+    await memeToken.setUniswapPair(await pair.getAddress());
+    await memeToken.enableTrading();
+
+    await memeToken.transfer(trader.address, ethers.parseEther("100000"));
+    await memeToken.connect(trader).approve(await router.getAddress(), ethers.MaxUint256);
+  });
+
+  async function reserves() {
+    return router.getReserves(tokenAddress, wethAddress);
+  }
+
+  function buy(ethAmount, account = trader) {
+    return router.connect(account).swapExactETHForTokensSupportingFeeOnTransferTokens(
+      0, [wethAddress, tokenAddress], account.address, ethers.MaxUint256, { value: ethAmount }
+    );
+  }
+
+  function sell(tokenAmount, account = trader) {
+    return router.connect(account).swapExactTokensForETHSupportingFeeOnTransferTokens(
+      tokenAmount, 0, [tokenAddress, wethAddress], account.address, ethers.MaxUint256
+    );
+  }
+
+  describe("交易对与流动性", function () {
+    it("首次添加流动性按sqrt(x*y)铸造LP并永久锁定最小流动性", async function () {
+      const [tokenReserve, ethReserve] = await reserves();
+      expect(tokenReserve).to.equal(TOKEN_RESERVE);
+      expect(ethReserve).to.equal(ETH_RESERVE);
+
+      expect(await factory.allPairsLength()).to.equal(1);
+      expect(await pair.balanceOf(await memeToken.DEAD_ADDRESS())).to.equal(MINIMUM_LIQUIDITY);
+      expect(await pair.totalSupply()).to.equal((await pair.balanceOf(owner.address)) + MINIMUM_LIQUIDITY);
+      expect(await weth.balanceOf(await pair.getAddress())).to.equal(ETH_RESERVE);
+    });
+
+    it("同一对代币不能重复创建交易对", async function () {
+      await expect(factory.createPair(wethAddress, tokenAddress))
+        .to.be.revertedWith("MockUniswapFactory: PAIR_EXISTS");
+    });
+
+    it("移除流动性按份额取回代币和ETH", async function () {
+      // 代币从交易对转给路由会被当作买入扣税，路由需要免税，与主网Uniswap V2一致
+      await memeToken.setExcludedFromTax(await router.getAddress(), true);
+      const liquidity = (await pair.balanceOf(owner.address)) / 2n;
+      const totalSupply = await pair.totalSupply();
+      await pair.approve(await router.getAddress(), liquidity);
+
+      const tokenBefore = await memeToken.balanceOf(owner.address);
+      await expect(router.removeLiquidityETH(tokenAddress, liquidity, 0, 0, owner.address, ethers.MaxUint256))
+        .to.changeEtherBalance(owner, liquidity * ETH_RESERVE / totalSupply);
+      expect(await memeToken.balanceOf(owner.address) - tokenBefore).to.equal(liquidity * TOKEN_RESERVE / totalSupply);
+    });
+
+    it("路由未免税时移除流动性因扣税失败", async function () {
+      const liquidity = await pair.balanceOf(owner.address);
+      await pair.approve(await router.getAddress(), liquidity);
+
+      await expect(router.removeLiquidityETH(tokenAddress, liquidity / 2n, 0, 0, owner.address, ethers.MaxUint256))
+        .to.be.revertedWithCustomError(memeToken, "ERC20InsufficientBalance");
+    });
+
+    it("截止时间已过时拒绝交易", async function () {
+      await expect(
+        router.connect(trader).swapExactETHForTokensSupportingFeeOnTransferTokens(
+          0, [wethAddress, tokenAddress], trader.address, 0, { value: 1n }
+        )
+      ).to.be.revertedWith("MockUniswapRouter: EXPIRED");
+    });
+
+    it("兑换后恒定乘积不减少", async function () {
+      const [tokenBefore, ethBefore] = await reserves();
+      await buy(ethers.parseEther("1"));
+      await sell(ethers.parseEther("5000"));
+      const [tokenAfter, ethAfter] = await reserves();
+
+      expect(tokenAfter * ethAfter).to.be.gte(tokenBefore * ethBefore);
+    });
+  });
+
+  describe("买卖税端到端", function () {
+    it("买入时从交易对转出的代币按买入税扣税", async function () {
+      const ethIn = ethers.parseEther("1");
+      const [tokenReserve, ethReserve] = await reserves();
+      const amountOut = await router.getAmountOut(ethIn, ethReserve, tokenReserve);
+      const tax = amountOut * (await memeToken.buyTaxRate()) / 10000n;
+
+      const before = await memeToken.balanceOf(trader.address);
+      await buy(ethIn);
+
+      expect(await memeToken.balanceOf(trader.address) - before).to.equal(amountOut - tax);
+      expect(await memeToken.balanceOf(marketingWallet.address)).to.equal(tax * 4000n / 10000n);
+      const [tokenAfter] = await reserves();
+      expect(tokenAfter).to.equal(tokenReserve - amountOut);
+    });
+
+    it("卖出时交易对只收到扣税后的代币，按实际到账数量换出ETH", async function () {
+      const amount = ethers.parseEther("10000");
+      const tax = amount * (await memeToken.sellTaxRate()) / 10000n;
+      const [tokenReserve, ethReserve] = await reserves();
+      const ethOut = await router.getAmountOut(amount - tax, tokenReserve, ethReserve);
+
+      await expect(sell(amount)).to.changeEtherBalance(trader, ethOut);
+
+      expect(await memeToken.balanceOf(marketingWallet.address)).to.equal(tax * 4000n / 10000n);
+      const [tokenAfter, ethAfter] = await reserves();
+      expect(tokenAfter).to.equal(tokenReserve + amount - tax);
+      expect(ethAfter).to.equal(ethReserve - ethOut);
+    });
+
+    it("免税地址通过路由交易不扣税", async function () {
+      await memeToken.setExcludedFromTax(trader.address, true);
+      const amount = ethers.parseEther("10000");
+      const [tokenReserve] = await reserves();
+
+      await sell(amount);
+
+      const [tokenAfter] = await reserves();
+      expect(tokenAfter).to.equal(tokenReserve + amount);
+      expect(await memeToken.balanceOf(marketingWallet.address)).to.equal(0);
+    });
+  });
+});
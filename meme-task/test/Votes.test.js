@@ -0,0 +1,224 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("投票权检查点", function () {
+  let memeToken;
+  let owner, marketingWallet, liquidityWallet, devWallet, pair, alice, bob, carol;
+  let tokenAddress;
+
+  const AMOUNT = ethers.parseEther("100000");
+  const REFLECTION_SHARE = 5000n; // 税收的50%用于分红
+
+  beforeEach(async function () {
+    [owner, marketingWallet, liquidityWallet, devWallet, pair, alice, bob, carol] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    memeToken = await MemeToken.deploy(
+      "MemeShiba",
+      "MEMESHI",
+      1000000000,
+      marketingWallet.address,
+      liquidityWallet.address,
+      devWallet.address
+    );
+    tokenAddress = await memeToken.getAddress();
+
+    // 用普通账户模拟配对地址
+    await memeToken.setUniswapPair(pair.address);
+    await memeToken.enableTrading();
+
+    for (const holder of [alice, bob, carol]) {
+      await memeToken.setExcludedFromLimit(holder.address, true);
+      await memeToken.transfer(holder.address, AMOUNT);
+    }
+    await memeToken.transfer(pair.address, ethers.parseEther("50000000"));
+  });
+
+  async function blockNumber() {
+    return ethers.provider.getBlockNumber();
+  }
+
+  describe("委托", function () {
+    it("未委托时没有投票权，委托给自己后投票权等于余额", async function () {
+      expect(await memeToken.getVotes(alice.address)).to.equal(0);
+
+      await expect(memeToken.connect(alice).delegate(alice.address))
+        .to.emit(memeToken, "DelegateChanged")
+        .withArgs(alice.address, ethers.ZeroAddress, alice.address);
+
+      expect(await memeToken.delegates(alice.address)).to.equal(alice.address);
+      expect(await memeToken.getVotes(alice.address)).to.equal(AMOUNT);
+    });
+
+    it("委托给他人并可以改为委托给其他人", async function () {
+      await memeToken.connect(alice).delegate(carol.address);
+      await memeToken.connect(bob).delegate(carol.address);
+      expect(await memeToken.getVotes(carol.address)).to.equal(AMOUNT * 2n);
+      expect(await memeToken.getVotes(alice.address)).to.equal(0);
+
+      await memeToken.connect(alice).delegate(bob.address);
+      expect(await memeToken.getVotes(carol.address)).to.equal(AMOUNT);
+      expect(await memeToken.getVotes(bob.address)).to.equal(AMOUNT);
+    });
+
+    it("转账时在受托人之间移动投票权", async function () {
+      await memeToken.connect(alice).delegate(alice.address);
+      await memeToken.connect(bob).delegate(carol.address);
+
+      await memeToken.connect(alice).transfer(bob.address, AMOUNT / 4n);
+
+      expect(await memeToken.getVotes(alice.address)).to.equal(AMOUNT - AMOUNT / 4n);
+      expect(await memeToken.getVotes(carol.address)).to.equal(AMOUNT + AMOUNT / 4n);
+    });
+  });
+
+  describe("历史查询", function () {
+    it("getPastVotes返回指定区块结束时的投票权", async function () {
+      await memeToken.connect(alice).delegate(alice.address);
+      const delegatedAt = await blockNumber();
+
+      await memeToken.connect(alice).transfer(bob.address, AMOUNT / 2n);
+      const transferredAt = await blockNumber();
+      await mine();
+
+      expect(await memeToken.getPastVotes(alice.address, delegatedAt - 1)).to.equal(0);
+      expect(await memeToken.getPastVotes(alice.address, delegatedAt)).to.equal(AMOUNT);
+      expect(await memeToken.getPastVotes(alice.address, transferredAt)).to.equal(AMOUNT / 2n);
+    });
+
+    it("getPastTotalSupply返回历史总供应量", async function () {
+      const totalSupply = await memeToken.totalSupply();
+      await mine();
+
+      expect(await memeToken.getPastTotalSupply((await blockNumber()) - 1)).to.equal(totalSupply);
+    });
+
+    it("不能查询当前或未来区块", async function () {
+      const current = await blockNumber();
+
+      await expect(memeToken.getPastVotes(alice.address, current + 1)).to.be.revertedWith("Future lookup");
+      await expect(memeToken.getPastTotalSupply(current + 1)).to.be.revertedWith("Future lookup");
+    });
+
+    it("时钟按区块号计", async function () {
+      expect(await memeToken.clock()).to.equal(await blockNumber());
+      expect(await memeToken.CLOCK_MODE()).to.equal("mode=blocknumber&from=default");
+    });
+  });
+
+  describe("税收与分红", function () {
+    beforeEach(async function () {
+      for (const account of [alice, bob, carol, marketingWallet, devWallet]) {
+        await memeToken.connect(account).delegate(account.address);
+      }
+    });
+
+    it("经合约中转的税收不会产生或丢失投票权", async function () {
+      await memeToken.connect(alice).transfer(pair.address, AMOUNT / 2n);
+
+      expect(await memeToken.getVotes(alice.address)).to.equal(await memeToken.balanceOf(alice.address));
+      expect(await memeToken.getVotes(marketingWallet.address)).to.equal(await memeToken.balanceOf(marketingWallet.address));
+      expect(await memeToken.getVotes(devWallet.address)).to.equal(await memeToken.balanceOf(devWallet.address));
+      expect(await memeToken.getVotes(tokenAddress)).to.equal(0);
+    });
+
+    it("分红增加的余额计入投票权，历史投票权不受影响", async function () {
+      await memeToken.updateReflectionShare(REFLECTION_SHARE);
+      await mine();
+      const before = await blockNumber();
+
+      await memeToken.connect(alice).transfer(pair.address, AMOUNT / 2n);
+      await mine();
+
+      const bobBalance = await memeToken.balanceOf(bob.address);
+      expect(bobBalance).to.be.gt(AMOUNT);
+      expect(await memeToken.getVotes(bob.address)).to.equal(bobBalance);
+      expect(await memeToken.getPastVotes(bob.address, (await blockNumber()) - 1)).to.equal(bobBalance);
+      expect(await memeToken.getPastVotes(bob.address, before)).to.equal(AMOUNT);
+    });
+
+    it("排除分红和恢复分红不改变投票权", async function () {
+      await memeToken.updateReflectionShare(REFLECTION_SHARE);
+      await memeToken.connect(alice).transfer(pair.address, AMOUNT / 2n);
+
+      await memeToken.excludeFromReward(bob.address);
+      expect(await memeToken.getVotes(bob.address)).to.equal(await memeToken.balanceOf(bob.address));
+
+      // 排除期间的分红不再计入bob
+      await memeToken.connect(carol).transfer(pair.address, AMOUNT / 2n);
+      expect(await memeToken.getVotes(bob.address)).to.equal(await memeToken.balanceOf(bob.address));
+
+      await memeToken.includeInReward(bob.address);
+      expect(await memeToken.getVotes(bob.address)).to.equal(await memeToken.balanceOf(bob.address));
+    });
+  });
+
+  describe("随机操作后的不变量", function () {
+    // 固定种子的线性同余生成器，保证测试可复现
+    let seed = 20240715n;
+    function random(max) {
+      seed = (seed * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+      return (seed >> 16n) % max;
+    }
+
+    it("每个受托人的投票权始终等于其委托人的余额之和，历史查询与当时一致", async function () {
+      await memeToken.updateReflectionShare(REFLECTION_SHARE);
+      const holders = [alice, bob, carol];
+      const delegatees = [alice.address, bob.address, carol.address, ethers.ZeroAddress];
+      const delegation = {};
+      const history = [];
+
+      async function expectedVotes() {
+        const votes = {};
+        for (const holder of holders) {
+          const delegatee = delegation[holder.address];
+          if (delegatee && delegatee !== ethers.ZeroAddress) {
+            votes[delegatee] = (votes[delegatee] || 0n) + await memeToken.balanceOf(holder.address);
+          }
+        }
+        return votes;
+      }
+
+      for (let i = 0; i < 60; i++) {
+        const action = random(5n);
+        const actor = holders[Number(random(3n))];
+
+        if (action === 0n) {
+          const delegatee = delegatees[Number(random(4n))];
+          await memeToken.connect(actor).delegate(delegatee);
+          delegation[actor.address] = delegatee;
+        } else if (action === 1n) {
+          // 买入
+          await memeToken.connect(pair).transfer(actor.address, ethers.parseEther("1000") * (random(10n) + 1n));
+        } else if (action === 2n) {
+          // 卖出
+          await memeToken.connect(actor).transfer(pair.address, (await memeToken.balanceOf(actor.address)) * (random(30n) + 1n) / 100n);
+        } else if (action === 3n) {
+          const to = holders[Number(random(3n))];
+          await memeToken.connect(actor).transfer(to.address, (await memeToken.balanceOf(actor.address)) * (random(30n) + 1n) / 100n);
+        } else if (await memeToken.isExcludedFromReward(actor.address)) {
+          await memeToken.includeInReward(actor.address);
+        } else {
+          await memeToken.excludeFromReward(actor.address);
+        }
+
+        // 每个委托人的余额单独取整，允许每个委托人1 wei的误差
+        const expected = await expectedVotes();
+        for (const delegatee of holders.map((h) => h.address)) {
+          const votes = await memeToken.getVotes(delegatee);
+          const want = expected[delegatee] || 0n;
+          expect(votes).to.be.closeTo(want, holders.length);
+        }
+        history.push({ block: await blockNumber(), expected });
+      }
+
+      await mine();
+      for (const { block, expected } of history) {
+        for (const delegatee of holders.map((h) => h.address)) {
+          expect(await memeToken.getPastVotes(delegatee, block)).to.be.closeTo(expected[delegatee] || 0n, holders.length);
+        }
+      }
+    });
+  });
+});
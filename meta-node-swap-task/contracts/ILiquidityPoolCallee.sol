@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ILiquidityPoolCallee
+ * @dev 闪电交换回调接口。LiquidityPool.swap的data非空时，先转出代币，
+ *      再调用to的liquidityPoolCall，回调结束后校验恒定乘积不变量
+ */
+interface ILiquidityPoolCallee {
+    function liquidityPoolCall(address sender, uint256 amount0, uint256 amount1, bytes calldata data) external;
+}
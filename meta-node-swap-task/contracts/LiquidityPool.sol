@@ -3,18 +3,40 @@ pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
-import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Permit.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
 import "@openzeppelin/contracts/utils/math/Math.sol";
+import "./UQ112x112.sol";
+import "./PairFactory.sol";
+import "./ILiquidityPoolCallee.sol";
 
-contract LiquidityPool is ERC20, Ownable {
+/**
+ * @title LiquidityPool
+ * @dev 单个交易对的流动性池，由PairFactory创建，通过SwapRouter进行交互；
+ *      LP代币支持EIP-2612 permit，可以用签名代替approve交易
+ */
+contract LiquidityPool is ERC20, ERC20Permit, ReentrancyGuard {
+    using UQ112x112 for uint224;
+
+    address public factory;
     IERC20 public token0;
     IERC20 public token1;
-    
+
     uint256 public reserve0;
     uint256 public reserve1;
-    
+    uint32 public blockTimestampLast;
+
+    // TWAP价格累加器（UQ112x112 × 秒），溢出是预期行为
+    uint256 public price0CumulativeLast;
+    uint256 public price1CumulativeLast;
+
+    // 最近一次流动性变动后的reserve0 * reserve1，用于计算协议费
+    uint256 public kLast;
+
     uint256 public constant MINIMUM_LIQUIDITY = 1000;
-    
+    // OpenZeppelin 5.x 的ERC20禁止向零地址铸造，MINIMUM_LIQUIDITY改为永久锁定在黑洞地址
+    address public constant DEAD_ADDRESS = 0x000000000000000000000000000000000000dEaD;
+
     event Swap(
         address indexed sender,
         uint256 amount0In,
@@ -22,168 +44,200 @@ contract LiquidityPool is ERC20, Ownable {
         uint256 amount0Out,
         uint256 amount1Out
     );
-    
+
     event AddLiquidity(
         address indexed provider,
         uint256 amount0,
         uint256 amount1
     );
-    
+
     event RemoveLiquidity(
         address indexed provider,
         uint256 amount0,
         uint256 amount1
     );
-    
+
+    event Sync(uint256 reserve0, uint256 reserve1);
+
+    event ProtocolFeeMinted(address indexed feeTo, uint256 liquidity);
+
     constructor(
         address _token0,
         address _token1
-    ) ERC20("Liquidity Pool Token", "LPT") Ownable(msg.sender) {
+    ) ERC20("Liquidity Pool Token", "LPT") ERC20Permit("Liquidity Pool Token") {
+        factory = msg.sender;
         token0 = IERC20(_token0);
         token1 = IERC20(_token1);
     }
-    
-    function addLiquidity(uint256 amount0, uint256 amount1) external {
+
+    /**
+     * @dev 铸造LP代币，调用前需先把两种代币转入本合约
+     */
+    function mint(address to) external nonReentrant returns (uint256 liquidity) {
+        uint256 balance0 = token0.balanceOf(address(this));
+        uint256 balance1 = token1.balanceOf(address(this));
+        uint256 amount0 = balance0 - reserve0;
+        uint256 amount1 = balance1 - reserve1;
+
         require(amount0 > 0 && amount1 > 0, "Insufficient liquidity amount");
-        
-        if (reserve0 == 0 && reserve1 == 0) {
-            _mint(msg.sender, amount0 * amount1 - MINIMUM_LIQUIDITY);
+
+        bool feeOn = _mintFee(reserve0, reserve1);
+        uint256 _totalSupply = totalSupply(); // 必须在_mintFee之后读取
+        if (_totalSupply == 0) {
+            liquidity = Math.sqrt(amount0 * amount1) - MINIMUM_LIQUIDITY;
+            _mint(DEAD_ADDRESS, MINIMUM_LIQUIDITY);
         } else {
-            uint256 liquidity = Math.min(
-                (amount0 * totalSupply()) / reserve0,
-                (amount1 * totalSupply()) / reserve1
+            liquidity = Math.min(
+                (amount0 * _totalSupply) / reserve0,
+                (amount1 * _totalSupply) / reserve1
             );
-            require(liquidity > 0, "Insufficient liquidity minted");
-            _mint(msg.sender, liquidity);
         }
-        
-        token0.transferFrom(msg.sender, address(this), amount0);
-        token1.transferFrom(msg.sender, address(this), amount1);
-        
-        reserve0 += amount0;
-        reserve1 += amount1;
-        
-        emit AddLiquidity(msg.sender, amount0, amount1);
+        require(liquidity > 0, "Insufficient liquidity minted");
+        _mint(to, liquidity);
+
+        _update(balance0, balance1);
+        if (feeOn) kLast = reserve0 * reserve1;
+
+        emit AddLiquidity(to, amount0, amount1);
     }
-    
-    function removeLiquidity(uint256 liquidity) external {
+
+    /**
+     * @dev 销毁转入本合约的LP代币，按比例把两种代币发送给to
+     */
+    function burn(address to) external nonReentrant returns (uint256 amount0, uint256 amount1) {
+        uint256 liquidity = balanceOf(address(this));
         require(liquidity > 0, "Insufficient liquidity to remove");
-        
+
         uint256 balance0 = token0.balanceOf(address(this));
         uint256 balance1 = token1.balanceOf(address(this));
-        
-        uint256 amount0 = (liquidity * balance0) / totalSupply();
-        uint256 amount1 = (liquidity * balance1) / totalSupply();
-        
+
+        bool feeOn = _mintFee(reserve0, reserve1);
+        uint256 _totalSupply = totalSupply(); // 必须在_mintFee之后读取
+        amount0 = (liquidity * balance0) / _totalSupply;
+        amount1 = (liquidity * balance1) / _totalSupply;
+
         require(amount0 > 0 && amount1 > 0, "Insufficient liquidity removed");
-        
-        _burn(msg.sender, liquidity);
-        
-        reserve0 = balance0 - amount0;
-        reserve1 = balance1 - amount1;
-        
-        token0.transfer(msg.sender, amount0);
-        token1.transfer(msg.sender, amount1);
-        
-        emit RemoveLiquidity(msg.sender, amount0, amount1);
-    }
-    
-    function swapExactTokensForTokens(
-        uint256 amountIn,
-        uint256 amountOutMin,
-        address[] calldata path,
-        address to
-    ) external {
-        require(path.length >= 2, "Invalid path");
-        require(amountIn > 0, "Insufficient input amount");
-        
-        address[] memory pairs = getPairs(path);
-        
-        uint256[] memory amounts = getAmountsOut(amountIn, path);
-        
-        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
-        
-        _swap(amounts, path, to);
-        
-        emit Swap(
-            msg.sender,
-            path[0] == address(token0) ? amounts[0] : 0,
-            path[0] == address(token1) ? amounts[0] : 0,
-            path[path.length - 1] == address(token0) ? amounts[amounts.length - 1] : 0,
-            path[path.length - 1] == address(token1) ? amounts[amounts.length - 1] : 0
-        );
+
+        _burn(address(this), liquidity);
+
+        token0.transfer(to, amount0);
+        token1.transfer(to, amount1);
+
+        _update(balance0 - amount0, balance1 - amount1);
+        if (feeOn) kLast = reserve0 * reserve1;
+
+        emit RemoveLiquidity(to, amount0, amount1);
     }
-    
-    function getAmountsOut(uint256 amountIn, address[] memory path) public view returns (uint256[] memory amounts) {
-        require(path.length >= 2, "Invalid path");
-        amounts = new uint256[](path.length);
-        amounts[0] = amountIn;
-        
-        for (uint256 i; i < path.length - 1; i++) {
-            (uint256 reserveIn, uint256 reserveOut) = getReserves(path[i], path[i + 1]);
-            amounts[i + 1] = getAmountOut(amounts[i], reserveIn, reserveOut);
+
+    /**
+     * @dev 把输出代币发送给to，输入代币需在调用前转入本合约；
+     *      data非空时为闪电交换：先转出代币，再回调to的liquidityPoolCall，由回调负责归还；
+     *      最后按实际余额校验扣除手续费（由PairFactory配置）后的恒定乘积不变量
+     */
+    function swap(uint256 amount0Out, uint256 amount1Out, address to, bytes calldata data) external nonReentrant {
+        require(amount0Out > 0 || amount1Out > 0, "Insufficient output amount");
+        require(amount0Out < reserve0 && amount1Out < reserve1, "Insufficient liquidity");
+        require(to != address(token0) && to != address(token1), "Invalid to");
+
+        { // 限制to的作用域，避免stack too deep
+            if (amount0Out > 0) token0.transfer(to, amount0Out);
+            if (amount1Out > 0) token1.transfer(to, amount1Out);
+            if (data.length > 0) ILiquidityPoolCallee(to).liquidityPoolCall(msg.sender, amount0Out, amount1Out, data);
+        }
+
+        uint256 balance0 = token0.balanceOf(address(this));
+        uint256 balance1 = token1.balanceOf(address(this));
+
+        uint256 amount0In = balance0 > reserve0 - amount0Out ? balance0 - (reserve0 - amount0Out) : 0;
+        uint256 amount1In = balance1 > reserve1 - amount1Out ? balance1 - (reserve1 - amount1Out) : 0;
+        require(amount0In > 0 || amount1In > 0, "Insufficient input amount");
+
+        { // 限制中间变量的作用域，避免stack too deep
+            uint256 feeDenominator = PairFactory(factory).FEE_DENOMINATOR();
+            uint256 swapFee = PairFactory(factory).swapFee();
+            uint256 balance0Adjusted = (balance0 * feeDenominator) - (amount0In * swapFee);
+            uint256 balance1Adjusted = (balance1 * feeDenominator) - (amount1In * swapFee);
+            require(
+                balance0Adjusted * balance1Adjusted >= reserve0 * reserve1 * feeDenominator ** 2,
+                "K invariant violated"
+            );
         }
+
+        _update(balance0, balance1);
+
+        emit Swap(msg.sender, amount0In, amount1In, amount0Out, amount1Out);
     }
-    
-    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) internal pure returns (uint256 amountOut) {
-        require(amountIn > 0, "Insufficient input amount");
-        require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
-        
-        uint256 amountInWithFee = amountIn * 997;
-        uint256 numerator = amountInWithFee * reserveOut;
-        uint256 denominator = (reserveIn * 1000) + amountInWithFee;
-        
-        amountOut = numerator / denominator;
+
+    /**
+     * @dev 把多于储备量的代币余额转给to，使余额与储备量一致
+     */
+    function skim(address to) external nonReentrant {
+        token0.transfer(to, token0.balanceOf(address(this)) - reserve0);
+        token1.transfer(to, token1.balanceOf(address(this)) - reserve1);
     }
-    
-    function _swap(uint[] memory amounts, address[] memory path, address _to) internal {
-        for (uint256 i; i < path.length - 1; i++) {
-            (address input, address output) = (path[i], path[i + 1]);
-            (address token0_, address token1_) = sortTokens(input, output);
-            uint256 amount0 = amounts[i] * (input == token0_ ? 1 : 0);
-            uint256 amount1 = amounts[i] * (input != token0_ ? 1 : 0);
-            
-            if (input == address(this)) {
-                IERC20(token0_).transfer(_to, amount0);
-                IERC20(token1_).transfer(_to, amount1);
-            } else {
-                IERC20(input).transferFrom(msg.sender, address(this), amounts[i]);
-            }
-        }
+
+    /**
+     * @dev 把储备量同步为当前的实际代币余额
+     */
+    function sync() external nonReentrant {
+        _update(token0.balanceOf(address(this)), token1.balanceOf(address(this)));
     }
-    
-    function getReserves(address tokenA, address tokenB) public view returns (uint256 reserveA, uint256 reserveB) {
-        if (tokenA == address(token0) && tokenB == address(token1)) {
-            return (reserve0, reserve1);
-        }
-        if (tokenA == address(token1) && tokenB == address(token0)) {
-            return (reserve1, reserve0);
+
+    /**
+     * @dev 协议费开启时，把上次流动性变动以来sqrt(k)增长中协议应得的部分铸造为LP代币发给feeTo。
+     *      协议分成为φ时，铸造数量 = totalSupply * (rootK - rootKLast) * φ / ((1 - φ) * rootK + φ * rootKLast)
+     */
+    function _mintFee(uint256 _reserve0, uint256 _reserve1) private returns (bool feeOn) {
+        address feeTo = PairFactory(factory).feeTo();
+        uint256 share = PairFactory(factory).protocolFeeShare();
+        feeOn = feeTo != address(0) && share > 0;
+
+        uint256 _kLast = kLast;
+        if (feeOn) {
+            if (_kLast != 0) {
+                uint256 rootK = Math.sqrt(_reserve0 * _reserve1);
+                uint256 rootKLast = Math.sqrt(_kLast);
+                if (rootK > rootKLast) {
+                    uint256 feeDenominator = PairFactory(factory).FEE_DENOMINATOR();
+                    uint256 numerator = totalSupply() * (rootK - rootKLast) * share;
+                    uint256 denominator = rootK * (feeDenominator - share) + rootKLast * share;
+                    uint256 liquidity = numerator / denominator;
+                    if (liquidity > 0) {
+                        _mint(feeTo, liquidity);
+                        emit ProtocolFeeMinted(feeTo, liquidity);
+                    }
+                }
+            }
+        } else if (_kLast != 0) {
+            kLast = 0;
         }
-        revert("Invalid pair");
     }
-    
-    function getPairs(address[] memory path) internal view returns (address[] memory) {
-        address[] memory pairs = new address[](path.length - 1);
-        for (uint256 i = 0; i < path.length - 1; i++) {
-            pairs[i] = address(this);
+
+    /**
+     * @dev 更新储备量；每个区块第一次更新时，按上一次的储备价格累加价格累加器
+     */
+    function _update(uint256 balance0, uint256 balance1) private {
+        require(balance0 <= type(uint112).max && balance1 <= type(uint112).max, "Overflow");
+
+        uint32 blockTimestamp = uint32(block.timestamp % 2 ** 32);
+        unchecked {
+            uint32 timeElapsed = blockTimestamp - blockTimestampLast; // 溢出是预期行为
+            if (timeElapsed > 0 && reserve0 != 0 && reserve1 != 0) {
+                price0CumulativeLast += uint256(UQ112x112.encode(uint112(reserve1)).uqdiv(uint112(reserve0))) * timeElapsed;
+                price1CumulativeLast += uint256(UQ112x112.encode(uint112(reserve0)).uqdiv(uint112(reserve1))) * timeElapsed;
+            }
         }
-        return pairs;
-    }
-    
-    function sortTokens(address tokenA, address tokenB) internal pure returns (address token0_, address token1_) {
-        require(tokenA != tokenB, "Identical addresses");
-        (token0_, token1_) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
-        require(token0_ != address(0), "Zero address");
-    }
-    
-    function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) external pure returns (uint256 amountB) {
-        require(amountA > 0, "Insufficient amount");
-        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
-        amountB = (amountA * reserveB) / reserveA;
+
+        reserve0 = balance0;
+        reserve1 = balance1;
+        blockTimestampLast = blockTimestamp;
+
+        emit Sync(balance0, balance1);
     }
-    
-    function getReserves() external view returns (uint256 _reserve0, uint256 _reserve1) {
+
+    function getReserves() external view returns (uint256 _reserve0, uint256 _reserve1, uint32 _blockTimestampLast) {
         _reserve0 = reserve0;
         _reserve1 = reserve1;
+        _blockTimestampLast = blockTimestampLast;
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,78 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "./LiquidityPool.sol";
+
+/**
+ * @title PairFactory
+ * @dev 为每个代币对部署一个独立的LiquidityPool，并统一管理交易手续费和协议费
+ */
+contract PairFactory is Ownable {
+    mapping(address => mapping(address => address)) public getPair;
+    address[] public allPairs;
+
+    // 手续费和协议费分成的分母，精度为万分之一
+    uint256 public constant FEE_DENOMINATOR = 10000;
+    uint256 public constant MAX_SWAP_FEE = 100;              // 交易手续费上限 1%
+    uint256 public constant MAX_PROTOCOL_FEE_SHARE = 5000;   // 协议分成上限 50%
+
+    // 交易手续费，默认0.3%
+    uint256 public swapFee = 30;
+    // 协议费接收地址，为零地址时关闭协议费
+    address public feeTo;
+    // 手续费中归协议所有的比例，默认约1/6（与Uniswap V2一致）
+    uint256 public protocolFeeShare = 1667;
+
+    event PairCreated(
+        address indexed token0,
+        address indexed token1,
+        address pair,
+        uint256 pairCount
+    );
+
+    event FeeToUpdated(address indexed oldFeeTo, address indexed newFeeTo);
+    event SwapFeeUpdated(uint256 oldFee, uint256 newFee);
+    event ProtocolFeeShareUpdated(uint256 oldShare, uint256 newShare);
+
+    constructor() Ownable(msg.sender) {}
+
+    function allPairsLength() external view returns (uint256) {
+        return allPairs.length;
+    }
+
+    function createPair(address tokenA, address tokenB) external returns (address pair) {
+        require(tokenA != tokenB, "Identical addresses");
+        (address token0, address token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(token0 != address(0), "Zero address");
+        require(getPair[token0][token1] == address(0), "Pair exists");
+
+        pair = address(new LiquidityPool(token0, token1));
+
+        getPair[token0][token1] = pair;
+        getPair[token1][token0] = pair;
+        allPairs.push(pair);
+
+        emit PairCreated(token0, token1, pair, allPairs.length);
+    }
+
+    function setFeeTo(address _feeTo) external onlyOwner {
+        address oldFeeTo = feeTo;
+        feeTo = _feeTo;
+        emit FeeToUpdated(oldFeeTo, _feeTo);
+    }
+
+    function setSwapFee(uint256 _swapFee) external onlyOwner {
+        require(_swapFee <= MAX_SWAP_FEE, "Swap fee too high");
+        uint256 oldFee = swapFee;
+        swapFee = _swapFee;
+        emit SwapFeeUpdated(oldFee, _swapFee);
+    }
+
+    function setProtocolFeeShare(uint256 _protocolFeeShare) external onlyOwner {
+        require(_protocolFeeShare <= MAX_PROTOCOL_FEE_SHARE, "Protocol fee share too high");
+        uint256 oldShare = protocolFeeShare;
+        protocolFeeShare = _protocolFeeShare;
+        emit ProtocolFeeShareUpdated(oldShare, _protocolFeeShare);
+    }
+}
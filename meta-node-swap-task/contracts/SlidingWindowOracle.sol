@@ -0,0 +1,151 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "./PairFactory.sol";
+import "./LiquidityPool.sol";
+import "./UQ112x112.sol";
+
+/**
+ * @title SlidingWindowOracle
+ * @dev 基于LiquidityPool价格累加器的滑动窗口TWAP预言机。
+ *      窗口windowSize被划分为granularity个周期，每个周期最多记录一次观测值；
+ *      consult返回最近windowSize时间内的时间加权平均价格。
+ */
+contract SlidingWindowOracle {
+    using UQ112x112 for uint224;
+
+    struct Observation {
+        uint256 timestamp;
+        uint256 price0Cumulative;
+        uint256 price1Cumulative;
+    }
+
+    PairFactory public immutable factory;
+    // 计算平均价格的时间窗口（秒）
+    uint256 public immutable windowSize;
+    // 窗口内的观测点数量，越大越精确，但需要更频繁地调用update
+    uint8 public immutable granularity;
+    // 每个观测周期的长度，windowSize / granularity
+    uint256 public immutable periodSize;
+
+    // 交易对地址 => 按时间取模存放的观测值环形数组
+    mapping(address => Observation[]) public pairObservations;
+
+    event ObservationUpdated(address indexed pair, uint256 timestamp, uint256 price0Cumulative, uint256 price1Cumulative);
+
+    constructor(address _factory, uint256 _windowSize, uint8 _granularity) {
+        require(_granularity > 1, "Invalid granularity");
+        require(
+            (_windowSize / _granularity) * _granularity == _windowSize,
+            "Window not evenly divisible"
+        );
+
+        factory = PairFactory(_factory);
+        windowSize = _windowSize;
+        granularity = _granularity;
+        periodSize = _windowSize / _granularity;
+    }
+
+    /**
+     * @dev 时间戳在环形数组中对应的下标
+     */
+    function observationIndexOf(uint256 timestamp) public view returns (uint8 index) {
+        uint256 epochPeriod = timestamp / periodSize;
+        return uint8(epochPeriod % granularity);
+    }
+
+    /**
+     * @dev 更新当前周期的观测值，每个周期内只有第一次调用会写入
+     */
+    function update(address tokenA, address tokenB) external {
+        address pair = _pairFor(tokenA, tokenB);
+
+        // 首次调用时初始化环形数组
+        for (uint256 i = pairObservations[pair].length; i < granularity; i++) {
+            pairObservations[pair].push();
+        }
+
+        uint8 observationIndex = observationIndexOf(block.timestamp);
+        Observation storage observation = pairObservations[pair][observationIndex];
+
+        uint256 timeElapsed = block.timestamp - observation.timestamp;
+        if (timeElapsed > periodSize) {
+            (uint256 price0Cumulative, uint256 price1Cumulative, ) = currentCumulativePrices(pair);
+            observation.timestamp = block.timestamp;
+            observation.price0Cumulative = price0Cumulative;
+            observation.price1Cumulative = price1Cumulative;
+
+            emit ObservationUpdated(pair, block.timestamp, price0Cumulative, price1Cumulative);
+        }
+    }
+
+    /**
+     * @dev 按窗口内的时间加权平均价格，计算amountIn个tokenIn可兑换的tokenOut数量
+     */
+    function consult(address tokenIn, uint256 amountIn, address tokenOut) external view returns (uint256 amountOut) {
+        address pair = _pairFor(tokenIn, tokenOut);
+        require(pairObservations[pair].length == granularity, "Missing historical observation");
+
+        Observation storage firstObservation = _getFirstObservationInWindow(pair);
+
+        uint256 timeElapsed = block.timestamp - firstObservation.timestamp;
+        require(timeElapsed <= windowSize, "Missing historical observation");
+        // 如果update调用正常，窗口起点不会早于当前时间 - windowSize - periodSize
+        require(timeElapsed >= windowSize - periodSize * 2, "Unexpected time elapsed");
+
+        (uint256 price0Cumulative, uint256 price1Cumulative, ) = currentCumulativePrices(pair);
+
+        if (tokenIn == address(LiquidityPool(pair).token0())) {
+            return _computeAmountOut(firstObservation.price0Cumulative, price0Cumulative, timeElapsed, amountIn);
+        } else {
+            return _computeAmountOut(firstObservation.price1Cumulative, price1Cumulative, timeElapsed, amountIn);
+        }
+    }
+
+    /**
+     * @dev 交易对当前的价格累加值；若本区块尚未更新过储备量，则按当前储备推算至当前时间
+     */
+    function currentCumulativePrices(address pair) public view returns (
+        uint256 price0Cumulative,
+        uint256 price1Cumulative,
+        uint32 blockTimestamp
+    ) {
+        blockTimestamp = uint32(block.timestamp % 2 ** 32);
+        price0Cumulative = LiquidityPool(pair).price0CumulativeLast();
+        price1Cumulative = LiquidityPool(pair).price1CumulativeLast();
+
+        (uint256 reserve0, uint256 reserve1, uint32 blockTimestampLast) = LiquidityPool(pair).getReserves();
+        if (blockTimestampLast != blockTimestamp && reserve0 != 0 && reserve1 != 0) {
+            unchecked {
+                uint32 timeElapsed = blockTimestamp - blockTimestampLast; // 溢出是预期行为
+                price0Cumulative += uint256(UQ112x112.encode(uint112(reserve1)).uqdiv(uint112(reserve0))) * timeElapsed;
+                price1Cumulative += uint256(UQ112x112.encode(uint112(reserve0)).uqdiv(uint112(reserve1))) * timeElapsed;
+            }
+        }
+    }
+
+    function _getFirstObservationInWindow(address pair) private view returns (Observation storage firstObservation) {
+        uint8 observationIndex = observationIndexOf(block.timestamp);
+        // 环形数组中的下一个位置即为窗口内最早的观测值
+        uint8 firstObservationIndex = (observationIndex + 1) % granularity;
+        firstObservation = pairObservations[pair][firstObservationIndex];
+    }
+
+    function _computeAmountOut(
+        uint256 priceCumulativeStart,
+        uint256 priceCumulativeEnd,
+        uint256 timeElapsed,
+        uint256 amountIn
+    ) private pure returns (uint256 amountOut) {
+        uint256 priceAverage;
+        unchecked {
+            priceAverage = (priceCumulativeEnd - priceCumulativeStart) / timeElapsed; // 累加器溢出是预期行为
+        }
+        amountOut = (priceAverage * amountIn) >> 112;
+    }
+
+    function _pairFor(address tokenA, address tokenB) private view returns (address pair) {
+        pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "Pair not exists");
+    }
+}
@@ -0,0 +1,508 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "./PairFactory.sol";
+import "./LiquidityPool.sol";
+import "./IWETH.sol";
+
+/**
+ * @title SwapRouter
+ * @dev 按path逐跳查找对应的LiquidityPool，完成流动性管理和多跳交换；
+ *      原生ETH通过WETH包装后与普通ERC20一样参与交易对
+ */
+contract SwapRouter {
+    PairFactory public immutable factory;
+    address public immutable WETH;
+
+    constructor(address _factory, address _WETH) {
+        factory = PairFactory(_factory);
+        WETH = _WETH;
+    }
+
+    receive() external payable {
+        // 只接收WETH.withdraw退回的ETH
+        require(msg.sender == WETH, "Only WETH");
+    }
+
+    modifier ensure(uint256 deadline) {
+        require(deadline >= block.timestamp, "Expired");
+        _;
+    }
+
+    /**
+     * @dev 按当前储备比例计算最优存入数量，交易对不存在时自动创建
+     */
+    function _addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin
+    ) internal returns (uint256 amountA, uint256 amountB) {
+        require(amountADesired > 0 && amountBDesired > 0, "Insufficient liquidity amount");
+
+        if (factory.getPair(tokenA, tokenB) == address(0)) {
+            factory.createPair(tokenA, tokenB);
+        }
+
+        (uint256 reserveA, uint256 reserveB) = getReserves(tokenA, tokenB);
+        if (reserveA == 0 && reserveB == 0) {
+            (amountA, amountB) = (amountADesired, amountBDesired);
+        } else {
+            uint256 amountBOptimal = quote(amountADesired, reserveA, reserveB);
+            if (amountBOptimal <= amountBDesired) {
+                require(amountBOptimal >= amountBMin, "Insufficient B amount");
+                (amountA, amountB) = (amountADesired, amountBOptimal);
+            } else {
+                uint256 amountAOptimal = quote(amountBDesired, reserveB, reserveA);
+                assert(amountAOptimal <= amountADesired);
+                require(amountAOptimal >= amountAMin, "Insufficient A amount");
+                (amountA, amountB) = (amountAOptimal, amountBDesired);
+            }
+        }
+    }
+
+    function addLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 amountADesired,
+        uint256 amountBDesired,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256 amountA, uint256 amountB, uint256 liquidity) {
+        (amountA, amountB) = _addLiquidity(tokenA, tokenB, amountADesired, amountBDesired, amountAMin, amountBMin);
+
+        address pair = pairFor(tokenA, tokenB);
+        IERC20(tokenA).transferFrom(msg.sender, pair, amountA);
+        IERC20(tokenB).transferFrom(msg.sender, pair, amountB);
+
+        liquidity = LiquidityPool(pair).mint(to);
+    }
+
+    /**
+     * @dev 以msg.value作为ETH的期望数量添加token/WETH流动性，未用完的ETH退回
+     */
+    function addLiquidityETH(
+        address token,
+        uint256 amountTokenDesired,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) returns (uint256 amountToken, uint256 amountETH, uint256 liquidity) {
+        (amountToken, amountETH) = _addLiquidity(token, WETH, amountTokenDesired, msg.value, amountTokenMin, amountETHMin);
+
+        address pair = pairFor(token, WETH);
+        IERC20(token).transferFrom(msg.sender, pair, amountToken);
+        IWETH(WETH).deposit{value: amountETH}();
+        assert(IWETH(WETH).transfer(pair, amountETH));
+
+        liquidity = LiquidityPool(pair).mint(to);
+
+        if (msg.value > amountETH) _safeTransferETH(msg.sender, msg.value - amountETH);
+    }
+
+    function removeLiquidity(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline
+    ) public ensure(deadline) returns (uint256 amountA, uint256 amountB) {
+        require(liquidity > 0, "Insufficient liquidity to remove");
+
+        address pair = pairFor(tokenA, tokenB);
+        LiquidityPool(pair).transferFrom(msg.sender, pair, liquidity);
+
+        (uint256 amount0, uint256 amount1) = LiquidityPool(pair).burn(to);
+        (address token0_, ) = sortTokens(tokenA, tokenB);
+        (amountA, amountB) = tokenA == token0_ ? (amount0, amount1) : (amount1, amount0);
+
+        require(amountA >= amountAMin, "Insufficient A amount");
+        require(amountB >= amountBMin, "Insufficient B amount");
+    }
+
+    /**
+     * @dev 移除token/WETH流动性，WETH解包为ETH后发送给to
+     */
+    function removeLiquidityETH(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) public ensure(deadline) returns (uint256 amountToken, uint256 amountETH) {
+        (amountToken, amountETH) = removeLiquidity(token, WETH, liquidity, amountTokenMin, amountETHMin, address(this), deadline);
+
+        IERC20(token).transfer(to, amountToken);
+        IWETH(WETH).withdraw(amountETH);
+        _safeTransferETH(to, amountETH);
+    }
+
+    function swapExactTokensForTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        require(amountIn > 0, "Insufficient input amount");
+
+        amounts = getAmountsOut(amountIn, path);
+
+        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
+
+        IERC20(path[0]).transferFrom(msg.sender, pairFor(path[0], path[1]), amounts[0]);
+        _swap(amounts, path, to);
+    }
+
+    /**
+     * @dev 指定输出数量交换，实际输入不能超过amountInMax
+     */
+    function swapTokensForExactTokens(
+        uint256 amountOut,
+        uint256 amountInMax,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        require(amountOut > 0, "Insufficient output amount");
+
+        amounts = getAmountsIn(amountOut, path);
+
+        require(amounts[0] <= amountInMax, "Excessive input amount");
+
+        IERC20(path[0]).transferFrom(msg.sender, pairFor(path[0], path[1]), amounts[0]);
+        _swap(amounts, path, to);
+    }
+
+    /**
+     * @dev 先用EIP-2612签名授权LP代币，再移除流动性，无需单独的approve交易；
+     *      approveMax为true时签名授权的是type(uint256).max
+     */
+    function removeLiquidityWithPermit(
+        address tokenA,
+        address tokenB,
+        uint256 liquidity,
+        uint256 amountAMin,
+        uint256 amountBMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 amountA, uint256 amountB) {
+        _permitLiquidity(pairFor(tokenA, tokenB), liquidity, deadline, approveMax, v, r, s);
+        (amountA, amountB) = removeLiquidity(tokenA, tokenB, liquidity, amountAMin, amountBMin, to, deadline);
+    }
+
+    function removeLiquidityETHWithPermit(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 amountToken, uint256 amountETH) {
+        _permitLiquidity(pairFor(token, WETH), liquidity, deadline, approveMax, v, r, s);
+        (amountToken, amountETH) = removeLiquidityETH(token, liquidity, amountTokenMin, amountETHMin, to, deadline);
+    }
+
+    /**
+     * @dev 支持转账扣税代币的removeLiquidityETH：代币从交易对转到路由时可能被扣税，
+     *      按路由实际持有的代币余额转给to
+     */
+    function removeLiquidityETHSupportingFeeOnTransferTokens(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline
+    ) public ensure(deadline) returns (uint256 amountETH) {
+        (, amountETH) = removeLiquidity(token, WETH, liquidity, amountTokenMin, amountETHMin, address(this), deadline);
+
+        IERC20(token).transfer(to, IERC20(token).balanceOf(address(this)));
+        IWETH(WETH).withdraw(amountETH);
+        _safeTransferETH(to, amountETH);
+    }
+
+    function removeLiquidityETHWithPermitSupportingFeeOnTransferTokens(
+        address token,
+        uint256 liquidity,
+        uint256 amountTokenMin,
+        uint256 amountETHMin,
+        address to,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external returns (uint256 amountETH) {
+        _permitLiquidity(pairFor(token, WETH), liquidity, deadline, approveMax, v, r, s);
+        amountETH = removeLiquidityETHSupportingFeeOnTransferTokens(
+            token, liquidity, amountTokenMin, amountETHMin, to, deadline
+        );
+    }
+
+    /**
+     * @dev 用msg.value全部ETH交换，path必须以WETH开头
+     */
+    function swapExactETHForTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length >= 2 && path[0] == WETH, "Invalid path");
+        require(msg.value > 0, "Insufficient input amount");
+
+        amounts = getAmountsOut(msg.value, path);
+
+        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
+
+        IWETH(WETH).deposit{value: amounts[0]}();
+        assert(IWETH(WETH).transfer(pairFor(path[0], path[1]), amounts[0]));
+        _swap(amounts, path, to);
+    }
+
+    /**
+     * @dev 用指定数量的代币换ETH，path必须以WETH结尾
+     */
+    function swapExactTokensForETH(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) returns (uint256[] memory amounts) {
+        require(path.length >= 2 && path[path.length - 1] == WETH, "Invalid path");
+        require(amountIn > 0, "Insufficient input amount");
+
+        amounts = getAmountsOut(amountIn, path);
+
+        require(amounts[amounts.length - 1] >= amountOutMin, "Insufficient output amount");
+
+        IERC20(path[0]).transferFrom(msg.sender, pairFor(path[0], path[1]), amounts[0]);
+        _swap(amounts, path, address(this));
+
+        IWETH(WETH).withdraw(amounts[amounts.length - 1]);
+        _safeTransferETH(to, amounts[amounts.length - 1]);
+    }
+
+    /**
+     * @dev 支持转账扣税代币的交换：每一跳按交易对实际收到的余额增量计算输出，
+     *      最终按to的实际余额增量校验amountOutMin
+     */
+    function swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) {
+        require(path.length >= 2, "Invalid path");
+        require(amountIn > 0, "Insufficient input amount");
+
+        IERC20(path[0]).transferFrom(msg.sender, pairFor(path[0], path[1]), amountIn);
+
+        uint256 balanceBefore = IERC20(path[path.length - 1]).balanceOf(to);
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(
+            IERC20(path[path.length - 1]).balanceOf(to) - balanceBefore >= amountOutMin,
+            "Insufficient output amount"
+        );
+    }
+
+    function swapExactETHForTokensSupportingFeeOnTransferTokens(
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external payable ensure(deadline) {
+        require(path.length >= 2 && path[0] == WETH, "Invalid path");
+        require(msg.value > 0, "Insufficient input amount");
+
+        IWETH(WETH).deposit{value: msg.value}();
+        assert(IWETH(WETH).transfer(pairFor(path[0], path[1]), msg.value));
+
+        uint256 balanceBefore = IERC20(path[path.length - 1]).balanceOf(to);
+        _swapSupportingFeeOnTransferTokens(path, to);
+        require(
+            IERC20(path[path.length - 1]).balanceOf(to) - balanceBefore >= amountOutMin,
+            "Insufficient output amount"
+        );
+    }
+
+    function swapExactTokensForETHSupportingFeeOnTransferTokens(
+        uint256 amountIn,
+        uint256 amountOutMin,
+        address[] calldata path,
+        address to,
+        uint256 deadline
+    ) external ensure(deadline) {
+        require(path.length >= 2 && path[path.length - 1] == WETH, "Invalid path");
+        require(amountIn > 0, "Insufficient input amount");
+
+        IERC20(path[0]).transferFrom(msg.sender, pairFor(path[0], path[1]), amountIn);
+        _swapSupportingFeeOnTransferTokens(path, address(this));
+
+        uint256 amountOut = IERC20(WETH).balanceOf(address(this));
+        require(amountOut >= amountOutMin, "Insufficient output amount");
+        IWETH(WETH).withdraw(amountOut);
+        _safeTransferETH(to, amountOut);
+    }
+
+    function getAmountsOut(uint256 amountIn, address[] memory path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[0] = amountIn;
+
+        for (uint256 i; i < path.length - 1; i++) {
+            (uint256 reserveIn, uint256 reserveOut) = getReserves(path[i], path[i + 1]);
+            amounts[i + 1] = getAmountOut(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /**
+     * @dev 按PairFactory当前配置的手续费计算输出数量
+     */
+    function getAmountOut(uint256 amountIn, uint256 reserveIn, uint256 reserveOut) public view returns (uint256 amountOut) {
+        require(amountIn > 0, "Insufficient input amount");
+        require(reserveIn > 0 && reserveOut > 0, "Insufficient liquidity");
+
+        uint256 feeDenominator = factory.FEE_DENOMINATOR();
+        uint256 amountInWithFee = amountIn * (feeDenominator - factory.swapFee());
+        uint256 numerator = amountInWithFee * reserveOut;
+        uint256 denominator = (reserveIn * feeDenominator) + amountInWithFee;
+
+        amountOut = numerator / denominator;
+    }
+
+    function getAmountsIn(uint256 amountOut, address[] memory path) public view returns (uint256[] memory amounts) {
+        require(path.length >= 2, "Invalid path");
+        amounts = new uint256[](path.length);
+        amounts[amounts.length - 1] = amountOut;
+
+        for (uint256 i = path.length - 1; i > 0; i--) {
+            (uint256 reserveIn, uint256 reserveOut) = getReserves(path[i - 1], path[i]);
+            amounts[i - 1] = getAmountIn(amounts[i], reserveIn, reserveOut);
+        }
+    }
+
+    /**
+     * @dev getAmountOut的反函数，结果向上取整，保证换出的数量不少于amountOut
+     */
+    function getAmountIn(uint256 amountOut, uint256 reserveIn, uint256 reserveOut) public view returns (uint256 amountIn) {
+        require(amountOut > 0, "Insufficient output amount");
+        require(reserveIn > 0 && reserveOut > amountOut, "Insufficient liquidity");
+
+        uint256 feeDenominator = factory.FEE_DENOMINATOR();
+        uint256 numerator = reserveIn * amountOut * feeDenominator;
+        uint256 denominator = (reserveOut - amountOut) * (feeDenominator - factory.swapFee());
+
+        amountIn = (numerator / denominator) + 1;
+    }
+
+    /**
+     * @dev 每一跳的输出直接发送到下一跳的交易对，最后一跳发送给_to
+     */
+    function _swap(uint256[] memory amounts, address[] memory path, address _to) internal {
+        address[] memory pairs = getPairs(path);
+
+        for (uint256 i; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            (address token0_, ) = sortTokens(input, output);
+            uint256 amountOut = amounts[i + 1];
+            (uint256 amount0Out, uint256 amount1Out) = input == token0_ ? (uint256(0), amountOut) : (amountOut, uint256(0));
+            address to = i < path.length - 2 ? pairs[i + 1] : _to;
+
+            LiquidityPool(pairs[i]).swap(amount0Out, amount1Out, to, new bytes(0));
+        }
+    }
+
+    /**
+     * @dev 与_swap相同，但每一跳的输入取交易对余额与储备量之差，而不是预先计算的amounts
+     */
+    function _swapSupportingFeeOnTransferTokens(address[] memory path, address _to) internal {
+        for (uint256 i; i < path.length - 1; i++) {
+            (address input, address output) = (path[i], path[i + 1]);
+            (address token0_, ) = sortTokens(input, output);
+            LiquidityPool pair = LiquidityPool(pairFor(input, output));
+
+            uint256 amountOutput;
+            { // 限制中间变量的作用域，避免stack too deep
+                (uint256 reserveInput, uint256 reserveOutput) = getReserves(input, output);
+                uint256 amountInput = IERC20(input).balanceOf(address(pair)) - reserveInput;
+                amountOutput = getAmountOut(amountInput, reserveInput, reserveOutput);
+            }
+
+            (uint256 amount0Out, uint256 amount1Out) = input == token0_ ? (uint256(0), amountOutput) : (amountOutput, uint256(0));
+            address to = i < path.length - 2 ? pairFor(output, path[i + 2]) : _to;
+
+            pair.swap(amount0Out, amount1Out, to, new bytes(0));
+        }
+    }
+
+    function getReserves(address tokenA, address tokenB) public view returns (uint256 reserveA, uint256 reserveB) {
+        (address token0_, ) = sortTokens(tokenA, tokenB);
+        (uint256 reserve0, uint256 reserve1, ) = LiquidityPool(pairFor(tokenA, tokenB)).getReserves();
+        (reserveA, reserveB) = tokenA == token0_ ? (reserve0, reserve1) : (reserve1, reserve0);
+    }
+
+    function pairFor(address tokenA, address tokenB) public view returns (address pair) {
+        pair = factory.getPair(tokenA, tokenB);
+        require(pair != address(0), "Pair not exists");
+    }
+
+    function getPairs(address[] memory path) public view returns (address[] memory pairs) {
+        pairs = new address[](path.length - 1);
+        for (uint256 i = 0; i < path.length - 1; i++) {
+            pairs[i] = pairFor(path[i], path[i + 1]);
+        }
+    }
+
+    function sortTokens(address tokenA, address tokenB) internal pure returns (address token0_, address token1_) {
+        require(tokenA != tokenB, "Identical addresses");
+        (token0_, token1_) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        require(token0_ != address(0), "Zero address");
+    }
+
+    function _permitLiquidity(
+        address pair,
+        uint256 liquidity,
+        uint256 deadline,
+        bool approveMax,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) internal {
+        uint256 value = approveMax ? type(uint256).max : liquidity;
+        LiquidityPool(pair).permit(msg.sender, address(this), value, deadline, v, r, s);
+    }
+
+    function _safeTransferETH(address to, uint256 value) internal {
+        (bool success, ) = to.call{value: value}("");
+        require(success, "ETH transfer failed");
+    }
+
+    function quote(uint256 amountA, uint256 reserveA, uint256 reserveB) public pure returns (uint256 amountB) {
+        require(amountA > 0, "Insufficient amount");
+        require(reserveA > 0 && reserveB > 0, "Insufficient liquidity");
+        amountB = (amountA * reserveB) / reserveA;
+    }
+}
@@ -0,0 +1,24 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title UQ112x112
+ * @dev 112.112位定点数（与Uniswap V2一致），范围[0, 2**112 - 1]，精度1 / 2**112
+ */
+library UQ112x112 {
+    uint224 internal constant Q112 = 2 ** 112;
+
+    /**
+     * @dev 把uint112编码为UQ112x112
+     */
+    function encode(uint112 y) internal pure returns (uint224 z) {
+        z = uint224(y) * Q112; // 不会溢出
+    }
+
+    /**
+     * @dev UQ112x112除以uint112，结果仍为UQ112x112
+     */
+    function uqdiv(uint224 x, uint112 y) internal pure returns (uint224 z) {
+        z = x / uint224(y);
+    }
+}
@@ -0,0 +1,32 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+
+/**
+ * @title WETH9
+ * @dev 与主网WETH9行为一致的包装ETH，供本地部署和测试使用。
+ *      deposit按1:1铸造WETH，withdraw销毁WETH并返还ETH
+ */
+contract WETH9 is ERC20 {
+    event Deposit(address indexed dst, uint256 wad);
+    event Withdrawal(address indexed src, uint256 wad);
+
+    constructor() ERC20("Wrapped Ether", "WETH") {}
+
+    receive() external payable {
+        deposit();
+    }
+
+    function deposit() public payable {
+        _mint(msg.sender, msg.value);
+        emit Deposit(msg.sender, msg.value);
+    }
+
+    function withdraw(uint256 wad) external {
+        _burn(msg.sender, wad);
+        (bool success, ) = msg.sender.call{value: wad}("");
+        require(success, "ETH transfer failed");
+        emit Withdrawal(msg.sender, wad);
+    }
+}
@@ -0,0 +1,74 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "../ILiquidityPoolCallee.sol";
+import "../LiquidityPool.sol";
+import "../PairFactory.sol";
+import "../SwapRouter.sol";
+
+/**
+ * @title FlashSwapArbitrageur
+ * @dev 闪电交换示例：从sourceFactory的交易对借出tokenBorrow，在targetRouter所在的市场卖出，
+ *      用换回的tokenRepay归还借款，差价作为利润发给发起人。全程无需预先持有资金
+ */
+contract FlashSwapArbitrageur is ILiquidityPoolCallee {
+    PairFactory public immutable sourceFactory;
+    SwapRouter public immutable sourceRouter;
+    SwapRouter public immutable targetRouter;
+
+    event Arbitrage(address indexed initiator, address tokenBorrow, uint256 amountBorrow, address tokenRepay, uint256 profit);
+
+    constructor(address _sourceRouter, address _targetRouter) {
+        sourceRouter = SwapRouter(payable(_sourceRouter));
+        sourceFactory = SwapRouter(payable(_sourceRouter)).factory();
+        targetRouter = SwapRouter(payable(_targetRouter));
+    }
+
+    /**
+     * @dev 发起套利，借出amountBorrow个tokenBorrow，以tokenRepay归还
+     */
+    function arbitrage(address tokenBorrow, uint256 amountBorrow, address tokenRepay) external {
+        address pair = sourceRouter.pairFor(tokenBorrow, tokenRepay);
+        (uint256 reserveRepay, uint256 reserveBorrow) = sourceRouter.getReserves(tokenRepay, tokenBorrow);
+        // 按源交易对的报价，借出amountBorrow需要归还的tokenRepay数量
+        uint256 amountRepay = sourceRouter.getAmountIn(amountBorrow, reserveRepay, reserveBorrow);
+
+        (uint256 amount0Out, uint256 amount1Out) = tokenBorrow == address(LiquidityPool(pair).token0())
+            ? (amountBorrow, uint256(0))
+            : (uint256(0), amountBorrow);
+
+        LiquidityPool(pair).swap(
+            amount0Out,
+            amount1Out,
+            address(this),
+            abi.encode(msg.sender, tokenBorrow, tokenRepay, amountRepay)
+        );
+    }
+
+    function liquidityPoolCall(address sender, uint256 amount0, uint256 amount1, bytes calldata data) external override {
+        LiquidityPool pair = LiquidityPool(msg.sender);
+        address token0 = address(pair.token0());
+        address token1 = address(pair.token1());
+        require(msg.sender == sourceFactory.getPair(token0, token1), "Unauthorized pair");
+        require(sender == address(this), "Unauthorized sender");
+
+        (address initiator, address tokenBorrow, address tokenRepay, uint256 amountRepay) =
+            abi.decode(data, (address, address, address, uint256));
+        uint256 amountBorrow = amount0 > 0 ? amount0 : amount1;
+
+        // 在目标市场卖出借到的代币，换回的数量至少要够归还
+        address[] memory path = new address[](2);
+        path[0] = tokenBorrow;
+        path[1] = tokenRepay;
+        IERC20(tokenBorrow).approve(address(targetRouter), amountBorrow);
+        uint256[] memory amounts = targetRouter.swapExactTokensForTokens(amountBorrow, amountRepay, path, address(this), block.timestamp);
+
+        IERC20(tokenRepay).transfer(msg.sender, amountRepay);
+
+        uint256 profit = amounts[1] - amountRepay;
+        IERC20(tokenRepay).transfer(initiator, profit);
+
+        emit Arbitrage(initiator, tokenBorrow, amountBorrow, tokenRepay, profit);
+    }
+}
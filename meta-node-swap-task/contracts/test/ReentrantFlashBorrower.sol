@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "../ILiquidityPoolCallee.sol";
+import "../LiquidityPool.sol";
+
+/**
+ * @title ReentrantFlashBorrower
+ * @dev 测试用：在闪电交换回调中重入交易对，用于验证LiquidityPool的重入锁
+ */
+contract ReentrantFlashBorrower is ILiquidityPoolCallee {
+    function borrow(address pair, uint256 amount0Out, uint256 amount1Out) external {
+        LiquidityPool(pair).swap(amount0Out, amount1Out, address(this), abi.encode(pair));
+    }
+
+    function liquidityPoolCall(address, uint256, uint256, bytes calldata data) external override {
+        address pair = abi.decode(data, (address));
+        LiquidityPool(pair).sync();
+    }
+}
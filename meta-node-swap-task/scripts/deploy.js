@@ -23,46 +23,68 @@ async function main() {
   console.log("TokenB部署地址:", await tokenB.getAddress());
   console.log("TokenB总供应量:", await tokenB.totalSupply());
 
-  // 3. 部署流动性池
-  console.log("\n部署流动性池...");
-  const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
-  const liquidityPool = await LiquidityPool.deploy(await tokenA.getAddress(), await tokenB.getAddress());
-  console.log("流动性池部署地址:", await liquidityPool.getAddress());
+  // 3. 部署交易对工厂和路由
+  console.log("\n部署交易对工厂...");
+  const PairFactory = await ethers.getContractFactory("PairFactory");
+  const factory = await PairFactory.deploy();
+  console.log("交易对工厂部署地址:", await factory.getAddress());
 
-  // 4. 给流动性池授权
-  console.log("\n授权TokenA给流动性池...");
-  await tokenA.approve(await liquidityPool.getAddress(), ethers.parseUnits("500000", 18));
+  console.log("\n部署WETH...");
+  const WETH9 = await ethers.getContractFactory("WETH9");
+  const weth = await WETH9.deploy();
+  console.log("WETH部署地址:", await weth.getAddress());
+
+  console.log("\n部署路由...");
+  const SwapRouter = await ethers.getContractFactory("SwapRouter");
+  const router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+  console.log("路由部署地址:", await router.getAddress());
+
+  // 4. 给路由授权
+  console.log("\n授权TokenA给路由...");
+  await tokenA.approve(await router.getAddress(), ethers.parseUnits("500000", 18));
   
-  console.log("授权TokenB给流动性池...");
-  await tokenB.approve(await liquidityPool.getAddress(), ethers.parseUnits("500000", 18));
+  console.log("授权TokenB给路由...");
+  await tokenB.approve(await router.getAddress(), ethers.parseUnits("500000", 18));
 
-  // 5. 添加初始流动性
+  // 5. 添加初始流动性（交易对不存在时由路由自动创建）
   console.log("\n添加初始流动性...");
   const amountA = ethers.parseUnits("100000", 18);
   const amountB = ethers.parseUnits("100000", 18);
+  const deadline = Math.floor(Date.now() / 1000) + 300; // 5分钟超时
   
-  await liquidityPool.addLiquidity(amountA, amountB);
+  await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amountA, amountB, 0, 0, deployer.address, deadline);
   console.log("已添加流动性:");
   console.log("- TokenA:", ethers.formatUnits(amountA, 18));
   console.log("- TokenB:", ethers.formatUnits(amountB, 18));
 
   // 6. 获取流动性池信息
-  const [reserve0, reserve1] = await liquidityPool.getReserves();
+  const liquidityPool = await ethers.getContractAt(
+    "LiquidityPool",
+    await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+  );
+  const [reserveA, reserveB] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
   console.log("\n流动性池当前储备:");
-  console.log("- TokenA储备:", ethers.formatUnits(reserve0, 18));
-  console.log("- TokenB储备:", ethers.formatUnits(reserve1, 18));
+  console.log("- 流动性池地址:", await liquidityPool.getAddress());
+  console.log("- TokenA储备:", ethers.formatUnits(reserveA, 18));
+  console.log("- TokenB储备:", ethers.formatUnits(reserveB, 18));
   console.log("- LP代币总供应量:", ethers.formatUnits(await liquidityPool.totalSupply(), 18));
 
   console.log("\n✅ 部署完成!");
   console.log("\n部署信息:");
   console.log("TokenA地址:", await tokenA.getAddress());
   console.log("TokenB地址:", await tokenB.getAddress());
+  console.log("交易对工厂地址:", await factory.getAddress());
+  console.log("WETH地址:", await weth.getAddress());
+  console.log("路由地址:", await router.getAddress());
   console.log("流动性池地址:", await liquidityPool.getAddress());
   console.log("部署账户:", deployer.address);
 
   return {
     tokenA: await tokenA.getAddress(),
     tokenB: await tokenB.getAddress(),
+    factory: await factory.getAddress(),
+    weth: await weth.getAddress(),
+    router: await router.getAddress(),
     liquidityPool: await liquidityPool.getAddress(),
     deployer: deployer.address
   };
@@ -0,0 +1,157 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("ETH Router", function () {
+  let token, weth, factory, router;
+  let owner, user1;
+
+  const DEADLINE = ethers.MaxUint256;
+  const tokenAmount = ethers.parseUnits("10000", 18);
+  const ethAmount = ethers.parseEther("10");
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ERC20Token = await ethers.getContractFactory("ERC20Token");
+    token = await ERC20Token.deploy("TokenA", "TKA", 1000000);
+
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    factory = await PairFactory.deploy();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    await token.approve(await router.getAddress(), ethers.MaxUint256);
+  });
+
+  async function addInitialLiquidity() {
+    await router.addLiquidityETH(
+      await token.getAddress(), tokenAmount, 0, 0, owner.address, DEADLINE, { value: ethAmount }
+    );
+    return ethers.getContractAt("LiquidityPool", await factory.getPair(await token.getAddress(), await weth.getAddress()));
+  }
+
+  describe("WETH9", function () {
+    it("应该1:1包装和解包ETH", async function () {
+      await expect(weth.connect(user1).deposit({ value: ethAmount }))
+        .to.emit(weth, "Deposit")
+        .withArgs(user1.address, ethAmount);
+      expect(await weth.balanceOf(user1.address)).to.equal(ethAmount);
+
+      await expect(weth.connect(user1).withdraw(ethAmount))
+        .to.changeEtherBalance(user1, ethAmount);
+      expect(await weth.balanceOf(user1.address)).to.equal(0);
+    });
+
+    it("直接转账ETH应该自动包装", async function () {
+      await user1.sendTransaction({ to: await weth.getAddress(), value: ethAmount });
+      expect(await weth.balanceOf(user1.address)).to.equal(ethAmount);
+    });
+  });
+
+  describe("ETH流动性", function () {
+    it("应该用ETH添加流动性并自动创建交易对", async function () {
+      const liquidityPool = await addInitialLiquidity();
+
+      const [reserveToken, reserveETH] = await router.getReserves(await token.getAddress(), await weth.getAddress());
+      expect(reserveToken).to.equal(tokenAmount);
+      expect(reserveETH).to.equal(ethAmount);
+      expect(await liquidityPool.balanceOf(owner.address)).to.be.gt(0);
+      expect(await ethers.provider.getBalance(await router.getAddress())).to.equal(0);
+    });
+
+    it("多余的ETH应该退回给调用者", async function () {
+      await addInitialLiquidity();
+
+      // 按1000 TKA : 1 ETH的比例，只需要1 ETH
+      await expect(
+        router.connect(owner).addLiquidityETH(
+          await token.getAddress(), ethers.parseUnits("1000", 18), 0, 0, owner.address, DEADLINE,
+          { value: ethers.parseEther("5") }
+        )
+      ).to.changeEtherBalance(owner, -ethers.parseEther("1"));
+    });
+
+    it("应该移除流动性并把WETH解包为ETH", async function () {
+      const liquidityPool = await addInitialLiquidity();
+      const liquidity = (await liquidityPool.balanceOf(owner.address)) / 2n;
+      await liquidityPool.approve(await router.getAddress(), liquidity);
+
+      const totalSupply = await liquidityPool.totalSupply();
+      const expectedETH = (liquidity * ethAmount) / totalSupply;
+      const expectedToken = (liquidity * tokenAmount) / totalSupply;
+
+      const tx = router.removeLiquidityETH(await token.getAddress(), liquidity, 0, 0, user1.address, DEADLINE);
+      await expect(tx).to.changeEtherBalance(user1, expectedETH);
+      await expect(tx).to.changeTokenBalance(token, user1, expectedToken);
+    });
+
+    it("低于最小ETH数量时应该回滚", async function () {
+      const liquidityPool = await addInitialLiquidity();
+      const liquidity = await liquidityPool.balanceOf(owner.address);
+      await liquidityPool.approve(await router.getAddress(), liquidity);
+
+      await expect(
+        router.removeLiquidityETH(await token.getAddress(), liquidity, 0, ethAmount, owner.address, DEADLINE)
+      ).to.be.revertedWith("Insufficient B amount");
+    });
+  });
+
+  describe("ETH交换", function () {
+    beforeEach(async function () {
+      await addInitialLiquidity();
+    });
+
+    it("应该用ETH交换代币", async function () {
+      const amountIn = ethers.parseEther("1");
+      const path = [await weth.getAddress(), await token.getAddress()];
+      const [, expectedOut] = await router.getAmountsOut(amountIn, path);
+
+      const tx = router.connect(user1).swapExactETHForTokens(expectedOut, path, user1.address, DEADLINE, { value: amountIn });
+      await expect(tx).to.changeEtherBalance(user1, -amountIn);
+      await expect(tx).to.changeTokenBalance(token, user1, expectedOut);
+    });
+
+    it("应该用代币交换ETH", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await token.getAddress(), await weth.getAddress()];
+      const [, expectedOut] = await router.getAmountsOut(amountIn, path);
+
+      const tx = router.swapExactTokensForETH(amountIn, expectedOut, path, user1.address, DEADLINE);
+      await expect(tx).to.changeEtherBalance(user1, expectedOut);
+      await expect(tx).to.changeTokenBalance(token, owner, -amountIn);
+      expect(await weth.balanceOf(await router.getAddress())).to.equal(0);
+    });
+
+    it("path首尾不是WETH时应该回滚", async function () {
+      const pathToETH = [await token.getAddress(), await weth.getAddress()];
+      const pathFromETH = [await weth.getAddress(), await token.getAddress()];
+
+      await expect(
+        router.swapExactETHForTokens(0, pathToETH, owner.address, DEADLINE, { value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Invalid path");
+      await expect(
+        router.swapExactTokensForETH(ethers.parseUnits("1", 18), 0, pathFromETH, owner.address, DEADLINE)
+      ).to.be.revertedWith("Invalid path");
+    });
+
+    it("输出低于最小值时应该回滚", async function () {
+      const amountIn = ethers.parseEther("1");
+      const path = [await weth.getAddress(), await token.getAddress()];
+      const [, expectedOut] = await router.getAmountsOut(amountIn, path);
+
+      await expect(
+        router.swapExactETHForTokens(expectedOut + 1n, path, owner.address, DEADLINE, { value: amountIn })
+      ).to.be.revertedWith("Insufficient output amount");
+    });
+
+    it("路由应该拒绝非WETH的ETH转账", async function () {
+      await expect(
+        owner.sendTransaction({ to: await router.getAddress(), value: ethers.parseEther("1") })
+      ).to.be.revertedWith("Only WETH");
+    });
+  });
+});
@@ -0,0 +1,200 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+// MemeToken为meme-task的真实代币合约（副本位于contracts/test/MemeToken.sol），买卖时收取2%税
+describe("Fee-on-Transfer Tokens", function () {
+  let meme, tokenB, weth, factory, router, memePool;
+  let owner, user1, marketingWallet, liquidityWallet, devWallet;
+
+  const DEADLINE = ethers.MaxUint256;
+  const TAX_RATE = 200n;
+  const TAX_DENOMINATOR = 10000n;
+  const liquidityAmount = ethers.parseUnits("100000", 18);
+
+  function afterTax(amount) {
+    return amount - (amount * TAX_RATE) / TAX_DENOMINATOR;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, marketingWallet, liquidityWallet, devWallet] = await ethers.getSigners();
+
+    const MemeToken = await ethers.getContractFactory("MemeToken");
+    meme = await MemeToken.deploy(
+      "Meme Token", "MEME", 1000000000,
+      marketingWallet.address, liquidityWallet.address, devWallet.address
+    );
+
+    const ERC20Token = await ethers.getContractFactory("ERC20Token");
+    tokenB = await ERC20Token.deploy("TokenB", "TKB", 1000000);
+
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    factory = await PairFactory.deploy();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    // owner免税，先由owner上架MEME/TKB交易对
+    await meme.approve(await router.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await router.getAddress(), ethers.MaxUint256);
+    await router.addLiquidity(
+      await meme.getAddress(), await tokenB.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE
+    );
+    memePool = await ethers.getContractAt(
+      "LiquidityPool",
+      await factory.getPair(await meme.getAddress(), await tokenB.getAddress())
+    );
+
+    // 把交易对登记为MemeToken的主配对，开启交易后进出交易对的转账都会被征税
+    await meme.setUniswapPair(await memePool.getAddress());
+    await meme.enableTrading();
+
+    await meme.transfer(user1.address, ethers.parseUnits("10000", 18));
+    await tokenB.transfer(user1.address, ethers.parseUnits("10000", 18));
+    await meme.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+    await tokenB.connect(user1).approve(await router.getAddress(), ethers.MaxUint256);
+  });
+
+  describe("卖出扣税代币", function () {
+    it("普通交换按预先计算的数量会违反恒定乘积不变量", async function () {
+      const path = [await meme.getAddress(), await tokenB.getAddress()];
+      await expect(
+        router.connect(user1).swapExactTokensForTokens(ethers.parseUnits("1000", 18), 0, path, user1.address, DEADLINE)
+      ).to.be.revertedWith("K invariant violated");
+    });
+
+    it("应该按交易对实际收到的数量计算输出", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await meme.getAddress(), await tokenB.getAddress()];
+      const [reserveIn, reserveOut] = await router.getReserves(path[0], path[1]);
+      const expectedOut = await router.getAmountOut(afterTax(amountIn), reserveIn, reserveOut);
+
+      const tx = router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(
+        amountIn, expectedOut, path, user1.address, DEADLINE
+      );
+      await expect(tx).to.changeTokenBalance(tokenB, user1, expectedOut);
+      await expect(tx).to.changeTokenBalance(meme, user1, -amountIn);
+
+      const [reserveInAfter] = await router.getReserves(path[0], path[1]);
+      expect(reserveInAfter).to.equal(reserveIn + afterTax(amountIn));
+      expect(await meme.balanceOf(marketingWallet.address)).to.be.gt(0);
+    });
+  });
+
+  describe("买入扣税代币", function () {
+    it("应该按接收方实际到账数量校验amountOutMin", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await tokenB.getAddress(), await meme.getAddress()];
+      const [, quotedOut] = await router.getAmountsOut(amountIn, path);
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, quotedOut, path, user1.address, DEADLINE)
+      ).to.be.revertedWith("Insufficient output amount");
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, afterTax(quotedOut), path, user1.address, DEADLINE)
+      ).to.changeTokenBalance(meme, user1, afterTax(quotedOut));
+    });
+
+    it("多跳路径中间经过扣税代币时应该逐跳按余额增量计算", async function () {
+      const ERC20Token = await ethers.getContractFactory("ERC20Token");
+      const tokenC = await ERC20Token.deploy("TokenC", "TKC", 1000000);
+      await tokenC.approve(await router.getAddress(), ethers.MaxUint256);
+      await router.addLiquidity(
+        await meme.getAddress(), await tokenC.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE
+      );
+
+      // TKB -> MEME（买入扣税）-> TKC（MEME离开第一个交易对时已扣税）
+      const amountIn = ethers.parseUnits("100", 18);
+      const path = [await tokenB.getAddress(), await meme.getAddress(), await tokenC.getAddress()];
+      const [, memeOut] = await router.getAmountsOut(amountIn, path.slice(0, 2));
+      const [reserveMeme, reserveC] = await router.getReserves(path[1], path[2]);
+      const expectedOut = await router.getAmountOut(afterTax(memeOut), reserveMeme, reserveC);
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, expectedOut, path, user1.address, DEADLINE)
+      ).to.changeTokenBalance(tokenC, user1, expectedOut);
+    });
+  });
+
+  describe("扣税代币的流动性", function () {
+    it("非免税用户添加流动性时按交易对实际收到的数量铸造LP", async function () {
+      const amount = ethers.parseUnits("1000", 18);
+      const totalSupply = await memePool.totalSupply();
+      const [reserveMeme, reserveB] = await router.getReserves(await meme.getAddress(), await tokenB.getAddress());
+
+      await router.connect(user1).addLiquidity(
+        await meme.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, user1.address, DEADLINE
+      );
+
+      const expectedLiquidity = [
+        (afterTax(amount) * totalSupply) / reserveMeme,
+        (amount * totalSupply) / reserveB,
+      ].reduce((a, b) => (a < b ? a : b));
+      expect(await memePool.balanceOf(user1.address)).to.equal(expectedLiquidity);
+    });
+
+    it("移除MEME/ETH流动性时应该按路由实际收到的代币转出", async function () {
+      await router.addLiquidityETH(
+        await meme.getAddress(), liquidityAmount, 0, 0, owner.address, DEADLINE, { value: ethers.parseEther("100") }
+      );
+      const ethPool = await ethers.getContractAt(
+        "LiquidityPool",
+        await factory.getPair(await meme.getAddress(), await weth.getAddress())
+      );
+      // 让MEME/WETH交易对同样按配对征税
+      await meme.addAutomatedMarketMakerPair(await ethPool.getAddress());
+
+      const liquidity = (await ethPool.balanceOf(owner.address)) / 2n;
+      await ethPool.approve(await router.getAddress(), ethers.MaxUint256);
+
+      await expect(
+        router.removeLiquidityETH(await meme.getAddress(), liquidity, 0, 0, user1.address, DEADLINE)
+      ).to.be.revertedWithCustomError(meme, "ERC20InsufficientBalance");
+
+      const totalSupply = await ethPool.totalSupply();
+      const expectedMeme = (liquidity * liquidityAmount) / totalSupply;
+      const expectedETH = (liquidity * ethers.parseEther("100")) / totalSupply;
+
+      const tx = router.removeLiquidityETHSupportingFeeOnTransferTokens(
+        await meme.getAddress(), liquidity, 0, 0, user1.address, DEADLINE
+      );
+      await expect(tx).to.changeEtherBalance(user1, expectedETH);
+      await expect(tx).to.changeTokenBalance(meme, user1, afterTax(expectedMeme));
+    });
+  });
+
+  describe("扣税代币与ETH交换", function () {
+    beforeEach(async function () {
+      await router.addLiquidityETH(
+        await meme.getAddress(), liquidityAmount, 0, 0, owner.address, DEADLINE, { value: ethers.parseEther("100") }
+      );
+      await meme.addAutomatedMarketMakerPair(await factory.getPair(await meme.getAddress(), await weth.getAddress()));
+    });
+
+    it("应该用ETH买入扣税代币", async function () {
+      const amountIn = ethers.parseEther("1");
+      const path = [await weth.getAddress(), await meme.getAddress()];
+      const [, quotedOut] = await router.getAmountsOut(amountIn, path);
+
+      await expect(
+        router.connect(user1).swapExactETHForTokensSupportingFeeOnTransferTokens(
+          afterTax(quotedOut), path, user1.address, DEADLINE, { value: amountIn }
+        )
+      ).to.changeTokenBalance(meme, user1, afterTax(quotedOut));
+    });
+
+    it("应该卖出扣税代币换ETH", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await meme.getAddress(), await weth.getAddress()];
+      const [reserveIn, reserveOut] = await router.getReserves(path[0], path[1]);
+      const expectedOut = await router.getAmountOut(afterTax(amountIn), reserveIn, reserveOut);
+
+      await expect(
+        router.connect(user1).swapExactTokensForETHSupportingFeeOnTransferTokens(amountIn, expectedOut, path, user1.address, DEADLINE)
+      ).to.changeEtherBalance(user1, expectedOut);
+    });
+  });
+});
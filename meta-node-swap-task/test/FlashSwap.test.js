@@ -0,0 +1,115 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Flash Swap", function () {
+  let tokenA, tokenB;
+  let sourceFactory, sourceRouter, sourcePool;
+  let targetFactory, targetRouter;
+  let arbitrageur;
+  let owner, user1;
+
+  const DEADLINE = ethers.MaxUint256;
+
+  async function deployMarket(amountA, amountB) {
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    const factory = await PairFactory.deploy();
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    const weth = await WETH9.deploy();
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    const router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    await tokenA.approve(await router.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await router.getAddress(), ethers.MaxUint256);
+    await router.addLiquidity(
+      await tokenA.getAddress(), await tokenB.getAddress(), amountA, amountB, 0, 0, owner.address, DEADLINE
+    );
+    return { factory, router };
+  }
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ERC20Token = await ethers.getContractFactory("ERC20Token");
+    tokenA = await ERC20Token.deploy("TokenA", "TKA", 1000000);
+    tokenB = await ERC20Token.deploy("TokenB", "TKB", 1000000);
+
+    // 源市场 1 A = 1 B，目标市场 1 A = 2 B
+    ({ factory: sourceFactory, router: sourceRouter } = await deployMarket(
+      ethers.parseUnits("10000", 18), ethers.parseUnits("10000", 18)
+    ));
+    ({ factory: targetFactory, router: targetRouter } = await deployMarket(
+      ethers.parseUnits("10000", 18), ethers.parseUnits("20000", 18)
+    ));
+
+    sourcePool = await ethers.getContractAt(
+      "LiquidityPool",
+      await sourceFactory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+    );
+
+    const FlashSwapArbitrageur = await ethers.getContractFactory("FlashSwapArbitrageur");
+    arbitrageur = await FlashSwapArbitrageur.deploy(await sourceRouter.getAddress(), await targetRouter.getAddress());
+  });
+
+  it("无需预先持有资金即可完成有利润的套利", async function () {
+    const amountBorrow = ethers.parseUnits("100", 18);
+    const [reserveB, reserveA] = await sourceRouter.getReserves(await tokenB.getAddress(), await tokenA.getAddress());
+    const amountRepay = await sourceRouter.getAmountIn(amountBorrow, reserveB, reserveA);
+    const [, amountSold] = await targetRouter.getAmountsOut(
+      amountBorrow, [await tokenA.getAddress(), await tokenB.getAddress()]
+    );
+    const expectedProfit = amountSold - amountRepay;
+    expect(expectedProfit).to.be.gt(0);
+
+    expect(await tokenB.balanceOf(user1.address)).to.equal(0);
+
+    await expect(
+      arbitrageur.connect(user1).arbitrage(await tokenA.getAddress(), amountBorrow, await tokenB.getAddress())
+    ).to.emit(arbitrageur, "Arbitrage")
+      .withArgs(user1.address, await tokenA.getAddress(), amountBorrow, await tokenB.getAddress(), expectedProfit);
+
+    expect(await tokenB.balanceOf(user1.address)).to.equal(expectedProfit);
+    expect(await tokenA.balanceOf(await arbitrageur.getAddress())).to.equal(0);
+    expect(await tokenB.balanceOf(await arbitrageur.getAddress())).to.equal(0);
+
+    // 源交易对收到了足额还款，储备量与余额一致
+    const [reserveBAfter, reserveAAfter] = await sourceRouter.getReserves(await tokenB.getAddress(), await tokenA.getAddress());
+    expect(reserveAAfter).to.equal(reserveA - amountBorrow);
+    expect(reserveBAfter).to.equal(reserveB + amountRepay);
+  });
+
+  it("没有价差时套利应该失败", async function () {
+    // 反方向借B卖B，在目标市场换回的A不足以还款
+    await expect(
+      arbitrageur.connect(user1).arbitrage(await tokenB.getAddress(), ethers.parseUnits("100", 18), await tokenA.getAddress())
+    ).to.be.revertedWith("Insufficient output amount");
+  });
+
+  it("回调只接受由借款合约自己发起的闪电交换", async function () {
+    const isAToken0 = (await sourcePool.token0()) === (await tokenA.getAddress());
+    const amount = ethers.parseUnits("100", 18);
+    const data = ethers.AbiCoder.defaultAbiCoder().encode(
+      ["address", "address", "address", "uint256"],
+      [user1.address, await tokenA.getAddress(), await tokenB.getAddress(), 0]
+    );
+
+    await expect(
+      sourcePool.connect(user1).swap(isAToken0 ? amount : 0, isAToken0 ? 0 : amount, await arbitrageur.getAddress(), data)
+    ).to.be.revertedWith("Unauthorized sender");
+  });
+
+  it("借出代币但未归还时交换应该失败", async function () {
+    const amount = ethers.parseUnits("100", 18);
+    await expect(
+      sourcePool.swap(amount, 0, user1.address, "0x")
+    ).to.be.revertedWith("Insufficient input amount");
+  });
+
+  it("回调中重入交易对应该被重入锁拒绝", async function () {
+    const ReentrantFlashBorrower = await ethers.getContractFactory("ReentrantFlashBorrower");
+    const borrower = await ReentrantFlashBorrower.deploy();
+
+    await expect(
+      borrower.borrow(await sourcePool.getAddress(), ethers.parseUnits("100", 18), 0)
+    ).to.be.revertedWithCustomError(sourcePool, "ReentrancyGuardReentrantCall");
+  });
+});
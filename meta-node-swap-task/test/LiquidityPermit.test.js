@@ -0,0 +1,172 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("LP Token Permit", function () {
+  let tokenA, tokenB, weth, factory, router, liquidityPool;
+  let owner, user1;
+
+  const DEADLINE = ethers.MaxUint256;
+  const amount = ethers.parseUnits("10000", 18);
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ERC20Token = await ethers.getContractFactory("ERC20Token");
+    tokenA = await ERC20Token.deploy("TokenA", "TKA", 1000000);
+    tokenB = await ERC20Token.deploy("TokenB", "TKB", 1000000);
+
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    factory = await PairFactory.deploy();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    weth = await WETH9.deploy();
+
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    await tokenA.approve(await router.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await router.getAddress(), ethers.MaxUint256);
+    await router.addLiquidity(
+      await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE
+    );
+
+    liquidityPool = await ethers.getContractAt(
+      "LiquidityPool",
+      await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+    );
+  });
+
+  // 按EIP-712对LP代币的Permit消息签名
+  async function signPermit(signer, pool, spender, value, deadline) {
+    const domain = {
+      name: await pool.name(),
+      version: "1",
+      chainId: (await ethers.provider.getNetwork()).chainId,
+      verifyingContract: await pool.getAddress(),
+    };
+    const types = {
+      Permit: [
+        { name: "owner", type: "address" },
+        { name: "spender", type: "address" },
+        { name: "value", type: "uint256" },
+        { name: "nonce", type: "uint256" },
+        { name: "deadline", type: "uint256" },
+      ],
+    };
+    const message = {
+      owner: signer.address,
+      spender,
+      value,
+      nonce: await pool.nonces(signer.address),
+      deadline,
+    };
+    return ethers.Signature.from(await signer.signTypedData(domain, types, message));
+  }
+
+  describe("permit", function () {
+    it("应该用签名设置授权额度", async function () {
+      const value = ethers.parseUnits("100", 18);
+      const { v, r, s } = await signPermit(owner, liquidityPool, user1.address, value, DEADLINE);
+
+      // 由user1提交签名，owner无需发送交易
+      await liquidityPool.connect(user1).permit(owner.address, user1.address, value, DEADLINE, v, r, s);
+
+      expect(await liquidityPool.allowance(owner.address, user1.address)).to.equal(value);
+      expect(await liquidityPool.nonces(owner.address)).to.equal(1);
+    });
+
+    it("非持有人签名应该被拒绝", async function () {
+      const value = ethers.parseUnits("100", 18);
+      const { v, r, s } = await signPermit(user1, liquidityPool, user1.address, value, DEADLINE);
+
+      await expect(
+        liquidityPool.permit(owner.address, user1.address, value, DEADLINE, v, r, s)
+      ).to.be.revertedWithCustomError(liquidityPool, "ERC2612InvalidSigner");
+    });
+
+    it("过期的签名应该被拒绝", async function () {
+      const deadline = (await time.latest()) - 1;
+      const value = ethers.parseUnits("100", 18);
+      const { v, r, s } = await signPermit(owner, liquidityPool, user1.address, value, deadline);
+
+      await expect(
+        liquidityPool.permit(owner.address, user1.address, value, deadline, v, r, s)
+      ).to.be.revertedWithCustomError(liquidityPool, "ERC2612ExpiredSignature");
+    });
+  });
+
+  describe("removeLiquidityWithPermit", function () {
+    it("应该在一笔交易内完成授权和移除流动性", async function () {
+      const liquidity = (await liquidityPool.balanceOf(owner.address)) / 2n;
+      const totalSupply = await liquidityPool.totalSupply();
+      const expectedAmount = (liquidity * amount) / totalSupply;
+      expect(await liquidityPool.allowance(owner.address, await router.getAddress())).to.equal(0);
+
+      const { v, r, s } = await signPermit(owner, liquidityPool, await router.getAddress(), liquidity, DEADLINE);
+      const tx = router.removeLiquidityWithPermit(
+        await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, user1.address, DEADLINE, false, v, r, s
+      );
+
+      await expect(tx).to.changeTokenBalance(tokenA, user1, expectedAmount);
+      await expect(tx).to.changeTokenBalance(tokenB, user1, expectedAmount);
+      expect(await liquidityPool.allowance(owner.address, await router.getAddress())).to.equal(0);
+    });
+
+    it("approveMax应该签名授权最大额度", async function () {
+      const liquidity = (await liquidityPool.balanceOf(owner.address)) / 2n;
+      const { v, r, s } = await signPermit(owner, liquidityPool, await router.getAddress(), ethers.MaxUint256, DEADLINE);
+
+      await router.removeLiquidityWithPermit(
+        await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, owner.address, DEADLINE, true, v, r, s
+      );
+
+      expect(await liquidityPool.allowance(owner.address, await router.getAddress())).to.equal(ethers.MaxUint256);
+    });
+
+    it("同一签名不能重复使用", async function () {
+      const liquidity = (await liquidityPool.balanceOf(owner.address)) / 4n;
+      const { v, r, s } = await signPermit(owner, liquidityPool, await router.getAddress(), liquidity, DEADLINE);
+
+      await router.removeLiquidityWithPermit(
+        await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, owner.address, DEADLINE, false, v, r, s
+      );
+      await expect(
+        router.removeLiquidityWithPermit(
+          await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, owner.address, DEADLINE, false, v, r, s
+        )
+      ).to.be.revertedWithCustomError(liquidityPool, "ERC2612InvalidSigner");
+    });
+
+    it("签名额度与移除数量不一致时应该失败", async function () {
+      const liquidity = (await liquidityPool.balanceOf(owner.address)) / 2n;
+      const { v, r, s } = await signPermit(owner, liquidityPool, await router.getAddress(), liquidity - 1n, DEADLINE);
+
+      await expect(
+        router.removeLiquidityWithPermit(
+          await tokenA.getAddress(), await tokenB.getAddress(), liquidity, 0, 0, owner.address, DEADLINE, false, v, r, s
+        )
+      ).to.be.revertedWithCustomError(liquidityPool, "ERC2612InvalidSigner");
+    });
+
+    it("应该支持ETH交易对的签名移除", async function () {
+      await router.addLiquidityETH(
+        await tokenA.getAddress(), amount, 0, 0, owner.address, DEADLINE, { value: ethers.parseEther("10") }
+      );
+      const ethPool = await ethers.getContractAt(
+        "LiquidityPool",
+        await factory.getPair(await tokenA.getAddress(), await weth.getAddress())
+      );
+
+      const liquidity = await ethPool.balanceOf(owner.address);
+      const expectedETH = (liquidity * ethers.parseEther("10")) / (await ethPool.totalSupply());
+      const { v, r, s } = await signPermit(owner, ethPool, await router.getAddress(), liquidity, DEADLINE);
+
+      await expect(
+        router.removeLiquidityETHWithPermit(
+          await tokenA.getAddress(), liquidity, 0, 0, user1.address, DEADLINE, false, v, r, s
+        )
+      ).to.changeEtherBalance(user1, expectedETH);
+    });
+  });
+});
@@ -0,0 +1,151 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("TWAP Price Oracle", function () {
+  let tokenA, tokenB, factory, router, liquidityPool, oracle;
+  let owner, user1;
+  let liquidityAddedAt;
+
+  const DEADLINE = ethers.MaxUint256;
+  const Q112 = 2n ** 112n;
+  const PERIOD = 3600; // 1小时
+  const GRANULARITY = 4;
+  const WINDOW = PERIOD * GRANULARITY;
+
+  // 1 A = 2 B
+  const reserveA = ethers.parseUnits("10000", 18);
+  const reserveB = ethers.parseUnits("20000", 18);
+
+  beforeEach(async function () {
+    [owner, user1] = await ethers.getSigners();
+
+    const ERC20Token = await ethers.getContractFactory("ERC20Token");
+    tokenA = await ERC20Token.deploy("TokenA", "TKA", 1000000);
+    tokenB = await ERC20Token.deploy("TokenB", "TKB", 1000000);
+
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    factory = await PairFactory.deploy();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    const weth = await WETH9.deploy();
+
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    await tokenA.approve(await router.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await router.getAddress(), ethers.MaxUint256);
+    const tx = await router.addLiquidity(
+      await tokenA.getAddress(), await tokenB.getAddress(), reserveA, reserveB, 0, 0, owner.address, DEADLINE
+    );
+    liquidityAddedAt = (await ethers.provider.getBlock((await tx.wait()).blockNumber)).timestamp;
+
+    liquidityPool = await ethers.getContractAt(
+      "LiquidityPool",
+      await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+    );
+
+    const SlidingWindowOracle = await ethers.getContractFactory("SlidingWindowOracle");
+    oracle = await SlidingWindowOracle.deploy(await factory.getAddress(), WINDOW, GRANULARITY);
+  });
+
+  async function priceOfAInB() {
+    // 返回A以B计价的UQ112x112价格，以及A是否为token0
+    const isAToken0 = (await liquidityPool.token0()) === (await tokenA.getAddress());
+    return { isAToken0, price: (reserveB * Q112) / reserveA };
+  }
+
+  describe("价格累加器", function () {
+    it("添加流动性后应该记录区块时间戳", async function () {
+      const [, , blockTimestampLast] = await liquidityPool.getReserves();
+      expect(blockTimestampLast).to.equal(liquidityAddedAt);
+      expect(await liquidityPool.price0CumulativeLast()).to.equal(0);
+      expect(await liquidityPool.price1CumulativeLast()).to.equal(0);
+    });
+
+    it("储备量变化时应该按经过的时间累加价格", async function () {
+      const [, , timestampBefore] = await liquidityPool.getReserves();
+
+      await time.increase(100);
+      await liquidityPool.sync();
+
+      const [, , timestampAfter] = await liquidityPool.getReserves();
+      const elapsed = timestampAfter - timestampBefore;
+
+      const { isAToken0, price } = await priceOfAInB();
+      const priceAInB = price;
+      const priceBInA = (reserveA * Q112) / reserveB;
+
+      expect(await liquidityPool.price0CumulativeLast()).to.equal((isAToken0 ? priceAInB : priceBInA) * elapsed);
+      expect(await liquidityPool.price1CumulativeLast()).to.equal((isAToken0 ? priceBInA : priceAInB) * elapsed);
+    });
+
+    it("currentCumulativePrices应该推算到当前时间", async function () {
+      await time.increase(500);
+      await ethers.provider.send("evm_mine", []);
+
+      const [, , blockTimestampLast] = await liquidityPool.getReserves();
+      const now = BigInt(await time.latest());
+      const { isAToken0, price } = await priceOfAInB();
+
+      const [price0Cumulative, price1Cumulative] = await oracle.currentCumulativePrices(await liquidityPool.getAddress());
+      const priceAInBCumulative = isAToken0 ? price0Cumulative : price1Cumulative;
+      expect(priceAInBCumulative).to.equal(price * (now - blockTimestampLast));
+    });
+  });
+
+  describe("滑动窗口预言机", function () {
+    async function fillWindow() {
+      for (let i = 0; i < GRANULARITY; i++) {
+        await oracle.update(await tokenA.getAddress(), await tokenB.getAddress());
+        await time.increase(PERIOD);
+      }
+      await oracle.update(await tokenA.getAddress(), await tokenB.getAddress());
+    }
+
+    it("应该拒绝不能整除的窗口", async function () {
+      const SlidingWindowOracle = await ethers.getContractFactory("SlidingWindowOracle");
+      await expect(
+        SlidingWindowOracle.deploy(await factory.getAddress(), WINDOW + 1, GRANULARITY)
+      ).to.be.revertedWith("Window not evenly divisible");
+    });
+
+    it("同一周期内只记录一次观测值", async function () {
+      await expect(oracle.update(await tokenA.getAddress(), await tokenB.getAddress()))
+        .to.emit(oracle, "ObservationUpdated");
+      await expect(oracle.update(await tokenA.getAddress(), await tokenB.getAddress()))
+        .to.not.emit(oracle, "ObservationUpdated");
+    });
+
+    it("缺少历史观测值时应该拒绝查询", async function () {
+      await oracle.update(await tokenA.getAddress(), await tokenB.getAddress());
+      await expect(
+        oracle.consult(await tokenA.getAddress(), ethers.parseUnits("1", 18), await tokenB.getAddress())
+      ).to.be.revertedWith("Missing historical observation");
+    });
+
+    it("价格稳定时TWAP应该等于现货价格", async function () {
+      await fillWindow();
+
+      const amountOut = await oracle.consult(await tokenA.getAddress(), ethers.parseUnits("1", 18), await tokenB.getAddress());
+      expect(amountOut).to.be.closeTo(ethers.parseUnits("2", 18), ethers.parseUnits("0.000001", 18));
+
+      const amountOutReverse = await oracle.consult(await tokenB.getAddress(), ethers.parseUnits("2", 18), await tokenA.getAddress());
+      expect(amountOutReverse).to.be.closeTo(ethers.parseUnits("1", 18), ethers.parseUnits("0.000001", 18));
+    });
+
+    it("单个区块内的价格操纵不应明显影响TWAP", async function () {
+      await fillWindow();
+
+      // 大额卖出A，把A的现货价格压低
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      await router.swapExactTokensForTokens(ethers.parseUnits("10000", 18), 0, path, user1.address, DEADLINE);
+
+      const [spotA, spotB] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(spotB * 10n ** 18n / spotA).to.be.lt(ethers.parseUnits("1", 18)); // 现货价格已跌破1
+
+      const amountOut = await oracle.consult(await tokenA.getAddress(), ethers.parseUnits("1", 18), await tokenB.getAddress());
+      expect(amountOut).to.be.closeTo(ethers.parseUnits("2", 18), ethers.parseUnits("0.01", 18));
+    });
+  });
+});
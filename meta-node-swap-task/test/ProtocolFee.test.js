@@ -0,0 +1,215 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("Protocol Fee", function () {
+  let tokenA, tokenB, factory, router, liquidityPool;
+  let owner, user1, feeRecipient;
+
+  const DEADLINE = ethers.MaxUint256;
+  const FEE_DENOMINATOR = 10000n;
+
+  function sqrt(value) {
+    if (value < 2n) return value;
+    let x = value, y = (x + 1n) / 2n;
+    while (y < x) {
+      x = y;
+      y = (x + value / x) / 2n;
+    }
+    return x;
+  }
+
+  beforeEach(async function () {
+    [owner, user1, feeRecipient] = await ethers.getSigners();
+
+    const ERC20Token = await ethers.getContractFactory("ERC20Token");
+    tokenA = await ERC20Token.deploy("TokenA", "TKA", 1000000);
+    tokenB = await ERC20Token.deploy("TokenB", "TKB", 1000000);
+
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    factory = await PairFactory.deploy();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    const weth = await WETH9.deploy();
+
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    await factory.createPair(await tokenA.getAddress(), await tokenB.getAddress());
+    liquidityPool = await ethers.getContractAt(
+      "LiquidityPool",
+      await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+    );
+
+    await tokenA.approve(await router.getAddress(), ethers.MaxUint256);
+    await tokenB.approve(await router.getAddress(), ethers.MaxUint256);
+    await liquidityPool.approve(await router.getAddress(), ethers.MaxUint256);
+  });
+
+  async function addLiquidity(amountA, amountB) {
+    await router.addLiquidity(
+      await tokenA.getAddress(), await tokenB.getAddress(), amountA, amountB, 0, 0, owner.address, DEADLINE
+    );
+  }
+
+  async function swapBackAndForth(times) {
+    const pathAB = [await tokenA.getAddress(), await tokenB.getAddress()];
+    const pathBA = [await tokenB.getAddress(), await tokenA.getAddress()];
+    for (let i = 0; i < times; i++) {
+      await router.swapExactTokensForTokens(ethers.parseUnits("1000", 18), 0, pathAB, owner.address, DEADLINE);
+      await router.swapExactTokensForTokens(ethers.parseUnits("1000", 18), 0, pathBA, owner.address, DEADLINE);
+    }
+  }
+
+  describe("手续费配置", function () {
+    it("应该使用默认配置", async function () {
+      expect(await factory.owner()).to.equal(owner.address);
+      expect(await factory.swapFee()).to.equal(30);
+      expect(await factory.protocolFeeShare()).to.equal(1667);
+      expect(await factory.feeTo()).to.equal(ethers.ZeroAddress);
+    });
+
+    it("只有owner可以修改手续费配置", async function () {
+      await expect(factory.connect(user1).setFeeTo(user1.address))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      await expect(factory.connect(user1).setSwapFee(10))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+      await expect(factory.connect(user1).setProtocolFeeShare(1000))
+        .to.be.revertedWithCustomError(factory, "OwnableUnauthorizedAccount");
+    });
+
+    it("修改配置时应该触发事件", async function () {
+      await expect(factory.setFeeTo(feeRecipient.address))
+        .to.emit(factory, "FeeToUpdated")
+        .withArgs(ethers.ZeroAddress, feeRecipient.address);
+      await expect(factory.setSwapFee(50))
+        .to.emit(factory, "SwapFeeUpdated")
+        .withArgs(30, 50);
+      await expect(factory.setProtocolFeeShare(2500))
+        .to.emit(factory, "ProtocolFeeShareUpdated")
+        .withArgs(1667, 2500);
+    });
+
+    it("应该拒绝超过上限的配置", async function () {
+      await expect(factory.setSwapFee(101)).to.be.revertedWith("Swap fee too high");
+      await expect(factory.setProtocolFeeShare(5001)).to.be.revertedWith("Protocol fee share too high");
+    });
+  });
+
+  describe("可调交易手续费", function () {
+    beforeEach(async function () {
+      await addLiquidity(ethers.parseUnits("10000", 18), ethers.parseUnits("10000", 18));
+    });
+
+    it("getAmountOut和getAmountIn应该使用当前手续费", async function () {
+      const amountIn = ethers.parseUnits("100", 18);
+      const reserve = ethers.parseUnits("10000", 18);
+
+      await factory.setSwapFee(100);
+      const amountInWithFee = amountIn * (FEE_DENOMINATOR - 100n);
+      const expectedOut = (amountInWithFee * reserve) / (reserve * FEE_DENOMINATOR + amountInWithFee);
+      expect(await router.getAmountOut(amountIn, reserve, reserve)).to.equal(expectedOut);
+
+      const expectedIn = (reserve * expectedOut * FEE_DENOMINATOR) / ((reserve - expectedOut) * (FEE_DENOMINATOR - 100n)) + 1n;
+      expect(await router.getAmountIn(expectedOut, reserve, reserve)).to.equal(expectedIn);
+    });
+
+    it("提高手续费后按旧手续费报价的交换应该失败", async function () {
+      const amountIn = ethers.parseUnits("100", 18);
+      const reserve = ethers.parseUnits("10000", 18);
+      const amountOutAtOldFee = await router.getAmountOut(amountIn, reserve, reserve);
+
+      await factory.setSwapFee(100);
+
+      await tokenA.transfer(await liquidityPool.getAddress(), amountIn);
+      const isAToken0 = (await liquidityPool.token0()) === (await tokenA.getAddress());
+      const [amount0Out, amount1Out] = isAToken0 ? [0n, amountOutAtOldFee] : [amountOutAtOldFee, 0n];
+      await expect(
+        liquidityPool.swap(amount0Out, amount1Out, user1.address, "0x")
+      ).to.be.revertedWith("K invariant violated");
+    });
+
+    it("零手续费时应该按恒定乘积报价", async function () {
+      await factory.setSwapFee(0);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const amountIn = ethers.parseUnits("100", 18);
+      const reserve = ethers.parseUnits("10000", 18);
+
+      await router.swapExactTokensForTokens(amountIn, 0, path, user1.address, DEADLINE);
+      expect(await tokenB.balanceOf(user1.address)).to.equal((amountIn * reserve) / (reserve + amountIn));
+    });
+  });
+
+  describe("协议费", function () {
+    it("未设置feeTo时不应该铸造协议费", async function () {
+      await addLiquidity(ethers.parseUnits("10000", 18), ethers.parseUnits("10000", 18));
+      await swapBackAndForth(3);
+      await addLiquidity(ethers.parseUnits("100", 18), ethers.parseUnits("100", 18));
+
+      expect(await liquidityPool.kLast()).to.equal(0);
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(0);
+    });
+
+    it("开启后应该按sqrt(k)增长把协议分成铸造给feeTo", async function () {
+      await factory.setFeeTo(feeRecipient.address);
+      await addLiquidity(ethers.parseUnits("10000", 18), ethers.parseUnits("10000", 18));
+
+      const [reserve0Before, reserve1Before] = await liquidityPool.getReserves();
+      expect(await liquidityPool.kLast()).to.equal(reserve0Before * reserve1Before);
+
+      await swapBackAndForth(5);
+
+      const kLast = await liquidityPool.kLast();
+      const [reserve0, reserve1] = await liquidityPool.getReserves();
+      const totalSupply = await liquidityPool.totalSupply();
+      const share = await factory.protocolFeeShare();
+      const rootK = sqrt(reserve0 * reserve1);
+      const rootKLast = sqrt(kLast);
+      const expected = (totalSupply * (rootK - rootKLast) * share) /
+        (rootK * (FEE_DENOMINATOR - share) + rootKLast * share);
+      expect(expected).to.be.gt(0);
+
+      await expect(
+        router.removeLiquidity(
+          await tokenA.getAddress(), await tokenB.getAddress(), ethers.parseUnits("1", 18), 0, 0, owner.address, DEADLINE
+        )
+      ).to.emit(liquidityPool, "ProtocolFeeMinted").withArgs(feeRecipient.address, expected);
+
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(expected);
+
+      const [reserve0After, reserve1After] = await liquidityPool.getReserves();
+      expect(await liquidityPool.kLast()).to.equal(reserve0After * reserve1After);
+    });
+
+    it("协议费约等于累计手续费的协议分成", async function () {
+      await factory.setFeeTo(feeRecipient.address);
+      await factory.setProtocolFeeShare(5000);
+      await addLiquidity(ethers.parseUnits("10000", 18), ethers.parseUnits("10000", 18));
+
+      const rootKStart = sqrt((await liquidityPool.reserve0()) * (await liquidityPool.reserve1()));
+      const supplyStart = await liquidityPool.totalSupply();
+      await swapBackAndForth(5);
+      const rootKEnd = sqrt((await liquidityPool.reserve0()) * (await liquidityPool.reserve1()));
+
+      await addLiquidity(ethers.parseUnits("1", 18), ethers.parseUnits("1", 18));
+
+      // 协议铸造的LP占原有份额的比例，应该等于sqrt(k)增长量的一半占增长后sqrt(k)的比例
+      const protocolLiquidity = await liquidityPool.balanceOf(feeRecipient.address);
+      const protocolRootK = (protocolLiquidity * rootKEnd) / (supplyStart + protocolLiquidity);
+      const halfGrowth = (rootKEnd - rootKStart) / 2n;
+      expect(protocolRootK).to.be.closeTo(halfGrowth, halfGrowth / 1000n);
+    });
+
+    it("关闭协议费后应该清零kLast", async function () {
+      await factory.setFeeTo(feeRecipient.address);
+      await addLiquidity(ethers.parseUnits("10000", 18), ethers.parseUnits("10000", 18));
+      expect(await liquidityPool.kLast()).to.not.equal(0);
+
+      await factory.setFeeTo(ethers.ZeroAddress);
+      await swapBackAndForth(2);
+      await addLiquidity(ethers.parseUnits("100", 18), ethers.parseUnits("100", 18));
+
+      expect(await liquidityPool.kLast()).to.equal(0);
+      expect(await liquidityPool.balanceOf(feeRecipient.address)).to.equal(0);
+    });
+  });
+});
@@ -1,9 +1,13 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { anyValue } = require("@nomicfoundation/hardhat-chai-matchers/withArgs");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
 
 describe("Simple Uniswap DEX", function () {
-  let tokenA, tokenB, liquidityPool;
+  let tokenA, tokenB, factory, router, liquidityPool;
   let owner, user1, user2;
+
+  const DEADLINE = ethers.MaxUint256;
   
   beforeEach(async function () {
     [owner, user1, user2] = await ethers.getSigners();
@@ -16,9 +20,22 @@ describe("Simple Uniswap DEX", function () {
     const TokenB = await ethers.getContractFactory("ERC20Token");
     tokenB = await TokenB.deploy("TokenB", "TKB", 1000000);
 
-    // 部署流动性池
-    const LiquidityPool = await ethers.getContractFactory("LiquidityPool");
-    liquidityPool = await LiquidityPool.deploy(await tokenA.getAddress(), await tokenB.getAddress());
+    // 部署交易对工厂和路由
+    const PairFactory = await ethers.getContractFactory("PairFactory");
+    factory = await PairFactory.deploy();
+
+    const WETH9 = await ethers.getContractFactory("WETH9");
+    const weth = await WETH9.deploy();
+
+    const SwapRouter = await ethers.getContractFactory("SwapRouter");
+    router = await SwapRouter.deploy(await factory.getAddress(), await weth.getAddress());
+
+    // 创建TokenA/TokenB流动性池
+    await factory.createPair(await tokenA.getAddress(), await tokenB.getAddress());
+    liquidityPool = await ethers.getContractAt(
+      "LiquidityPool",
+      await factory.getPair(await tokenA.getAddress(), await tokenB.getAddress())
+    );
 
     // 给用户转账一些代币
     await tokenA.transfer(user1.address, ethers.parseUnits("100000", 18));
@@ -49,68 +66,218 @@ describe("Simple Uniswap DEX", function () {
     });
   });
 
+
+  describe("Pair Factory", function () {
+    it("应该为代币对创建唯一的流动性池", async function () {
+      expect(await factory.allPairsLength()).to.equal(1);
+      expect(await factory.allPairs(0)).to.equal(await liquidityPool.getAddress());
+      expect(await factory.getPair(await tokenB.getAddress(), await tokenA.getAddress()))
+        .to.equal(await liquidityPool.getAddress());
+    });
+
+    it("流动性池的代币应该按地址排序", async function () {
+      const [addrA, addrB] = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const [token0, token1] = BigInt(addrA) < BigInt(addrB) ? [addrA, addrB] : [addrB, addrA];
+      expect(await liquidityPool.token0()).to.equal(token0);
+      expect(await liquidityPool.token1()).to.equal(token1);
+      expect(await liquidityPool.factory()).to.equal(await factory.getAddress());
+    });
+
+    it("应该触发PairCreated事件", async function () {
+      const TokenC = await ethers.getContractFactory("ERC20Token");
+      const tokenC = await TokenC.deploy("TokenC", "TKC", 1000000);
+      const [addrA, addrC] = [await tokenA.getAddress(), await tokenC.getAddress()];
+      const [token0, token1] = BigInt(addrA) < BigInt(addrC) ? [addrA, addrC] : [addrC, addrA];
+
+      await expect(factory.createPair(addrA, addrC))
+        .to.emit(factory, "PairCreated")
+        .withArgs(token0, token1, anyValue, 2);
+    });
+
+    it("应该拒绝重复或无效的交易对", async function () {
+      await expect(
+        factory.createPair(await tokenA.getAddress(), await tokenB.getAddress())
+      ).to.be.revertedWith("Pair exists");
+
+      await expect(
+        factory.createPair(await tokenA.getAddress(), await tokenA.getAddress())
+      ).to.be.revertedWith("Identical addresses");
+
+      await expect(
+        factory.createPair(await tokenA.getAddress(), ethers.ZeroAddress)
+      ).to.be.revertedWith("Zero address");
+    });
+  });
+
   describe("Liquidity Pool", function () {
     beforeEach(async function () {
-      // 授权流动性池使用代币
-      await tokenA.approve(await liquidityPool.getAddress(), ethers.parseUnits("500000", 18));
-      await tokenB.approve(await liquidityPool.getAddress(), ethers.parseUnits("500000", 18));
-      await tokenA.connect(user1).approve(await liquidityPool.getAddress(), ethers.parseUnits("100000", 18));
-      await tokenB.connect(user1).approve(await liquidityPool.getAddress(), ethers.parseUnits("100000", 18));
+      // 授权路由使用代币
+      await tokenA.approve(await router.getAddress(), ethers.parseUnits("500000", 18));
+      await tokenB.approve(await router.getAddress(), ethers.parseUnits("500000", 18));
+      await tokenA.connect(user1).approve(await router.getAddress(), ethers.parseUnits("100000", 18));
+      await tokenB.connect(user1).approve(await router.getAddress(), ethers.parseUnits("100000", 18));
     });
 
     it("应该正确添加初始流动性", async function () {
       const amountA = ethers.parseUnits("100000", 18);
       const amountB = ethers.parseUnits("100000", 18);
 
-      await expect(liquidityPool.addLiquidity(amountA, amountB))
+      await expect(
+        router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amountA, amountB, 0, 0, owner.address, DEADLINE)
+      )
         .to.emit(liquidityPool, "AddLiquidity")
         .withArgs(owner.address, amountA, amountB);
 
-      const [reserve0, reserve1] = await liquidityPool.getReserves();
-      expect(reserve0).to.equal(amountA);
-      expect(reserve1).to.equal(amountB);
+      const [reserveA, reserveB] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(reserveA).to.equal(amountA);
+      expect(reserveB).to.equal(amountB);
 
       const lpBalance = await liquidityPool.balanceOf(owner.address);
       expect(lpBalance).to.be.gt(0);
     });
 
+    it("交易对不存在时应该自动创建", async function () {
+      const TokenC = await ethers.getContractFactory("ERC20Token");
+      const tokenC = await TokenC.deploy("TokenC", "TKC", 1000000);
+      await tokenC.approve(await router.getAddress(), ethers.parseUnits("1000", 18));
+
+      await router.addLiquidity(
+        await tokenA.getAddress(),
+        await tokenC.getAddress(),
+        ethers.parseUnits("1000", 18),
+        ethers.parseUnits("1000", 18),
+        0,
+        0,
+        owner.address,
+        DEADLINE
+      );
+
+      expect(await factory.allPairsLength()).to.equal(2);
+      expect(await factory.getPair(await tokenA.getAddress(), await tokenC.getAddress())).to.not.equal(ethers.ZeroAddress);
+    });
+
     it("多个用户可以添加流动性", async function () {
       // 添加初始流动性
       const initialAmount = ethers.parseUnits("100000", 18);
-      await liquidityPool.addLiquidity(initialAmount, initialAmount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), initialAmount, initialAmount, 0, 0, owner.address, DEADLINE);
 
       // 用户1添加流动性
       const userAmount = ethers.parseUnits("10000", 18);
-      await liquidityPool.connect(user1).addLiquidity(userAmount, userAmount);
+      await router.connect(user1).addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), userAmount, userAmount, 0, 0, user1.address, DEADLINE);
 
       const [reserve0, reserve1] = await liquidityPool.getReserves();
-      expect(reserve0).to.equal(initialAmount.add(userAmount));
-      expect(reserve1).to.equal(initialAmount.add(userAmount));
+      expect(reserve0).to.equal(initialAmount + userAmount);
+      expect(reserve1).to.equal(initialAmount + userAmount);
+      expect(await liquidityPool.balanceOf(user1.address)).to.be.gt(0);
     });
 
     it("用户可以移除流动性", async function () {
       // 添加流动性
       const amount = ethers.parseUnits("100000", 18);
-      await liquidityPool.addLiquidity(amount, amount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
 
       const lpBalance = await liquidityPool.balanceOf(owner.address);
-      
-      await expect(liquidityPool.removeLiquidity(lpBalance))
-        .to.emit(liquidityPool, "RemoveLiquidity");
+      await liquidityPool.approve(await router.getAddress(), lpBalance);
 
+      await expect(
+        router.removeLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), lpBalance, 0, 0, owner.address, DEADLINE)
+      ).to.emit(liquidityPool, "RemoveLiquidity");
+
+      // 只剩下永久锁定的MINIMUM_LIQUIDITY对应的储备
+      const minimumLiquidity = await liquidityPool.MINIMUM_LIQUIDITY();
       const [reserve0, reserve1] = await liquidityPool.getReserves();
-      expect(reserve0).to.equal(0);
-      expect(reserve1).to.equal(0);
+      expect(reserve0).to.equal(minimumLiquidity);
+      expect(reserve1).to.equal(minimumLiquidity);
+      expect(await liquidityPool.totalSupply()).to.equal(minimumLiquidity);
+    });
+
+    it("首次添加流动性应该按sqrt铸造并锁定MINIMUM_LIQUIDITY", async function () {
+      const amountA = ethers.parseUnits("100000", 18);
+      const amountB = ethers.parseUnits("400", 18);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amountA, amountB, 0, 0, owner.address, DEADLINE);
+
+      const minimumLiquidity = await liquidityPool.MINIMUM_LIQUIDITY();
+      const sqrt = (v) => {
+        let x = v, y = (x + 1n) / 2n;
+        while (y < x) { x = y; y = (x + v / x) / 2n; }
+        return x;
+      };
+      expect(await liquidityPool.balanceOf(owner.address)).to.equal(sqrt(amountA * amountB) - minimumLiquidity);
+      expect(await liquidityPool.balanceOf(await liquidityPool.DEAD_ADDRESS())).to.equal(minimumLiquidity);
+    });
+
+    it("应该按当前储备比例只存入最优数量", async function () {
+      const amount = ethers.parseUnits("100000", 18);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
+
+      // 1:1的池子，用户提供1000 A 和 3000 B，只应存入1000 B
+      const desiredA = ethers.parseUnits("1000", 18);
+      const desiredB = ethers.parseUnits("3000", 18);
+      const balanceBBefore = await tokenB.balanceOf(user1.address);
+
+      await router.connect(user1).addLiquidity(
+        await tokenA.getAddress(), await tokenB.getAddress(), desiredA, desiredB, 0, 0, user1.address, DEADLINE
+      );
+
+      expect(await tokenB.balanceOf(user1.address)).to.equal(balanceBBefore - desiredA);
+      const [reserveA, reserveB] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(reserveA).to.equal(amount + desiredA);
+      expect(reserveB).to.equal(amount + desiredA);
+    });
+
+    it("最优数量低于最小值时应该回滚", async function () {
+      const amount = ethers.parseUnits("100000", 18);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
+
+      const desiredA = ethers.parseUnits("1000", 18);
+      const desiredB = ethers.parseUnits("3000", 18);
+
+      await expect(
+        router.connect(user1).addLiquidity(
+          await tokenA.getAddress(), await tokenB.getAddress(), desiredA, desiredB, 0, desiredB, user1.address, DEADLINE
+        )
+      ).to.be.revertedWith("Insufficient B amount");
+
+      await expect(
+        router.connect(user1).addLiquidity(
+          await tokenA.getAddress(), await tokenB.getAddress(), desiredB, desiredA, desiredB, 0, user1.address, DEADLINE
+        )
+      ).to.be.revertedWith("Insufficient A amount");
+    });
+
+    it("移除流动性低于最小数量时应该回滚", async function () {
+      const amount = ethers.parseUnits("100000", 18);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
+
+      const lpBalance = await liquidityPool.balanceOf(owner.address);
+      await liquidityPool.approve(await router.getAddress(), lpBalance);
+
+      await expect(
+        router.removeLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), lpBalance, amount, 0, owner.address, DEADLINE)
+      ).to.be.revertedWith("Insufficient A amount");
+    });
+
+    it("超过截止时间应该回滚", async function () {
+      const amount = ethers.parseUnits("1000", 18);
+      const expired = (await time.latest()) - 1;
+
+      await expect(
+        router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, expired)
+      ).to.be.revertedWith("Expired");
+
+      await expect(
+        router.removeLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, 0, 0, owner.address, expired)
+      ).to.be.revertedWith("Expired");
     });
 
     it("可以计算输出金额", async function () {
       // 添加流动性
       const amount = ethers.parseUnits("100000", 18);
-      await liquidityPool.addLiquidity(amount, amount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
 
       const amountIn = ethers.parseUnits("1000", 18);
       const path = [await tokenA.getAddress(), await tokenB.getAddress()];
-      const amounts = await liquidityPool.getAmountsOut(amountIn, path);
+      const amounts = await router.getAmountsOut(amountIn, path);
 
       expect(amounts[0]).to.equal(amountIn);
       expect(amounts[1]).to.be.gt(0);
@@ -120,23 +287,56 @@ describe("Simple Uniswap DEX", function () {
     it("可以执行代币交换", async function () {
       // 添加流动性
       const amount = ethers.parseUnits("100000", 18);
-      await liquidityPool.addLiquidity(amount, amount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
 
       const amountIn = ethers.parseUnits("1000", 18);
       const path = [await tokenA.getAddress(), await tokenB.getAddress()];
-      const amounts = await liquidityPool.getAmountsOut(amountIn, path);
-      
+      const amounts = await router.getAmountsOut(amountIn, path);
+
       const initialBalanceB = await tokenB.balanceOf(user1.address);
-      
-      await liquidityPool.connect(user1).swapExactTokensForTokens(
+
+      await router.connect(user1).swapExactTokensForTokens(
         amountIn,
         0, // 最小输出金额设为0用于测试
         path,
-        user1.address
+        user1.address,
+        DEADLINE
       );
 
       const finalBalanceB = await tokenB.balanceOf(user1.address);
-      expect(finalBalanceB).to.equal(initialBalanceB.add(amounts[1]));
+      expect(finalBalanceB).to.equal(initialBalanceB + amounts[1]);
+    });
+
+    it("应该拒绝低于最小输出的交换", async function () {
+      const amount = ethers.parseUnits("100000", 18);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), amount, amount, 0, 0, owner.address, DEADLINE);
+
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+
+      await expect(
+        router.connect(user1).swapExactTokensForTokens(amountIn, amounts[1] + 1n, path, user1.address, DEADLINE)
+      ).to.be.revertedWith("Insufficient output amount");
+    });
+
+    it("超过截止时间的交换应该回滚", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const expired = (await time.latest()) - 1;
+
+      const swaps = [
+        router.swapExactTokensForTokens(amountIn, 0, path, user1.address, expired),
+        router.swapTokensForExactTokens(amountIn, 0, path, user1.address, expired),
+        router.swapExactETHForTokens(0, path, user1.address, expired, { value: amountIn }),
+        router.swapExactTokensForETH(amountIn, 0, path, user1.address, expired),
+        router.swapExactTokensForTokensSupportingFeeOnTransferTokens(amountIn, 0, path, user1.address, expired),
+        router.swapExactETHForTokensSupportingFeeOnTransferTokens(0, path, user1.address, expired, { value: amountIn }),
+        router.swapExactTokensForETHSupportingFeeOnTransferTokens(amountIn, 0, path, user1.address, expired),
+      ];
+      for (const swap of swaps) {
+        await expect(swap).to.be.revertedWith("Expired");
+      }
     });
 
     it("quote函数应该正确计算价格", async function () {
@@ -144,67 +344,287 @@ describe("Simple Uniswap DEX", function () {
       const reserveA = ethers.parseUnits("1000", 18);
       const reserveB = ethers.parseUnits("2000", 18);
 
-      const amountB = await liquidityPool.quote(amountA, reserveA, reserveB);
+      const amountB = await router.quote(amountA, reserveA, reserveB);
       expect(amountB).to.equal(ethers.parseUnits("200", 18));
     });
 
     it("应该拒绝无效的流动性添加", async function () {
       await expect(
-        liquidityPool.addLiquidity(0, ethers.parseUnits("100", 18))
+        router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), 0, ethers.parseUnits("100", 18), 0, 0, owner.address, DEADLINE)
       ).to.be.revertedWith("Insufficient liquidity amount");
 
       await expect(
-        liquidityPool.addLiquidity(ethers.parseUnits("100", 18), 0)
+        router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), ethers.parseUnits("100", 18), 0, 0, 0, owner.address, DEADLINE)
       ).to.be.revertedWith("Insufficient liquidity amount");
     });
 
     it("应该拒绝无效的流动性移除", async function () {
       await expect(
-        liquidityPool.removeLiquidity(0)
+        router.removeLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), 0, 0, 0, owner.address, DEADLINE)
       ).to.be.revertedWith("Insufficient liquidity to remove");
     });
 
     it("应该拒绝无效的交换路径", async function () {
       await expect(
-        liquidityPool.getAmountsOut(
+        router.getAmountsOut(
           ethers.parseUnits("100", 18),
           [await tokenA.getAddress()] // 路径太短
         )
       ).to.be.revertedWith("Invalid path");
     });
+
+    it("应该拒绝不存在的交易对", async function () {
+      const TokenC = await ethers.getContractFactory("ERC20Token");
+      const tokenC = await TokenC.deploy("TokenC", "TKC", 1000000);
+
+      await expect(
+        router.getAmountsOut(ethers.parseUnits("100", 18), [await tokenA.getAddress(), await tokenC.getAddress()])
+      ).to.be.revertedWith("Pair not exists");
+    });
+  });
+
+  describe("Exact Output Swap", function () {
+    let tokenC;
+
+    beforeEach(async function () {
+      const TokenC = await ethers.getContractFactory("ERC20Token");
+      tokenC = await TokenC.deploy("TokenC", "TKC", 1000000);
+
+      // 为A/B和B/C添加流动性
+      const liquidityAmount = ethers.parseUnits("100000", 18);
+      await tokenA.approve(await router.getAddress(), liquidityAmount);
+      await tokenB.approve(await router.getAddress(), liquidityAmount * 2n);
+      await tokenC.approve(await router.getAddress(), liquidityAmount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE);
+      await router.addLiquidity(await tokenB.getAddress(), await tokenC.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE);
+
+      await tokenA.connect(user1).approve(await router.getAddress(), ethers.parseUnits("100000", 18));
+    });
+
+    it("getAmountIn应该是getAmountOut的反函数", async function () {
+      const reserveIn = ethers.parseUnits("100000", 18);
+      const reserveOut = ethers.parseUnits("50000", 18);
+      const amountOut = ethers.parseUnits("1000", 18);
+
+      const amountIn = await router.getAmountIn(amountOut, reserveIn, reserveOut);
+
+      // 输入amountIn至少换出amountOut，少1 wei则不足
+      expect(await router.getAmountOut(amountIn, reserveIn, reserveOut)).to.be.gte(amountOut);
+      expect(await router.getAmountOut(amountIn - 1n, reserveIn, reserveOut)).to.be.lt(amountOut);
+    });
+
+    it("getAmountsIn应该沿path反向计算每一跳的输入", async function () {
+      const amountOut = ethers.parseUnits("1000", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+
+      const amounts = await router.getAmountsIn(amountOut, path);
+      expect(amounts[2]).to.equal(amountOut);
+
+      const amountsOut = await router.getAmountsOut(amounts[0], path);
+      expect(amountsOut[2]).to.be.gte(amountOut);
+    });
+
+    it("应该拒绝超过储备量的输出", async function () {
+      const [, reserveB] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      await expect(
+        router.getAmountsIn(reserveB, [await tokenA.getAddress(), await tokenB.getAddress()])
+      ).to.be.revertedWith("Insufficient liquidity");
+    });
+
+    it("可以按指定输出数量进行多跳交换", async function () {
+      const amountOut = ethers.parseUnits("1000", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+      const amounts = await router.getAmountsIn(amountOut, path);
+
+      const initialBalanceA = await tokenA.balanceOf(user1.address);
+
+      await router.connect(user1).swapTokensForExactTokens(amountOut, amounts[0], path, user1.address, DEADLINE);
+
+      expect(await tokenC.balanceOf(user1.address)).to.equal(amountOut);
+      expect(await tokenA.balanceOf(user1.address)).to.equal(initialBalanceA - amounts[0]);
+    });
+
+    it("输入超过amountInMax时应该回滚", async function () {
+      const amountOut = ethers.parseUnits("1000", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const amounts = await router.getAmountsIn(amountOut, path);
+
+      await expect(
+        router.connect(user1).swapTokensForExactTokens(amountOut, amounts[0] - 1n, path, user1.address, DEADLINE)
+      ).to.be.revertedWith("Excessive input amount");
+    });
+  });
+
+  describe("Swap Settlement", function () {
+    const liquidityAmount = ethers.parseUnits("100000", 18);
+    let isAToken0;
+
+    beforeEach(async function () {
+      await tokenA.approve(await router.getAddress(), liquidityAmount);
+      await tokenB.approve(await router.getAddress(), liquidityAmount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE);
+
+      isAToken0 = (await liquidityPool.token0()) === (await tokenA.getAddress());
+    });
+
+    it("交换应该把输出发给接收方并触发真实数量的Swap事件", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const path = [await tokenA.getAddress(), await tokenB.getAddress()];
+      const amounts = await router.getAmountsOut(amountIn, path);
+      await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+
+      const expectedArgs = isAToken0
+        ? [await router.getAddress(), amountIn, 0, 0, amounts[1]]
+        : [await router.getAddress(), 0, amountIn, amounts[1], 0];
+
+      await expect(router.connect(user1).swapExactTokensForTokens(amountIn, 0, path, user2.address, DEADLINE))
+        .to.emit(liquidityPool, "Swap")
+        .withArgs(...expectedArgs);
+
+      expect(await tokenB.balanceOf(user2.address)).to.equal(ethers.parseUnits("100000", 18) + amounts[1]);
+    });
+
+    it("交换后储备量应该与实际余额一致", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      await tokenA.connect(user1).approve(await router.getAddress(), amountIn);
+      await router.connect(user1).swapExactTokensForTokens(
+        amountIn, 0, [await tokenA.getAddress(), await tokenB.getAddress()], user1.address, DEADLINE
+      );
+
+      const [reserve0, reserve1] = await liquidityPool.getReserves();
+      const token0 = await ethers.getContractAt("ERC20Token", await liquidityPool.token0());
+      const token1 = await ethers.getContractAt("ERC20Token", await liquidityPool.token1());
+      expect(reserve0).to.equal(await token0.balanceOf(await liquidityPool.getAddress()));
+      expect(reserve1).to.equal(await token1.balanceOf(await liquidityPool.getAddress()));
+    });
+
+    it("没有转入输入代币时直接调用swap应该回滚", async function () {
+      const amountOut = ethers.parseUnits("10", 18);
+      await expect(
+        liquidityPool.connect(user1).swap(isAToken0 ? 0 : amountOut, isAToken0 ? amountOut : 0, user1.address, "0x")
+      ).to.be.revertedWith("Insufficient input amount");
+    });
+
+    it("输出超过恒定乘积允许的数量时应该回滚", async function () {
+      const amountIn = ethers.parseUnits("1000", 18);
+      const amountOut = await router.getAmountOut(
+        amountIn, liquidityAmount, liquidityAmount
+      );
+
+      // 直接向交易对转入输入代币，再索取多1 wei的输出
+      await tokenA.connect(user1).transfer(await liquidityPool.getAddress(), amountIn);
+      await expect(
+        liquidityPool.connect(user1).swap(isAToken0 ? 0 : amountOut + 1n, isAToken0 ? amountOut + 1n : 0, user1.address, "0x")
+      ).to.be.revertedWith("K invariant violated");
+
+      await expect(
+        liquidityPool.connect(user1).swap(isAToken0 ? 0 : amountOut, isAToken0 ? amountOut : 0, user1.address, "0x")
+      ).to.emit(liquidityPool, "Swap");
+    });
+
+    it("sync应该把储备量同步为实际余额", async function () {
+      const donation = ethers.parseUnits("500", 18);
+      await tokenA.connect(user1).transfer(await liquidityPool.getAddress(), donation);
+
+      const [reserveABefore] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(reserveABefore).to.equal(liquidityAmount);
+
+      await expect(liquidityPool.sync()).to.emit(liquidityPool, "Sync");
+
+      const [reserveAAfter, reserveBAfter] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(reserveAAfter).to.equal(liquidityAmount + donation);
+      expect(reserveBAfter).to.equal(liquidityAmount);
+    });
+
+    it("skim应该把多余余额转给接收方", async function () {
+      const donation = ethers.parseUnits("500", 18);
+      await tokenA.connect(user1).transfer(await liquidityPool.getAddress(), donation);
+
+      const balanceBefore = await tokenA.balanceOf(user2.address);
+      await liquidityPool.skim(user2.address);
+
+      expect(await tokenA.balanceOf(user2.address)).to.equal(balanceBefore + donation);
+      expect(await tokenA.balanceOf(await liquidityPool.getAddress())).to.equal(liquidityAmount);
+    });
   });
 
   describe("Integration Test", function () {
     it("完整的交换流程应该正常工作", async function () {
       // 1. 添加初始流动性
       const liquidityAmount = ethers.parseUnits("100000", 18);
-      await tokenA.approve(await liquidityPool.getAddress(), liquidityAmount);
-      await tokenB.approve(await liquidityPool.getAddress(), liquidityAmount);
-      await liquidityPool.addLiquidity(liquidityAmount, liquidityAmount);
+      await tokenA.approve(await router.getAddress(), liquidityAmount);
+      await tokenB.approve(await router.getAddress(), liquidityAmount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE);
 
       // 2. 用户1进行交换
       const swapAmount = ethers.parseUnits("1000", 18);
-      await tokenA.connect(user1).approve(await liquidityPool.getAddress(), swapAmount);
-      
+      await tokenA.connect(user1).approve(await router.getAddress(), swapAmount);
+
       const path = [await tokenA.getAddress(), await tokenB.getAddress()];
-      const amounts = await liquidityPool.getAmountsOut(swapAmount, path);
-      
+      const amounts = await router.getAmountsOut(swapAmount, path);
+
       const initialBalanceB = await tokenB.balanceOf(user1.address);
-      
-      await liquidityPool.connect(user1).swapExactTokensForTokens(
+
+      await router.connect(user1).swapExactTokensForTokens(
         swapAmount,
         amounts[1],
         path,
-        user1.address
+        user1.address,
+        DEADLINE
       );
 
       const finalBalanceB = await tokenB.balanceOf(user1.address);
-      expect(finalBalanceB).to.equal(initialBalanceB.add(amounts[1]));
+      expect(finalBalanceB).to.equal(initialBalanceB + amounts[1]);
 
       // 3. 检查流动性池储备量是否正确更新
-      const [reserve0, reserve1] = await liquidityPool.getReserves();
-      expect(reserve0).to.equal(liquidityAmount.add(swapAmount));
-      expect(reserve1).to.equal(liquidityAmount.sub(amounts[1]));
+      const [reserveA, reserveB] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(reserveA).to.equal(liquidityAmount + swapAmount);
+      expect(reserveB).to.equal(liquidityAmount - amounts[1]);
+    });
+
+    it("多跳交换 A→B→C 应该经过每一跳对应的交易对", async function () {
+      const TokenC = await ethers.getContractFactory("ERC20Token");
+      const tokenC = await TokenC.deploy("TokenC", "TKC", 1000000);
+
+      // 1. 分别为A/B和B/C添加流动性
+      const liquidityAmount = ethers.parseUnits("100000", 18);
+      await tokenA.approve(await router.getAddress(), liquidityAmount);
+      await tokenB.approve(await router.getAddress(), liquidityAmount * 2n);
+      await tokenC.approve(await router.getAddress(), liquidityAmount);
+      await router.addLiquidity(await tokenA.getAddress(), await tokenB.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE);
+      await router.addLiquidity(await tokenB.getAddress(), await tokenC.getAddress(), liquidityAmount, liquidityAmount, 0, 0, owner.address, DEADLINE);
+
+      const pairBC = await ethers.getContractAt(
+        "LiquidityPool",
+        await factory.getPair(await tokenB.getAddress(), await tokenC.getAddress())
+      );
+
+      // 2. 用户1沿 A→B→C 路径交换
+      const swapAmount = ethers.parseUnits("1000", 18);
+      await tokenA.connect(user1).approve(await router.getAddress(), swapAmount);
+
+      const path = [await tokenA.getAddress(), await tokenB.getAddress(), await tokenC.getAddress()];
+      expect(await router.getPairs(path)).to.deep.equal([
+        await liquidityPool.getAddress(),
+        await pairBC.getAddress()
+      ]);
+
+      const amounts = await router.getAmountsOut(swapAmount, path);
+      const initialBalanceB = await tokenB.balanceOf(user1.address);
+
+      await router.connect(user1).swapExactTokensForTokens(swapAmount, amounts[2], path, user1.address, DEADLINE);
+
+      // 3. 用户只收到C，中间代币B不经过用户
+      expect(await tokenC.balanceOf(user1.address)).to.equal(amounts[2]);
+      expect(await tokenB.balanceOf(user1.address)).to.equal(initialBalanceB);
+
+      const [reserveA, reserveB1] = await router.getReserves(await tokenA.getAddress(), await tokenB.getAddress());
+      expect(reserveA).to.equal(liquidityAmount + swapAmount);
+      expect(reserveB1).to.equal(liquidityAmount - amounts[1]);
+
+      const [reserveB2, reserveC] = await router.getReserves(await tokenB.getAddress(), await tokenC.getAddress());
+      expect(reserveB2).to.equal(liquidityAmount + amounts[1]);
+      expect(reserveC).to.equal(liquidityAmount - amounts[2]);
     });
   });
-});
\ No newline at end of file
+});
@@ -50,15 +50,12 @@ async function main() {
     // 4. Add staking pools
     console.log("\n4. Adding staking pools...");
     
-    // Pool 1: Native ETH (using WETH for testing)
-    const wethAddress = "0xC02aaA39b223FE8D0A0e5C4F27eAD9083C756Cc2"; // Mainnet WETH
-    
-    // For Sepolia testing, we'll use the reward token as staking token
+    // Pool 1: Native ETH (stake token address(0), deposit via depositETH)
     console.log("Adding ETH pool...");
     const ethPoolTx = await metaNodeStaking.addPool(
-        rewardToken.address,     // Using reward token as staking token for ETH pool
+        ethers.constants.AddressZero, // Native currency
         100,                    // Pool weight
-        ethers.utils.parseEther("0.1"), // Min deposit: 0.1 ETH equivalent
+        ethers.utils.parseEther("0.1"), // Min deposit: 0.1 ETH
         100                     // Lock period: 100 blocks
     );
     await ethPoolTx.wait();
@@ -67,7 +64,7 @@ async function main() {
     // Pool 2: ERC20 Token pool
     console.log("Adding ERC20 pool...");
     const erc20PoolTx = await metaNodeStaking.addPool(
-        rewardToken.address,     // Same token for simplicity
+        rewardToken.address,     // Sample ERC20 as staking token
         50,                     // Pool weight
         ethers.utils.parseEther("100"), // Min deposit: 100 tokens
         200                     // Lock period: 200 blocks
@@ -75,11 +72,11 @@ async function main() {
     await erc20PoolTx.wait();
     console.log("ERC20 pool added");
     
-    // 5. Transfer some tokens to staking contract for rewards
-    console.log("\n5. Funding staking contract with rewards...");
-    const fundAmount = ethers.utils.parseEther("100000"); // 100K tokens for rewards
-    await metaNodeToken.transfer(metaNodeStaking.address, fundAmount);
-    console.log("Funded staking contract with:", ethers.utils.formatEther(fundAmount), "METANODE tokens");
+    // 5. Let the staking contract mint rewards on claim (up to the token's max supply)
+    console.log("\n5. Granting minter role to staking contract...");
+    const minterTx = await metaNodeToken.setMinter(metaNodeStaking.address, true);
+    await minterTx.wait();
+    console.log("Mintable rewards:", ethers.utils.formatEther(await metaNodeStaking.mintableRewards()), "METANODE tokens");
     
     // 6. Approve tokens for staking (deployer approval)
     console.log("\n6. Approving tokens for staking...");
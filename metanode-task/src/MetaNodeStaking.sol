@@ -2,7 +2,7 @@
 pragma solidity ^0.8.19;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
-import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "./MetaNodeToken.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/security/Pausable.sol";
 import "@openzeppelin/contracts/security/ReentrancyGuard.sol";
@@ -16,13 +16,14 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     
     // Struct definitions
     struct Pool {
-        IERC20 stToken;                    // 质押代币地址
+        IERC20 stToken;                    // 质押代币地址，address(0)表示原生币(ETH)
         uint256 poolWeight;                // 质押池权重
         uint256 lastRewardBlock;           // 最后一次计算奖励的区块号
         uint256 accMetaNodePerST;          // 每个质押代币累积的MetaNode数量
         uint256 stTokenAmount;             // 池中的总质押代币量
         uint256 minDepositAmount;          // 最小质押金额
         uint256 unstakeLockedBlocks;       // 解除质押的锁定区块数
+        uint256 pendingUnstakeAmount;      // 已申请解质押但尚未提取的数量
         bool exists;                       // 池是否存在
     }
     
@@ -34,22 +35,47 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     
     struct User {
         uint256 stAmount;                  // 用户质押的代币数量
-        uint256 finishedMetaNode;          // 已分配的MetaNode数量
-        uint256 pendingMetaNode;           // 待领取的MetaNode数量
+        uint256 finishedMetaNode;          // 已领取的MetaNode数量
+        uint256 pendingMetaNode;           // 已结算待领取的MetaNode数量
+        uint256 rewardDebt;                // 上次结算时的 stAmount * accMetaNodePerST
         mapping(uint256 => UnstakeRequest) requests; // 解质押请求
         uint256[] requestIds;              // 请求ID列表
+        uint256 requestHead;               // requestIds 中第一个未处理请求的下标
+    }
+    
+    struct EmissionEpoch {
+        uint256 endBlock;                  // 结束区块(不含)，起始区块为上一阶段的结束区块
+        uint256 rewardPerBlock;            // 阶段开始时每区块产生的MetaNode数量
+        uint256 halvingInterval;           // 每隔多少区块减半，0表示不减半
     }
     
     // State variables
-    ERC20 public metaNodeToken;           // MetaNode奖励代币
-    uint256 public metaNodePerBlock;      // 每区块产生的MetaNode数量
+    MetaNodeToken public metaNodeToken;   // MetaNode奖励代币
     uint256 public totalPoolWeight;       // 总池权重
     uint256 public startBlock;            // 开始奖励的区块号
     
+    // Emission schedule
+    EmissionEpoch[] public epochs;        // 当前奖励计划的各阶段
+    uint256 public scheduleStartBlock;    // 当前奖励计划的起始区块
+    uint256 public totalRewardsFunded;    // 通过 fundRewards 注入的奖励总量
+    uint256 public fundedRewardsPaid;     // 已从注入奖励中支付的数量
+    uint256 public totalRewardsMinted;    // 领取时铸造的奖励总量
+    uint256 public totalRewardsEmitted;   // 已结算给各池的奖励总量
+    bool public emissionExhausted;        // 已结算的奖励达到 rewardBudget，暂停发放
+    uint256 public emissionResumedBlock;  // 提高上限后恢复发放的区块
+    
+    // 原生币池的质押代币地址
+    address public constant ETH_ADDRESS = address(0);
+    // accMetaNodePerST 的精度
+    uint256 public constant ACC_PRECISION = 1e18;
+    // 奖励计划的最大阶段数，限制结算时的循环次数
+    uint256 public constant MAX_EPOCHS = 16;
+    
     // Mappings
     mapping(uint256 => Pool) public pools;              // 质押池映射
     mapping(uint256 => mapping(address => User)) public users; // 用户数据映射
     mapping(address => bool) public supportedTokens;     // 支持的代币映射
+    uint256 public ethPoolId;                             // 原生币池ID，0表示尚未添加
     
     // Arrays
     uint256[] public poolIds;                             // 池ID列表
@@ -65,7 +91,11 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     event UnstakeRequested(address indexed user, uint256 indexed pid, uint256 amount, uint256 requestId, uint256 unlockBlock);
     event UnstakeProcessed(address indexed user, uint256 indexed pid, uint256 amount, uint256 requestId);
     event RewardClaimed(address indexed user, uint256 indexed pid, uint256 amount);
-    event MetaNodePerBlockUpdated(uint256 oldRate, uint256 newRate);
+    event RewardCarriedOver(address indexed user, uint256 indexed pid, uint256 amount);
+    event EmissionScheduleUpdated(uint256 scheduleStartBlock, uint256 epochCount);
+    event EmissionResumed(uint256 blockNumber);
+    event RewardsFunded(address indexed from, uint256 amount);
+    event PoolRewardsUpdated(uint256 indexed pid, uint256 lastRewardBlock, uint256 stTokenAmount, uint256 accMetaNodePerST);
     
     // Errors
     error PoolNotExists(uint256 pid);
@@ -77,18 +107,27 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     error TokenNotSupported(address token);
     error InvalidAmount(uint256 amount);
     error AlreadyProcessed(uint256 requestId);
+    error ETHTransferFailed(address to, uint256 amount);
+    error NothingToWithdraw(address user, uint256 pid);
     
+    /**
+     * @dev 初始奖励计划为从 _startBlock 开始每区块 _metaNodePerBlock 且不结束，
+     *      可通过 setEmissionSchedule 设置结束区块和减半
+     */
     constructor(address _metaNodeToken, uint256 _metaNodePerBlock, uint256 _startBlock) {
         require(_metaNodeToken != address(0), "Invalid MetaNode token address");
-        metaNodeToken = ERC20(_metaNodeToken);
-        metaNodePerBlock = _metaNodePerBlock;
+        metaNodeToken = MetaNodeToken(_metaNodeToken);
         startBlock = _startBlock;
         _poolIdCounter = 1;
         _requestIdCounter = 1;
+        
+        scheduleStartBlock = _startBlock;
+        epochs.push(EmissionEpoch({endBlock: type(uint256).max, rewardPerBlock: _metaNodePerBlock, halvingInterval: 0}));
+        emit EmissionScheduleUpdated(_startBlock, 1);
     }
     
     /**
-     * @dev 添加质押池 (仅管理员)
+     * @dev 添加质押池 (仅管理员)，质押代币地址为 ETH_ADDRESS 时为原生币池
      * @param _stTokenAddress 质押代币地址
      * @param _poolWeight 池权重
      * @param _minDepositAmount 最小质押金额
@@ -100,11 +139,14 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
         uint256 _minDepositAmount,
         uint256 _unstakeLockedBlocks
     ) external onlyOwner {
-        require(_stTokenAddress != address(0), "Invalid token address");
+        require(_stTokenAddress != ETH_ADDRESS || !supportedTokens[ETH_ADDRESS], "ETH pool already exists");
         require(_poolWeight > 0, "Invalid pool weight");
         require(_minDepositAmount > 0, "Invalid min deposit");
         require(_unstakeLockedBlocks > 0, "Invalid lock period");
         
+        // 新池改变总权重，先按旧权重结算所有池
+        massUpdatePools();
+        
         uint256 pid = _poolIdCounter++;
         
         pools[pid] = Pool({
@@ -115,12 +157,14 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
             stTokenAmount: 0,
             minDepositAmount: _minDepositAmount,
             unstakeLockedBlocks: _unstakeLockedBlocks,
+            pendingUnstakeAmount: 0,
             exists: true
         });
         
         poolIds.push(pid);
         totalPoolWeight += _poolWeight;
         supportedTokens[_stTokenAddress] = true;
+        if (_stTokenAddress == ETH_ADDRESS) ethPoolId = pid;
         
         emit PoolAdded(pid, _stTokenAddress, _poolWeight);
     }
@@ -136,6 +180,9 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     ) external onlyOwner {
         if (!pools[_pid].exists) revert PoolNotExists(_pid);
         
+        // 按旧权重结算所有池，避免已产生的奖励按新权重重新分配
+        massUpdatePools();
+        
         Pool storage pool = pools[_pid];
         
         // 更新总权重
@@ -149,12 +196,51 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev 更新每区块MetaNode奖励数量 (仅管理员)
+     * @dev 设置奖励计划 (仅管理员)，从当前区块起替换原计划，已产生的奖励按原计划结算
+     * @param _epochs 各阶段，结束区块严格递增；最后一个阶段结束后不再产生奖励
      */
-    function updateMetaNodePerBlock(uint256 _metaNodePerBlock) external onlyOwner {
-        uint256 oldRate = metaNodePerBlock;
-        metaNodePerBlock = _metaNodePerBlock;
-        emit MetaNodePerBlockUpdated(oldRate, _metaNodePerBlock);
+    function setEmissionSchedule(EmissionEpoch[] calldata _epochs) external onlyOwner {
+        require(_epochs.length > 0, "Empty schedule");
+        require(_epochs.length <= MAX_EPOCHS, "Too many epochs");
+        
+        // 按原计划结算所有池
+        massUpdatePools();
+        
+        uint256 newStartBlock = block.number > startBlock ? block.number : startBlock;
+        uint256 previousEnd = newStartBlock;
+        for (uint256 i = 0; i < _epochs.length; i++) {
+            require(_epochs[i].endBlock > previousEnd, "Invalid epoch end block");
+            previousEnd = _epochs[i].endBlock;
+        }
+        
+        scheduleStartBlock = newStartBlock;
+        delete epochs;
+        for (uint256 i = 0; i < _epochs.length; i++) {
+            epochs.push(_epochs[i]);
+        }
+        
+        emit EmissionScheduleUpdated(newStartBlock, _epochs.length);
+    }
+    
+    /**
+     * @dev 注入奖励代币，领取奖励时优先使用注入的奖励，注入总量计入 rewardBudget
+     * @param _amount 注入数量
+     */
+    function fundRewards(uint256 _amount) external nonReentrant {
+        if (_amount == 0) revert InvalidAmount(_amount);
+        
+        // 按注入前的上限结算所有池，奖励不足期间的区块不再补发
+        massUpdatePools();
+        
+        uint256 balanceBefore = metaNodeToken.balanceOf(address(this));
+        bool success = metaNodeToken.transferFrom(msg.sender, address(this), _amount);
+        require(success, "Transfer failed");
+        uint256 actualAmount = metaNodeToken.balanceOf(address(this)) - balanceBefore;
+        
+        totalRewardsFunded += actualAmount;
+        _resumeEmission();
+        
+        emit RewardsFunded(msg.sender, actualAmount);
     }
     
     /**
@@ -164,11 +250,11 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
      */
     function stake(uint256 _pid, uint256 _amount) external nonReentrant whenNotPaused {
         if (!pools[_pid].exists) revert PoolNotExists(_pid);
+        if (_isETHPool(_pid)) revert TokenNotSupported(ETH_ADDRESS);
         if (_amount == 0) revert InvalidAmount(_amount);
         if (_amount < pools[_pid].minDepositAmount) revert BelowMinDeposit(_amount, pools[_pid].minDepositAmount);
         
         Pool storage pool = pools[_pid];
-        User storage user = users[_pid][msg.sender];
         
         // 转移代币到合约
         uint256 balanceBefore = pool.stToken.balanceOf(address(this));
@@ -177,14 +263,20 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
         
         if (actualAmount == 0) revert InvalidAmount(actualAmount);
         
-        // 更新用户奖励
-        _updateUserReward(_pid, msg.sender);
-        
-        // 更新用户和池数据
-        user.stAmount += actualAmount;
-        pool.stTokenAmount += actualAmount;
+        _deposit(_pid, actualAmount);
+    }
+    
+    /**
+     * @dev 质押原生币，质押数量为 msg.value
+     * @param _pid 原生币池ID
+     */
+    function depositETH(uint256 _pid) external payable nonReentrant whenNotPaused {
+        if (!pools[_pid].exists) revert PoolNotExists(_pid);
+        if (!_isETHPool(_pid)) revert TokenNotSupported(address(pools[_pid].stToken));
+        if (msg.value == 0) revert InvalidAmount(msg.value);
+        if (msg.value < pools[_pid].minDepositAmount) revert BelowMinDeposit(msg.value, pools[_pid].minDepositAmount);
         
-        emit Staked(msg.sender, _pid, actualAmount);
+        _deposit(_pid, msg.value);
     }
     
     /**
@@ -205,6 +297,8 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
         // 减少用户质押数量
         user.stAmount -= _amount;
         pools[_pid].stTokenAmount -= _amount;
+        pools[_pid].pendingUnstakeAmount += _amount;
+        user.rewardDebt = (user.stAmount * pools[_pid].accMetaNodePerST) / ACC_PRECISION;
         
         // 创建解质押请求
         uint256 requestId = _requestIdCounter++;
@@ -240,15 +334,46 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
         
         // 标记为已处理
         request.processed = true;
+        pools[_pid].pendingUnstakeAmount -= amount;
+        _advanceRequestHead(user);
         
         // 转移代币回用户
-        pools[_pid].stToken.transfer(msg.sender, amount);
+        _transferStToken(_pid, msg.sender, amount);
         
         emit UnstakeProcessed(msg.sender, _pid, amount, _requestId);
     }
     
     /**
-     * @dev 领取奖励
+     * @dev 一次提取所有已过锁定期的解质押请求
+     * @param _pid 池ID
+     */
+    function withdrawAll(uint256 _pid) external nonReentrant {
+        if (!pools[_pid].exists) revert PoolNotExists(_pid);
+        
+        User storage user = users[_pid][msg.sender];
+        uint256 total;
+        
+        // 锁定期可能被修改，已解锁的请求不一定在队列前部，需要检查所有未处理请求
+        for (uint256 i = user.requestHead; i < user.requestIds.length; i++) {
+            uint256 requestId = user.requestIds[i];
+            UnstakeRequest storage request = user.requests[requestId];
+            if (request.processed || block.number < request.unlockBlock) continue;
+            
+            request.processed = true;
+            total += request.amount;
+            emit UnstakeProcessed(msg.sender, _pid, request.amount, requestId);
+        }
+        
+        if (total == 0) revert NothingToWithdraw(msg.sender, _pid);
+        pools[_pid].pendingUnstakeAmount -= total;
+        _advanceRequestHead(user);
+        
+        _transferStToken(_pid, msg.sender, total);
+    }
+    
+    /**
+     * @dev 领取奖励，先用注入的奖励支付，不足部分铸造；
+     *      达到 maxSupply 或无法铸造时只支付可支付的部分，其余留在 pendingMetaNode 下次领取
      * @param _pid 池ID
      */
     function claimReward(uint256 _pid) external nonReentrant {
@@ -261,48 +386,209 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
         
         if (pending == 0) revert NoPendingReward(msg.sender, _pid);
         
-        user.pendingMetaNode = 0;
-        user.finishedMetaNode += pending;
+        uint256 paid = _payReward(msg.sender, pending);
+        user.pendingMetaNode = pending - paid;
+        user.finishedMetaNode += paid;
         
-        // 转移奖励代币
-        bool success = metaNodeToken.transfer(msg.sender, pending);
-        require(success, "Transfer failed");
+        if (paid > 0) emit RewardClaimed(msg.sender, _pid, paid);
+        if (pending > paid) emit RewardCarriedOver(msg.sender, _pid, pending - paid);
+    }
+    
+    /**
+     * @dev 支付奖励，返回实际支付的数量
+     * @param _to 接收地址
+     * @param _amount 应付数量
+     */
+    function _payReward(address _to, uint256 _amount) internal returns (uint256) {
+        uint256 fromFunds = totalRewardsFunded - fundedRewardsPaid;
+        if (fromFunds > _amount) fromFunds = _amount;
+        
+        uint256 toMint = _amount - fromFunds;
+        uint256 mintable = mintableRewards();
+        if (toMint > mintable) toMint = mintable;
+        
+        fundedRewardsPaid += fromFunds;
+        totalRewardsMinted += toMint;
+        
+        if (fromFunds > 0) {
+            bool success = metaNodeToken.transfer(_to, fromFunds);
+            require(success, "Transfer failed");
+        }
+        if (toMint > 0) {
+            metaNodeToken.mint(_to, toMint);
+        }
         
-        emit RewardClaimed(msg.sender, _pid, pending);
+        return fromFunds + toMint;
     }
     
     /**
-     * @dev 更新用户奖励
+     * @dev 记入已到账的质押
      * @param _pid 池ID
-     * @param _user 用户地址
+     * @param _amount 实际到账数量
      */
-    function _updateUserReward(uint256 _pid, address _user) internal {
+    function _deposit(uint256 _pid, uint256 _amount) internal {
         Pool storage pool = pools[_pid];
-        User storage user = users[_pid][_user];
+        User storage user = users[_pid][msg.sender];
         
-        if (pool.stTokenAmount == 0) {
-            pool.lastRewardBlock = block.number;
-            return;
-        }
+        // 更新用户奖励
+        _updateUserReward(_pid, msg.sender);
         
-        uint256 lastRewardBlock = pool.lastRewardBlock;
-        if (block.number <= lastRewardBlock) return;
+        // 更新用户和池数据
+        user.stAmount += _amount;
+        pool.stTokenAmount += _amount;
+        user.rewardDebt = (user.stAmount * pool.accMetaNodePerST) / ACC_PRECISION;
         
-        uint256 multiplier = block.number - lastRewardBlock;
-        uint256 metaNodeReward = (multiplier * metaNodePerBlock * pool.poolWeight) / totalPoolWeight;
-        uint256 accMetaNodePerShare = pool.accMetaNodePerST + (metaNodeReward * 1e18) / pool.stTokenAmount;
+        emit Staked(msg.sender, _pid, _amount);
+    }
+    
+    /**
+     * @dev 转出质押代币，原生币池转出ETH
+     */
+    function _transferStToken(uint256 _pid, address _to, uint256 _amount) internal {
+        if (_isETHPool(_pid)) {
+            _sendETH(_to, _amount);
+        } else {
+            bool success = pools[_pid].stToken.transfer(_to, _amount);
+            require(success, "Transfer failed");
+        }
+    }
+    
+    function _sendETH(address _to, uint256 _amount) internal {
+        (bool success, ) = payable(_to).call{value: _amount}("");
+        if (!success) revert ETHTransferFailed(_to, _amount);
+    }
+    
+    /**
+     * @dev 跳过队列前部已处理的请求，全部处理完时清空请求列表
+     */
+    function _advanceRequestHead(User storage _user) internal {
+        uint256 head = _user.requestHead;
+        uint256 length = _user.requestIds.length;
+        while (head < length && _user.requests[_user.requestIds[head]].processed) {
+            head++;
+        }
         
-        pool.accMetaNodePerST = accMetaNodePerShare;
+        if (head == length) {
+            delete _user.requestIds;
+            _user.requestHead = 0;
+        } else {
+            _user.requestHead = head;
+        }
+    }
+    
+    function _isETHPool(uint256 _pid) internal view returns (bool) {
+        return address(pools[_pid].stToken) == ETH_ADDRESS;
+    }
+    
+    /**
+     * @dev 结算池奖励：把 lastRewardBlock 之后产生的奖励累加到 accMetaNodePerST
+     * @param _pid 池ID
+     */
+    function updatePoolRewards(uint256 _pid) public {
+        if (!pools[_pid].exists) revert PoolNotExists(_pid);
+        _resumeEmission();
+        
+        Pool storage pool = pools[_pid];
+        if (block.number <= pool.lastRewardBlock) return;
+        
+        // 池中无质押时这段区块的奖励不发放
+        if (pool.stTokenAmount > 0 && totalPoolWeight > 0) {
+            (uint256 reward, uint256 budget) = _poolReward(pool, block.number);
+            pool.accMetaNodePerST += (reward * ACC_PRECISION) / pool.stTokenAmount;
+            totalRewardsEmitted += reward;
+            if (totalRewardsEmitted >= budget) {
+                emissionExhausted = true;
+            }
+        }
         pool.lastRewardBlock = block.number;
         
-        if (user.stAmount > 0) {
-            uint256 pending = (user.stAmount * accMetaNodePerShare) / 1e18 - user.finishedMetaNode - user.pendingMetaNode;
-            user.pendingMetaNode += pending;
+        emit PoolRewardsUpdated(_pid, block.number, pool.stTokenAmount, pool.accMetaNodePerST);
+    }
+    
+    /**
+     * @dev 结算所有池奖励，修改权重或奖励速率前调用；
+     *      通过铸造权限或最大供应量提高 rewardBudget 后调用，从当前区块恢复发放
+     */
+    function massUpdatePools() public {
+        for (uint256 i = 0; i < poolIds.length; i++) {
+            updatePoolRewards(poolIds[i]);
         }
     }
     
     /**
-     * @dev 获取待领取奖励
+     * @dev 结算用户奖励并重置 rewardDebt，调用方修改 stAmount 后需重新计算 rewardDebt
+     * @param _pid 池ID
+     * @param _user 用户地址
+     */
+    function _updateUserReward(uint256 _pid, address _user) internal {
+        updatePoolRewards(_pid);
+        
+        uint256 accMetaNodePerST = pools[_pid].accMetaNodePerST;
+        User storage user = users[_pid][_user];
+        
+        uint256 accumulated = (user.stAmount * accMetaNodePerST) / ACC_PRECISION;
+        user.pendingMetaNode += accumulated - user.rewardDebt;
+        user.rewardDebt = accumulated;
+    }
+    
+    /**
+     * @dev 池在 lastRewardBlock 到 _toBlock 之间按权重分得的奖励，不超过 rewardBudget 中尚未结算的部分。
+     *      暂停发放期间以及恢复发放之前未结算的区块不产生奖励
+     * @return reward 池分得的奖励
+     * @return budget 当前的 rewardBudget
+     */
+    function _poolReward(Pool storage _pool, uint256 _toBlock) internal view returns (uint256 reward, uint256 budget) {
+        budget = rewardBudget();
+        if (emissionExhausted || budget <= totalRewardsEmitted) return (0, budget);
+        
+        uint256 from = _pool.lastRewardBlock > emissionResumedBlock ? _pool.lastRewardBlock : emissionResumedBlock;
+        reward = (getMultiplier(from, _toBlock) * _pool.poolWeight) / totalPoolWeight;
+        
+        uint256 remaining = budget - totalRewardsEmitted;
+        if (reward > remaining) reward = remaining;
+    }
+    
+    /**
+     * @dev 暂停发放后 rewardBudget 重新大于已结算的奖励时，从当前区块恢复发放
+     */
+    function _resumeEmission() internal {
+        if (emissionExhausted && rewardBudget() > totalRewardsEmitted) {
+            emissionExhausted = false;
+            emissionResumedBlock = block.number;
+            emit EmissionResumed(block.number);
+        }
+    }
+    
+    /**
+     * @dev 阶段内 [_from, _to) 区块的奖励，按减半周期分段累加
+     * @param _epochStart 阶段起始区块
+     */
+    function _epochEmission(
+        EmissionEpoch memory _epoch,
+        uint256 _epochStart,
+        uint256 _from,
+        uint256 _to
+    ) internal pure returns (uint256 total) {
+        if (_epoch.halvingInterval == 0) {
+            return (_to - _from) * _epoch.rewardPerBlock;
+        }
+        
+        while (_from < _to) {
+            uint256 halvings = (_from - _epochStart) / _epoch.halvingInterval;
+            if (halvings >= 256) break;
+            uint256 rate = _epoch.rewardPerBlock >> halvings;
+            if (rate == 0) break;
+            
+            uint256 periodEnd = _epochStart + (halvings + 1) * _epoch.halvingInterval;
+            if (periodEnd > _to) periodEnd = _to;
+            
+            total += (periodEnd - _from) * rate;
+            _from = periodEnd;
+        }
+    }
+    
+    /**
+     * @dev 获取待领取奖励，与当前区块调用 claimReward 领取的数量一致
      * @param _pid 池ID
      * @param _user 用户地址
      * @return 待领取奖励数量
@@ -315,29 +601,125 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
         
         uint256 accMetaNodePerST = pool.accMetaNodePerST;
         
-        if (pool.stTokenAmount != 0 && block.number > pool.lastRewardBlock) {
-            uint256 multiplier = block.number - pool.lastRewardBlock;
-            uint256 metaNodeReward = (multiplier * metaNodePerBlock * pool.poolWeight) / totalPoolWeight;
-            accMetaNodePerST += (metaNodeReward * 1e18) / pool.stTokenAmount;
+        if (block.number > pool.lastRewardBlock && pool.stTokenAmount > 0 && totalPoolWeight > 0) {
+            (uint256 reward, ) = _poolReward(pool, block.number);
+            accMetaNodePerST += (reward * ACC_PRECISION) / pool.stTokenAmount;
         }
         
-        if (user.stAmount == 0) return user.pendingMetaNode;
-        
-        return (user.stAmount * accMetaNodePerST) / 1e18 - user.finishedMetaNode - user.pendingMetaNode;
+        return user.pendingMetaNode + (user.stAmount * accMetaNodePerST) / ACC_PRECISION - user.rewardDebt;
+    }
+    
+    /**
+     * @dev 按奖励计划计算 [_from, _to) 区块产生的奖励，跨阶段和减半周期累加，不含 rewardBudget 限制。
+     *      当前计划开始之前的区块不计入
+     * @param _from 起始区块
+     * @param _to 结束区块(不含)
+     */
+    function getMultiplier(uint256 _from, uint256 _to) public view returns (uint256 total) {
+        uint256 epochStart = scheduleStartBlock;
+        if (_from < epochStart) _from = epochStart;
+        if (_to <= _from) return 0;
+        
+        for (uint256 i = 0; i < epochs.length; i++) {
+            EmissionEpoch memory epoch = epochs[i];
+            if (_from < epoch.endBlock) {
+                uint256 from = _from > epochStart ? _from : epochStart;
+                uint256 to = _to < epoch.endBlock ? _to : epoch.endBlock;
+                total += _epochEmission(epoch, epochStart, from, to);
+            }
+            if (_to <= epoch.endBlock) break;
+            epochStart = epoch.endBlock;
+        }
+    }
+    
+    /**
+     * @dev 当前区块每区块产生的奖励
+     */
+    function currentRewardPerBlock() external view returns (uint256) {
+        return getMultiplier(block.number, block.number + 1);
     }
     
     /**
-     * @dev 获取用户解质押请求
+     * @dev 奖励发放总量上限：注入的奖励总量 + 已铸造的奖励 + 仍可铸造的数量
+     */
+    function rewardBudget() public view returns (uint256) {
+        return totalRewardsFunded + totalRewardsMinted + mintableRewards();
+    }
+    
+    /**
+     * @dev 本合约还能铸造的奖励，未获得铸造权限或铸造已关闭时为0
+     */
+    function mintableRewards() public view returns (uint256) {
+        if (!metaNodeToken.mintingEnabled() || !metaNodeToken.isMinter(address(this))) return 0;
+        return metaNodeToken.remainingSupply();
+    }
+    
+    /**
+     * @dev 获取奖励计划的所有阶段
+     */
+    function getEmissionSchedule() external view returns (EmissionEpoch[] memory) {
+        return epochs;
+    }
+    
+    /**
+     * @dev 获取用户解质押请求，不含已从队列中移除的请求
      * @param _pid 池ID
      * @param _user 用户地址
-     * @return requests 解质押请求数组
+     * @return requests 解质押请求数组，与 getUserRequestIds 一一对应
      */
     function getUserRequests(uint256 _pid, address _user) external view returns (UnstakeRequest[] memory requests) {
         User storage user = users[_pid][_user];
-        requests = new UnstakeRequest[](user.requestIds.length);
+        requests = new UnstakeRequest[](user.requestIds.length - user.requestHead);
         
-        for (uint256 i = 0; i < user.requestIds.length; i++) {
-            requests[i] = user.requests[user.requestIds[i]];
+        for (uint256 i = user.requestHead; i < user.requestIds.length; i++) {
+            requests[i - user.requestHead] = user.requests[user.requestIds[i]];
+        }
+    }
+    
+    /**
+     * @dev 获取用户解质押请求ID，用于 processUnstake
+     * @param _pid 池ID
+     * @param _user 用户地址
+     */
+    function getUserRequestIds(uint256 _pid, address _user) external view returns (uint256[] memory ids) {
+        User storage user = users[_pid][_user];
+        ids = new uint256[](user.requestIds.length - user.requestHead);
+        
+        for (uint256 i = user.requestHead; i < user.requestIds.length; i++) {
+            ids[i - user.requestHead] = user.requestIds[i];
+        }
+    }
+    
+    /**
+     * @dev 已过锁定期、可以提取的解质押数量
+     * @param _pid 池ID
+     * @param _user 用户地址
+     */
+    function withdrawableAmount(uint256 _pid, address _user) external view returns (uint256 amount) {
+        (amount, ) = _unstakeAmounts(_pid, _user);
+    }
+    
+    /**
+     * @dev 仍在锁定期内的解质押数量
+     * @param _pid 池ID
+     * @param _user 用户地址
+     */
+    function pendingWithdrawAmount(uint256 _pid, address _user) external view returns (uint256 amount) {
+        (, amount) = _unstakeAmounts(_pid, _user);
+    }
+    
+    function _unstakeAmounts(uint256 _pid, address _user) internal view returns (uint256 withdrawable, uint256 locked) {
+        User storage user = users[_pid][_user];
+        
+        for (uint256 i = user.requestHead; i < user.requestIds.length; i++) {
+            UnstakeRequest storage request = user.requests[user.requestIds[i]];
+            if (request.processed) continue;
+            
+            if (block.number >= request.unlockBlock) {
+                withdrawable += request.amount;
+            } else {
+                locked += request.amount;
+            }
         }
     }
     
@@ -360,9 +742,27 @@ contract MetaNodeStaking is Ownable, Pausable, ReentrancyGuard {
     }
     
     /**
-     * @dev 紧急提取代币 (仅管理员)
+     * @dev 紧急提取代币 (仅管理员)，_token 为 ETH_ADDRESS 时提取原生币；
+     *      ETH 只能提取超出用户质押和待提取解质押的部分，
+     *      MetaNode 只能提取超出未支付注入奖励的部分
      */
-    function emergencyWithdraw(address _token, uint256 _amount) external onlyOwner {
+    function emergencyWithdraw(address _token, uint256 _amount) external onlyOwner nonReentrant {
+        if (_token == ETH_ADDRESS) {
+            Pool storage ethPool = pools[ethPoolId];
+            uint256 owed = ethPool.stTokenAmount + ethPool.pendingUnstakeAmount;
+            uint256 available = address(this).balance > owed ? address(this).balance - owed : 0;
+            if (_amount > available) revert InsufficientBalance(available, _amount);
+            _sendETH(owner(), _amount);
+            return;
+        }
+        
+        if (_token == address(metaNodeToken)) {
+            uint256 balance = metaNodeToken.balanceOf(address(this));
+            uint256 reserved = totalRewardsFunded - fundedRewardsPaid;
+            uint256 available = balance > reserved ? balance - reserved : 0;
+            if (_amount > available) revert InsufficientBalance(available, _amount);
+        }
+        
         IERC20 token = IERC20(_token);
         bool success = token.transfer(owner(), _amount);
         require(success, "Transfer failed");
@@ -14,12 +14,15 @@ contract MetaNodeToken is ERC20, Ownable {
     // Mint control
     uint256 public maxSupply;
     bool public mintingEnabled;
+    mapping(address => bool) public minters;
     
     // Events
     event MintingStatusChanged(bool enabled);
     event MaxSupplyUpdated(uint256 oldMaxSupply, uint256 newMaxSupply);
+    event MinterUpdated(address indexed account, bool isMinter);
     
     // Errors
+    error NotMinter(address account);
     error MintingDisabled();
     error MaxSupplyReached(uint256 current, uint256 requested);
     error ZeroAddress();
@@ -41,12 +44,17 @@ contract MetaNodeToken is ERC20, Ownable {
         }
     }
     
+    modifier onlyMinter() {
+        if (!isMinter(msg.sender)) revert NotMinter(msg.sender);
+        _;
+    }
+    
     /**
-     * @dev Mint new tokens (only owner)
+     * @dev Mint new tokens (owner or approved minters)
      * @param to Recipient address
      * @param amount Amount to mint
      */
-    function mint(address to, uint256 amount) external onlyOwner {
+    function mint(address to, uint256 amount) external onlyMinter {
         if (!mintingEnabled) revert MintingDisabled();
         if (to == address(0)) revert ZeroAddress();
         if (amount == 0) revert InvalidAmount(amount);
@@ -68,6 +76,24 @@ contract MetaNodeToken is ERC20, Ownable {
         _burn(msg.sender, amount);
     }
     
+    /**
+     * @dev Grant or revoke the minter role, e.g. for the staking contract
+     * @param account Minter address
+     * @param _isMinter Minter status
+     */
+    function setMinter(address account, bool _isMinter) external onlyOwner {
+        if (account == address(0)) revert ZeroAddress();
+        minters[account] = _isMinter;
+        emit MinterUpdated(account, _isMinter);
+    }
+    
+    /**
+     * @dev Check whether an account can mint (the owner must be granted via setMinter too)
+     */
+    function isMinter(address account) public view returns (bool) {
+        return minters[account];
+    }
+    
     /**
      * @dev Enable/disable minting
      * @param _enabled Minting status
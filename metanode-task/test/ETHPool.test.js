@@ -0,0 +1,212 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine, setBalance } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("原生币质押池", function () {
+    let metaNodeToken, stakeToken, staking;
+    let owner, user1, user2;
+    let stakingAddress;
+
+    // ETH池权重100，ERC20池权重50，ETH池每区块分得 2 METANODE
+    const REWARD_PER_BLOCK = ethers.parseEther("3");
+    const ETH_POOL_REWARD_PER_BLOCK = ethers.parseEther("2");
+    const STAKE_AMOUNT = ethers.parseEther("1");
+    const MIN_DEPOSIT = ethers.parseEther("0.1");
+    const LOCK_BLOCKS = 10;
+    const ETH_PID = 1;
+    const ERC20_PID = 2;
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken");
+        metaNodeToken = await MetaNodeToken.deploy("MetaNode Token", "METANODE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+        stakeToken = await MetaNodeToken.deploy("Stake Token", "STAKE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+
+        const MetaNodeStaking = await ethers.getContractFactory("MetaNodeStaking");
+        staking = await MetaNodeStaking.deploy(
+            await metaNodeToken.getAddress(),
+            REWARD_PER_BLOCK,
+            (await ethers.provider.getBlockNumber()) + 1
+        );
+        stakingAddress = await staking.getAddress();
+
+        await staking.addPool(ethers.ZeroAddress, 100, MIN_DEPOSIT, LOCK_BLOCKS);
+        await staking.addPool(await stakeToken.getAddress(), 50, ethers.parseEther("10"), LOCK_BLOCKS);
+
+        await metaNodeToken.approve(stakingAddress, ethers.MaxUint256);
+        await staking.fundRewards(ethers.parseEther("100000"));
+    });
+
+    async function requestIdOf(tx) {
+        const receipt = await tx.wait();
+        const event = receipt.logs
+            .map((log) => staking.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === "UnstakeRequested");
+        return event.args.requestId;
+    }
+
+    describe("添加池", function () {
+        it("质押代币地址为零地址时创建原生币池", async function () {
+            const pool = await staking.pools(ETH_PID);
+            expect(pool.stToken).to.equal(ethers.ZeroAddress);
+            expect(pool.exists).to.be.true;
+            expect(await staking.supportedTokens(ethers.ZeroAddress)).to.be.true;
+        });
+
+        it("只能有一个原生币池", async function () {
+            await expect(staking.addPool(ethers.ZeroAddress, 100, MIN_DEPOSIT, LOCK_BLOCKS))
+                .to.be.revertedWith("ETH pool already exists");
+        });
+    });
+
+    describe("质押", function () {
+        it("depositETH按msg.value记入质押", async function () {
+            const tx = staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            await expect(tx).to.changeEtherBalances([user1, staking], [-STAKE_AMOUNT, STAKE_AMOUNT]);
+            await expect(tx).to.emit(staking, "Staked").withArgs(user1.address, ETH_PID, STAKE_AMOUNT);
+
+            expect((await staking.users(ETH_PID, user1.address)).stAmount).to.equal(STAKE_AMOUNT);
+            expect((await staking.pools(ETH_PID)).stTokenAmount).to.equal(STAKE_AMOUNT);
+        });
+
+        it("低于最小质押金额或为零时拒绝", async function () {
+            await expect(staking.connect(user1).depositETH(ETH_PID, { value: ethers.parseEther("0.01") }))
+                .to.be.revertedWithCustomError(staking, "BelowMinDeposit");
+            await expect(staking.connect(user1).depositETH(ETH_PID))
+                .to.be.revertedWithCustomError(staking, "InvalidAmount");
+        });
+
+        it("原生币池不能用stake，ERC20池不能用depositETH", async function () {
+            await expect(staking.connect(user1).stake(ETH_PID, STAKE_AMOUNT))
+                .to.be.revertedWithCustomError(staking, "TokenNotSupported")
+                .withArgs(ethers.ZeroAddress);
+            await expect(staking.connect(user1).depositETH(ERC20_PID, { value: STAKE_AMOUNT }))
+                .to.be.revertedWithCustomError(staking, "TokenNotSupported")
+                .withArgs(await stakeToken.getAddress());
+        });
+
+        it("暂停时不能质押", async function () {
+            await staking.pause();
+            await expect(staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT }))
+                .to.be.revertedWith("Pausable: paused");
+        });
+
+        it("不接受直接转入的ETH", async function () {
+            await expect(user1.sendTransaction({ to: stakingAddress, value: STAKE_AMOUNT })).to.be.reverted;
+        });
+    });
+
+    describe("锁定期", function () {
+        beforeEach(async function () {
+            await staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+        });
+
+        it("锁定期内不能提取，锁定期结束后取回ETH", async function () {
+            const requestId = await requestIdOf(await staking.connect(user1).requestUnstake(ETH_PID, STAKE_AMOUNT));
+            const [request] = await staking.getUserRequests(ETH_PID, user1.address);
+            expect(request.unlockBlock).to.equal((await ethers.provider.getBlockNumber()) + LOCK_BLOCKS);
+
+            await mine(LOCK_BLOCKS - 2);
+            await expect(staking.connect(user1).processUnstake(ETH_PID, requestId))
+                .to.be.revertedWithCustomError(staking, "RequestNotUnlockable");
+
+            const tx = staking.connect(user1).processUnstake(ETH_PID, requestId);
+            await expect(tx).to.changeEtherBalances([user1, staking], [STAKE_AMOUNT, -STAKE_AMOUNT]);
+            await expect(tx).to.emit(staking, "UnstakeProcessed").withArgs(user1.address, ETH_PID, STAKE_AMOUNT, requestId);
+        });
+
+        it("请求不能重复处理", async function () {
+            const requestId = await requestIdOf(await staking.connect(user1).requestUnstake(ETH_PID, STAKE_AMOUNT));
+            await mine(LOCK_BLOCKS);
+            await staking.connect(user1).processUnstake(ETH_PID, requestId);
+
+            await expect(staking.connect(user1).processUnstake(ETH_PID, requestId))
+                .to.be.revertedWithCustomError(staking, "AlreadyProcessed");
+        });
+
+        it("接收方拒收ETH时回滚", async function () {
+            // MetaNodeToken没有receive函数，模拟它作为拒收ETH的合约账户
+            const rejecter = await metaNodeToken.getAddress();
+            await ethers.provider.send("hardhat_setBalance", [rejecter, "0x" + (STAKE_AMOUNT * 2n).toString(16)]);
+            const impersonated = await ethers.getImpersonatedSigner(rejecter);
+            await staking.connect(impersonated).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            const requestId = await requestIdOf(await staking.connect(impersonated).requestUnstake(ETH_PID, STAKE_AMOUNT));
+            await mine(LOCK_BLOCKS);
+
+            await expect(staking.connect(impersonated).processUnstake(ETH_PID, requestId))
+                .to.be.revertedWithCustomError(staking, "ETHTransferFailed")
+                .withArgs(rejecter, STAKE_AMOUNT);
+        });
+    });
+
+    describe("奖励", function () {
+        it("按池权重每区块累积奖励", async function () {
+            const stakeTx = await staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            const stakeBlock = (await stakeTx.wait()).blockNumber;
+            await mine(9);
+
+            const claimTx = await staking.connect(user1).claimReward(ETH_PID);
+            const claimBlock = (await claimTx.wait()).blockNumber;
+
+            const expected = ETH_POOL_REWARD_PER_BLOCK * BigInt(claimBlock - stakeBlock);
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(expected);
+            await expect(claimTx).to.emit(staking, "RewardClaimed").withArgs(user1.address, ETH_PID, expected);
+        });
+
+        it("解质押请求期间不再累积奖励", async function () {
+            await staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            await mine(4);
+            await staking.connect(user1).requestUnstake(ETH_PID, STAKE_AMOUNT);
+            const pending = (await staking.users(ETH_PID, user1.address)).pendingMetaNode;
+            expect(pending).to.equal(ETH_POOL_REWARD_PER_BLOCK * 5n);
+
+            await mine(LOCK_BLOCKS);
+            await staking.connect(user1).claimReward(ETH_PID);
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(pending);
+        });
+    });
+
+    describe("紧急提取", function () {
+        it("不能提取用户质押和待提取解质押的ETH", async function () {
+            await staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            await staking.connect(user2).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            await staking.connect(user2).requestUnstake(ETH_PID, STAKE_AMOUNT);
+            expect((await staking.pools(ETH_PID)).pendingUnstakeAmount).to.equal(STAKE_AMOUNT);
+
+            await expect(staking.emergencyWithdraw(ethers.ZeroAddress, 1))
+                .to.be.revertedWithCustomError(staking, "InsufficientBalance")
+                .withArgs(0, 1);
+
+            await mine(LOCK_BLOCKS);
+            await staking.connect(user2).withdrawAll(ETH_PID);
+            expect((await staking.pools(ETH_PID)).pendingUnstakeAmount).to.equal(0);
+            await expect(staking.emergencyWithdraw(ethers.ZeroAddress, STAKE_AMOUNT))
+                .to.be.revertedWithCustomError(staking, "InsufficientBalance")
+                .withArgs(0, STAKE_AMOUNT);
+        });
+
+        it("只能提取超出用户资金的ETH", async function () {
+            await staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            const extra = ethers.parseEther("5");
+            await setBalance(stakingAddress, STAKE_AMOUNT + extra);
+
+            await expect(staking.emergencyWithdraw(ethers.ZeroAddress, extra + 1n))
+                .to.be.revertedWithCustomError(staking, "InsufficientBalance")
+                .withArgs(extra, extra + 1n);
+            await expect(staking.emergencyWithdraw(ethers.ZeroAddress, extra))
+                .to.changeEtherBalances([owner, staking], [extra, -extra]);
+        });
+
+        it("提取数量超过余额时拒绝", async function () {
+            await expect(staking.emergencyWithdraw(ethers.ZeroAddress, 1))
+                .to.be.revertedWithCustomError(staking, "InsufficientBalance")
+                .withArgs(0, 1);
+        });
+
+        it("只有管理员可以提取", async function () {
+            await expect(staking.connect(user1).emergencyWithdraw(ethers.ZeroAddress, 0))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+});
@@ -0,0 +1,214 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("奖励计划", function () {
+    let metaNodeToken, stakeToken, staking;
+    let owner, user1;
+
+    const REWARD_PER_BLOCK = ethers.parseEther("1");
+    const STAKE_AMOUNT = ethers.parseEther("100");
+    const FUND_AMOUNT = ethers.parseEther("100000");
+    const PID = 1;
+
+    async function deploy(fundAmount) {
+        const MetaNodeStaking = await ethers.getContractFactory("MetaNodeStaking");
+        staking = await MetaNodeStaking.deploy(
+            await metaNodeToken.getAddress(),
+            REWARD_PER_BLOCK,
+            (await ethers.provider.getBlockNumber()) + 1
+        );
+        const stakingAddress = await staking.getAddress();
+
+        await staking.addPool(await stakeToken.getAddress(), 100, ethers.parseEther("1"), 10);
+        await metaNodeToken.approve(stakingAddress, ethers.MaxUint256);
+        await staking.fundRewards(fundAmount);
+        await stakeToken.connect(user1).approve(stakingAddress, ethers.MaxUint256);
+    }
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken");
+        metaNodeToken = await MetaNodeToken.deploy("MetaNode Token", "METANODE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+        stakeToken = await MetaNodeToken.deploy("Stake Token", "STAKE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+        await stakeToken.transfer(user1.address, STAKE_AMOUNT);
+
+        await deploy(FUND_AMOUNT);
+    });
+
+    function epoch(endBlock, rewardPerBlock, halvingInterval = 0) {
+        return { endBlock, rewardPerBlock, halvingInterval };
+    }
+
+    // 在下一个区块设置计划，阶段结束区块相对于设置所在区块给出
+    async function setSchedule(...epochs) {
+        const start = (await ethers.provider.getBlockNumber()) + 1;
+        await staking.setEmissionSchedule(epochs.map(([offset, rate, halving]) => epoch(start + offset, rate, halving)));
+        return start;
+    }
+
+    describe("getMultiplier", function () {
+        it("跨阶段累加各阶段的奖励", async function () {
+            const start = await setSchedule([10, 4n], [30, 2n]);
+
+            expect(await staking.getMultiplier(start, start + 10)).to.equal(40);
+            expect(await staking.getMultiplier(start + 5, start + 20)).to.equal(5 * 4 + 10 * 2);
+            expect(await staking.getMultiplier(start, start + 30)).to.equal(10 * 4 + 20 * 2);
+        });
+
+        it("最后一个阶段结束后不再产生奖励", async function () {
+            const start = await setSchedule([10, 4n], [30, 2n]);
+
+            expect(await staking.getMultiplier(start + 25, start + 1000)).to.equal(5 * 2);
+            expect(await staking.getMultiplier(start + 30, start + 1000)).to.equal(0);
+        });
+
+        it("阶段内按减半周期递减，减半到0后不再产生奖励", async function () {
+            const start = await setSchedule([100, 8n, 10]);
+
+            expect(await staking.getMultiplier(start, start + 30)).to.equal(10 * 8 + 10 * 4 + 10 * 2);
+            expect(await staking.getMultiplier(start + 5, start + 15)).to.equal(5 * 8 + 5 * 4);
+            expect(await staking.getMultiplier(start, start + 100)).to.equal(10 * (8 + 4 + 2 + 1));
+        });
+
+        it("减半周期从各自阶段的起始区块计算", async function () {
+            const start = await setSchedule([15, 8n], [100, 8n, 10]);
+
+            expect(await staking.getMultiplier(start + 15, start + 35)).to.equal(10 * 8 + 10 * 4);
+        });
+
+        it("当前计划开始之前的区块不计入", async function () {
+            const start = await setSchedule([10, 4n]);
+
+            expect(await staking.getMultiplier(start - 5, start + 1)).to.equal(4);
+            expect(await staking.getMultiplier(start + 5, start + 5)).to.equal(0);
+        });
+
+        it("currentRewardPerBlock返回当前区块的奖励速率", async function () {
+            const start = await setSchedule([100, 8n, 10]);
+            expect(await staking.currentRewardPerBlock()).to.equal(8);
+
+            await mine(start + 10 - (await ethers.provider.getBlockNumber()));
+            expect(await staking.currentRewardPerBlock()).to.equal(4);
+        });
+    });
+
+    describe("setEmissionSchedule", function () {
+        it("保存阶段并从下一个区块开始新计划", async function () {
+            const start = await setSchedule([10, 4n], [30, 2n]);
+
+            const schedule = await staking.getEmissionSchedule();
+            expect(schedule.length).to.equal(2);
+            expect(schedule[1].endBlock).to.equal(start + 30);
+            expect(await staking.scheduleStartBlock()).to.equal(start);
+        });
+
+        it("已产生的奖励按原计划结算", async function () {
+            const stakeBlock = (await (await staking.connect(user1).stake(PID, STAKE_AMOUNT)).wait()).blockNumber;
+            await mine(4);
+            const start = await setSchedule([20, REWARD_PER_BLOCK * 5n]);
+            await mine(5);
+
+            const current = await ethers.provider.getBlockNumber();
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(
+                BigInt(start - stakeBlock) * REWARD_PER_BLOCK + BigInt(current - start) * REWARD_PER_BLOCK * 5n
+            );
+        });
+
+        it("拒绝无效的计划", async function () {
+            const current = await ethers.provider.getBlockNumber();
+
+            await expect(staking.setEmissionSchedule([])).to.be.revertedWith("Empty schedule");
+            await expect(staking.setEmissionSchedule(Array.from({ length: 17 }, (_, i) => epoch(current + 10 + i, 1n))))
+                .to.be.revertedWith("Too many epochs");
+            await expect(staking.setEmissionSchedule([epoch(current + 1, 1n)]))
+                .to.be.revertedWith("Invalid epoch end block");
+            await expect(staking.setEmissionSchedule([epoch(current + 10, 1n), epoch(current + 10, 1n)]))
+                .to.be.revertedWith("Invalid epoch end block");
+        });
+
+        it("只有管理员可以设置", async function () {
+            await expect(staking.connect(user1).setEmissionSchedule([epoch(ethers.MaxUint256, 1n)]))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+        });
+    });
+
+    describe("奖励上限", function () {
+        const SMALL_FUND = ethers.parseEther("20");
+
+        beforeEach(async function () {
+            await deploy(SMALL_FUND);
+        });
+
+        it("fundRewards增加奖励上限", async function () {
+            await expect(staking.fundRewards(ethers.parseEther("5")))
+                .to.emit(staking, "RewardsFunded")
+                .withArgs(owner.address, ethers.parseEther("5"));
+            expect(await staking.rewardBudget()).to.equal(SMALL_FUND + ethers.parseEther("5"));
+
+            await expect(staking.fundRewards(0)).to.be.revertedWithCustomError(staking, "InvalidAmount");
+        });
+
+        it("累计奖励达到注入总量后停止发放，追加注入后继续", async function () {
+            // 无人质押的区块没有结算给池，不计入上限
+            await mine(10);
+            await staking.connect(user1).stake(PID, STAKE_AMOUNT);
+            await mine(40);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(SMALL_FUND);
+
+            await staking.connect(user1).claimReward(PID);
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(SMALL_FUND);
+            expect(await staking.totalRewardsEmitted()).to.equal(SMALL_FUND);
+            expect(await staking.emissionExhausted()).to.be.true;
+
+            const fundBlock = (await (await staking.fundRewards(ethers.parseEther("5"))).wait()).blockNumber;
+            await mine(3);
+            const elapsed = BigInt((await ethers.provider.getBlockNumber()) - fundBlock);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(elapsed * REWARD_PER_BLOCK);
+
+            await mine(10);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(ethers.parseEther("5"));
+        });
+
+        it("通过铸造权限提高上限后，从恢复发放的区块开始累积", async function () {
+            await staking.connect(user1).stake(PID, STAKE_AMOUNT);
+            await mine(40);
+            await staking.connect(user1).claimReward(PID);
+            expect(await staking.emissionExhausted()).to.be.true;
+
+            // 暂停发放期间的区块不占用提高后的上限
+            await mine(20);
+            await metaNodeToken.setMinter(await staking.getAddress(), true);
+            expect(await staking.rewardBudget()).to.be.gt(await staking.totalRewardsEmitted());
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(0);
+
+            const resumeTx = await staking.massUpdatePools();
+            const resumeBlock = (await resumeTx.wait()).blockNumber;
+            await expect(resumeTx).to.emit(staking, "EmissionResumed").withArgs(resumeBlock);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(0);
+
+            await mine(5);
+            const elapsed = BigInt((await ethers.provider.getBlockNumber()) - resumeBlock);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(elapsed * REWARD_PER_BLOCK);
+
+            const pending = await staking.getPendingReward(PID, user1.address, { blockTag: "pending" });
+            await staking.connect(user1).claimReward(PID);
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(SMALL_FUND + pending);
+        });
+
+        it("其他铸造者用掉额度不影响已结算的奖励", async function () {
+            await metaNodeToken.setMinter(await staking.getAddress(), true);
+            await metaNodeToken.setMinter(owner.address, true);
+            await staking.connect(user1).stake(PID, STAKE_AMOUNT);
+            await mine(29);
+            await staking.updatePoolRewards(PID);
+            const settled = await staking.getPendingReward(PID, user1.address);
+            expect(settled).to.be.gt(SMALL_FUND);
+
+            await metaNodeToken.mint(owner.address, await metaNodeToken.remainingSupply());
+            await mine(5);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(settled);
+        });
+    });
+});
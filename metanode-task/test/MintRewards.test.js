@@ -0,0 +1,203 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("铸造奖励", function () {
+    let metaNodeToken, stakeToken, staking;
+    let owner, user1, user2;
+    let stakingAddress;
+
+    const INITIAL_SUPPLY = ethers.parseEther("1000000");
+    const MAX_SUPPLY = ethers.parseEther("1000100");
+    const REWARD_PER_BLOCK = ethers.parseEther("1");
+    const STAKE_AMOUNT = ethers.parseEther("100");
+    const PID = 1;
+
+    beforeEach(async function () {
+        [owner, user1, user2] = await ethers.getSigners();
+
+        // 最多还能铸造 100 METANODE
+        const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken");
+        metaNodeToken = await MetaNodeToken.deploy("MetaNode Token", "METANODE", INITIAL_SUPPLY, MAX_SUPPLY);
+        stakeToken = await MetaNodeToken.deploy("Stake Token", "STAKE", INITIAL_SUPPLY, ethers.parseEther("10000000"));
+
+        const MetaNodeStaking = await ethers.getContractFactory("MetaNodeStaking");
+        staking = await MetaNodeStaking.deploy(
+            await metaNodeToken.getAddress(),
+            REWARD_PER_BLOCK,
+            (await ethers.provider.getBlockNumber()) + 1
+        );
+        stakingAddress = await staking.getAddress();
+
+        await staking.addPool(await stakeToken.getAddress(), 100, ethers.parseEther("1"), 10);
+        await stakeToken.transfer(user1.address, STAKE_AMOUNT);
+        await stakeToken.connect(user1).approve(stakingAddress, ethers.MaxUint256);
+    });
+
+    async function stakeAndMine(blocks) {
+        await staking.connect(user1).stake(PID, STAKE_AMOUNT);
+        await mine(blocks);
+    }
+
+    describe("铸造权限", function () {
+        it("管理员可以授予和撤销铸造权限", async function () {
+            await expect(metaNodeToken.setMinter(user1.address, true))
+                .to.emit(metaNodeToken, "MinterUpdated")
+                .withArgs(user1.address, true);
+            await metaNodeToken.connect(user1).mint(user2.address, 1);
+            expect(await metaNodeToken.balanceOf(user2.address)).to.equal(1);
+
+            await metaNodeToken.setMinter(user1.address, false);
+            await expect(metaNodeToken.connect(user1).mint(user2.address, 1))
+                .to.be.revertedWithCustomError(metaNodeToken, "NotMinter")
+                .withArgs(user1.address);
+        });
+
+        it("管理员也需要授权才能铸造，非铸造者不能铸造", async function () {
+            expect(await metaNodeToken.isMinter(owner.address)).to.be.false;
+            await expect(metaNodeToken.mint(user2.address, 1))
+                .to.be.revertedWithCustomError(metaNodeToken, "NotMinter")
+                .withArgs(owner.address);
+
+            await metaNodeToken.setMinter(owner.address, true);
+            await metaNodeToken.mint(user2.address, 1);
+            expect(await metaNodeToken.balanceOf(user2.address)).to.equal(1);
+
+            await expect(metaNodeToken.connect(user2).mint(user2.address, 1))
+                .to.be.revertedWithCustomError(metaNodeToken, "NotMinter");
+        });
+
+        it("只有管理员可以设置铸造者，且不能是零地址", async function () {
+            await expect(metaNodeToken.connect(user1).setMinter(user1.address, true))
+                .to.be.revertedWith("Ownable: caller is not the owner");
+            await expect(metaNodeToken.setMinter(ethers.ZeroAddress, true))
+                .to.be.revertedWithCustomError(metaNodeToken, "ZeroAddress");
+        });
+    });
+
+    describe("领取时铸造", function () {
+        beforeEach(async function () {
+            await metaNodeToken.setMinter(stakingAddress, true);
+            // 管理员作为其他铸造者占用额度
+            await metaNodeToken.setMinter(owner.address, true);
+        });
+
+        it("获得铸造权限后可铸造数量计入奖励上限", async function () {
+            expect(await staking.mintableRewards()).to.equal(MAX_SUPPLY - INITIAL_SUPPLY);
+            expect(await staking.rewardBudget()).to.equal(MAX_SUPPLY - INITIAL_SUPPLY);
+
+            await metaNodeToken.setMintingEnabled(false);
+            expect(await staking.mintableRewards()).to.equal(0);
+        });
+
+        it("无需预先注入，领取时铸造奖励", async function () {
+            await stakeAndMine(5);
+
+            const pending = await staking.getPendingReward(PID, user1.address, { blockTag: "pending" });
+            await expect(staking.connect(user1).claimReward(PID))
+                .to.emit(staking, "RewardClaimed")
+                .withArgs(user1.address, PID, pending);
+
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(pending);
+            expect(await metaNodeToken.totalSupply()).to.equal(INITIAL_SUPPLY + pending);
+            expect(await staking.totalRewardsMinted()).to.equal(pending);
+        });
+
+        it("先使用注入的奖励，不足部分铸造", async function () {
+            const funded = ethers.parseEther("2");
+            await metaNodeToken.approve(stakingAddress, funded);
+            await staking.fundRewards(funded);
+            await stakeAndMine(5);
+
+            const pending = await staking.getPendingReward(PID, user1.address, { blockTag: "pending" });
+            await staking.connect(user1).claimReward(PID);
+
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(pending);
+            expect(await metaNodeToken.balanceOf(stakingAddress)).to.equal(0);
+            expect(await staking.fundedRewardsPaid()).to.equal(funded);
+            expect(await staking.totalRewardsMinted()).to.equal(pending - funded);
+        });
+
+        it("达到最大供应量时部分支付，剩余奖励留到下次领取", async function () {
+            await stakeAndMine(9);
+            // 结算后其他铸造者用掉了大部分额度
+            await staking.updatePoolRewards(PID);
+            await metaNodeToken.mint(owner.address, MAX_SUPPLY - INITIAL_SUPPLY - ethers.parseEther("4"));
+
+            const pending = await staking.getPendingReward(PID, user1.address, { blockTag: "pending" });
+            const paid = ethers.parseEther("4");
+            await expect(staking.connect(user1).claimReward(PID))
+                .to.emit(staking, "RewardClaimed")
+                .withArgs(user1.address, PID, paid)
+                .and.to.emit(staking, "RewardCarriedOver")
+                .withArgs(user1.address, PID, pending - paid);
+
+            expect(await metaNodeToken.totalSupply()).to.equal(MAX_SUPPLY);
+            const user = await staking.users(PID, user1.address);
+            expect(user.finishedMetaNode).to.equal(paid);
+            expect(user.pendingMetaNode).to.equal(pending - paid);
+        });
+
+        it("无法铸造时不回滚，全部留到下次领取", async function () {
+            await stakeAndMine(3);
+            await staking.updatePoolRewards(PID);
+            await metaNodeToken.setMintingEnabled(false);
+
+            const pending = await staking.getPendingReward(PID, user1.address, { blockTag: "pending" });
+            await expect(staking.connect(user1).claimReward(PID))
+                .to.emit(staking, "RewardCarriedOver")
+                .withArgs(user1.address, PID, pending)
+                .and.not.to.emit(staking, "RewardClaimed");
+
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(0);
+            expect((await staking.users(PID, user1.address)).pendingMetaNode).to.equal(pending);
+        });
+
+        it("提高最大供应量后补发结转的奖励", async function () {
+            await stakeAndMine(9);
+            await staking.updatePoolRewards(PID);
+            await metaNodeToken.mint(owner.address, MAX_SUPPLY - INITIAL_SUPPLY - ethers.parseEther("4"));
+            await staking.connect(user1).claimReward(PID);
+
+            await metaNodeToken.updateMaxSupply(MAX_SUPPLY + ethers.parseEther("1000"));
+            const pending = await staking.getPendingReward(PID, user1.address, { blockTag: "pending" });
+            const balanceBefore = await metaNodeToken.balanceOf(user1.address);
+            await staking.connect(user1).claimReward(PID);
+
+            expect(await metaNodeToken.balanceOf(user1.address)).to.equal(balanceBefore + pending);
+            expect((await staking.users(PID, user1.address)).pendingMetaNode).to.equal(0);
+        });
+
+        it("奖励发放总量不超过最大供应量", async function () {
+            // 可铸造 100，每区块 1，200 个区块后所有奖励都已铸造
+            await stakeAndMine(200);
+
+            const pending = await staking.getPendingReward(PID, user1.address);
+            expect(pending).to.be.lte(MAX_SUPPLY - INITIAL_SUPPLY);
+            await staking.connect(user1).claimReward(PID);
+
+            expect(await metaNodeToken.totalSupply()).to.equal(INITIAL_SUPPLY + pending);
+            expect((await staking.users(PID, user1.address)).pendingMetaNode).to.equal(0);
+
+            await mine(10);
+            expect(await staking.getPendingReward(PID, user1.address)).to.equal(0);
+        });
+    });
+
+    describe("紧急提取", function () {
+        it("不能提取尚未支付的注入奖励", async function () {
+            const funded = ethers.parseEther("10");
+            await metaNodeToken.approve(stakingAddress, funded);
+            await staking.fundRewards(funded);
+            const extra = ethers.parseEther("5");
+            await metaNodeToken.transfer(stakingAddress, extra);
+
+            await expect(staking.emergencyWithdraw(await metaNodeToken.getAddress(), extra + 1n))
+                .to.be.revertedWithCustomError(staking, "InsufficientBalance")
+                .withArgs(extra, extra + 1n);
+            await expect(staking.emergencyWithdraw(await metaNodeToken.getAddress(), extra))
+                .to.changeTokenBalances(metaNodeToken, [owner, staking], [extra, -extra]);
+            expect(await metaNodeToken.balanceOf(stakingAddress)).to.equal(funded);
+        });
+    });
+});
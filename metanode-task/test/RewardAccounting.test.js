@@ -0,0 +1,236 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("奖励结算", function () {
+    let metaNodeToken, stakeToken, staking;
+    let owner, user1, user2, user3;
+
+    const REWARD_PER_BLOCK = ethers.parseEther("3");
+    const STAKE_AMOUNT = ethers.parseEther("100");
+    const MIN_DEPOSIT = ethers.parseEther("1");
+    const LOCK_BLOCKS = 5;
+    const ETH_PID = 1;
+    const ERC20_PID = 2;
+
+    beforeEach(async function () {
+        [owner, user1, user2, user3] = await ethers.getSigners();
+
+        const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken");
+        metaNodeToken = await MetaNodeToken.deploy("MetaNode Token", "METANODE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+        stakeToken = await MetaNodeToken.deploy("Stake Token", "STAKE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+
+        const MetaNodeStaking = await ethers.getContractFactory("MetaNodeStaking");
+        staking = await MetaNodeStaking.deploy(
+            await metaNodeToken.getAddress(),
+            REWARD_PER_BLOCK,
+            (await ethers.provider.getBlockNumber()) + 1
+        );
+        const stakingAddress = await staking.getAddress();
+
+        // ETH池与ERC20池权重 2:1
+        await staking.addPool(ethers.ZeroAddress, 200, MIN_DEPOSIT, LOCK_BLOCKS);
+        await staking.addPool(await stakeToken.getAddress(), 100, MIN_DEPOSIT, LOCK_BLOCKS);
+
+        await metaNodeToken.approve(stakingAddress, ethers.MaxUint256);
+        await staking.fundRewards(ethers.parseEther("100000"));
+        for (const user of [user1, user2, user3]) {
+            await stakeToken.transfer(user.address, STAKE_AMOUNT * 10n);
+            await stakeToken.connect(user).approve(stakingAddress, ethers.MaxUint256);
+        }
+    });
+
+    function flatSchedule(rewardPerBlock) {
+        return [{ endBlock: ethers.MaxUint256, rewardPerBlock, halvingInterval: 0 }];
+    }
+
+    async function blockOf(txPromise) {
+        return (await (await txPromise).wait()).blockNumber;
+    }
+
+    describe("rewardDebt", function () {
+        it("后加入的用户不能领取加入前产生的奖励", async function () {
+            const firstStake = await blockOf(staking.connect(user1).stake(ERC20_PID, STAKE_AMOUNT));
+            await mine(9);
+            const secondStake = await blockOf(staking.connect(user2).stake(ERC20_PID, STAKE_AMOUNT));
+            await mine(9);
+
+            const perBlock = REWARD_PER_BLOCK / 3n;
+            const current = await ethers.provider.getBlockNumber();
+            const shared = BigInt(current - secondStake) * perBlock / 2n;
+
+            expect(await staking.getPendingReward(ERC20_PID, user2.address)).to.equal(shared);
+            expect(await staking.getPendingReward(ERC20_PID, user1.address))
+                .to.equal(BigInt(secondStake - firstStake) * perBlock + shared);
+        });
+
+        it("getPendingReward与同一区块claimReward领取的数量一致", async function () {
+            await staking.connect(user1).stake(ERC20_PID, STAKE_AMOUNT);
+            await mine(3);
+            await staking.connect(user2).stake(ERC20_PID, STAKE_AMOUNT * 3n);
+            await mine(5);
+            await staking.connect(user1).requestUnstake(ERC20_PID, STAKE_AMOUNT / 2n);
+            await mine(2);
+
+            for (const user of [user1, user2]) {
+                // pending 区块即 claimReward 所在的区块
+                const pending = await staking.getPendingReward(ERC20_PID, user.address, { blockTag: "pending" });
+                await expect(staking.connect(user).claimReward(ERC20_PID))
+                    .to.emit(staking, "RewardClaimed")
+                    .withArgs(user.address, ERC20_PID, pending);
+                expect((await staking.users(ERC20_PID, user.address)).finishedMetaNode).to.equal(pending);
+                expect(await staking.getPendingReward(ERC20_PID, user.address)).to.equal(0);
+            }
+        });
+
+        it("领取后继续从领取区块开始累积", async function () {
+            await staking.connect(user1).stake(ERC20_PID, STAKE_AMOUNT);
+            await mine(4);
+            const claimBlock = await blockOf(staking.connect(user1).claimReward(ERC20_PID));
+            await mine(6);
+
+            const elapsed = BigInt((await ethers.provider.getBlockNumber()) - claimBlock);
+            expect(await staking.getPendingReward(ERC20_PID, user1.address)).to.equal(elapsed * REWARD_PER_BLOCK / 3n);
+        });
+    });
+
+    describe("修改权重和速率", function () {
+        beforeEach(async function () {
+            await staking.connect(user1).depositETH(ETH_PID, { value: STAKE_AMOUNT });
+            await staking.connect(user2).stake(ERC20_PID, STAKE_AMOUNT);
+        });
+
+        it("修改奖励速率前已产生的奖励按旧速率结算", async function () {
+            const before = await ethers.provider.getBlockNumber();
+            const pendingBefore = await staking.getPendingReward(ERC20_PID, user2.address);
+            await mine(4);
+
+            const changeBlock = await blockOf(staking.setEmissionSchedule(flatSchedule(REWARD_PER_BLOCK * 10n)));
+            await mine(3);
+
+            const after = await ethers.provider.getBlockNumber();
+            const expected = pendingBefore
+                + BigInt(changeBlock - before) * REWARD_PER_BLOCK / 3n
+                + BigInt(after - changeBlock) * REWARD_PER_BLOCK * 10n / 3n;
+            expect(await staking.getPendingReward(ERC20_PID, user2.address)).to.equal(expected);
+        });
+
+        it("修改池权重前已产生的奖励按旧权重结算", async function () {
+            const before = await ethers.provider.getBlockNumber();
+            const pendingBefore = await staking.getPendingReward(ETH_PID, user1.address);
+            await mine(4);
+
+            // ERC20池权重改为200后两池各占一半
+            const changeBlock = await blockOf(staking.updatePool(ERC20_PID, 200, MIN_DEPOSIT, LOCK_BLOCKS));
+            await mine(3);
+
+            const after = await ethers.provider.getBlockNumber();
+            const expected = pendingBefore
+                + BigInt(changeBlock - before) * REWARD_PER_BLOCK * 2n / 3n
+                + BigInt(after - changeBlock) * REWARD_PER_BLOCK / 2n;
+            expect(await staking.getPendingReward(ETH_PID, user1.address)).to.equal(expected);
+        });
+
+        it("添加新池前按旧总权重结算所有池", async function () {
+            await expect(staking.addPool(await metaNodeToken.getAddress(), 300, MIN_DEPOSIT, LOCK_BLOCKS))
+                .to.emit(staking, "PoolRewardsUpdated")
+                .and.to.emit(staking, "PoolAdded");
+
+            const block = await ethers.provider.getBlockNumber();
+            expect((await staking.pools(ETH_PID)).lastRewardBlock).to.equal(block);
+            expect((await staking.pools(ERC20_PID)).lastRewardBlock).to.equal(block);
+        });
+
+        it("massUpdatePools把所有池结算到当前区块", async function () {
+            await mine(5);
+            await staking.massUpdatePools();
+
+            const block = await ethers.provider.getBlockNumber();
+            for (const pid of [ETH_PID, ERC20_PID]) {
+                expect((await staking.pools(pid)).lastRewardBlock).to.equal(block);
+            }
+        });
+
+        it("不存在的池不能结算", async function () {
+            await expect(staking.updatePoolRewards(99))
+                .to.be.revertedWithCustomError(staking, "PoolNotExists")
+                .withArgs(99);
+        });
+    });
+
+    describe("随机操作后的总量守恒", function () {
+        // 固定种子的线性同余生成器，保证测试可复现
+        let seed = 20240801n;
+        function random(max) {
+            seed = (seed * 6364136223846793005n + 1442695040888963407n) % 2n ** 64n;
+            return (seed >> 16n) % max;
+        }
+
+        it("已领取和待领取奖励之和等于区块数乘以每区块奖励", async function () {
+            // owner在两个池都保留质押，保证每个区块的奖励都有人领取
+            await staking.depositETH(ETH_PID, { value: MIN_DEPOSIT });
+            await stakeToken.approve(await staking.getAddress(), ethers.MaxUint256);
+            await staking.stake(ERC20_PID, MIN_DEPOSIT);
+
+            const accounts = [owner, user1, user2, user3];
+            const pids = [ETH_PID, ERC20_PID];
+
+            async function totalRewards() {
+                let total = 0n;
+                for (const pid of pids) {
+                    for (const account of accounts) {
+                        total += (await staking.users(pid, account.address)).finishedMetaNode;
+                        total += await staking.getPendingReward(pid, account.address);
+                    }
+                }
+                return total;
+            }
+
+            let rate = REWARD_PER_BLOCK;
+            let lastBlock = await ethers.provider.getBlockNumber();
+            let emitted = await totalRewards();
+            let operations = 0n;
+
+            for (let i = 0; i < 80; i++) {
+                const action = random(7n);
+                const user = accounts[1 + Number(random(3n))];
+                const pid = pids[Number(random(2n))];
+                const amount = MIN_DEPOSIT * (random(50n) + 1n);
+
+                if (action === 0n) {
+                    if (pid === ETH_PID) {
+                        await staking.connect(user).depositETH(pid, { value: amount });
+                    } else {
+                        await staking.connect(user).stake(pid, amount);
+                    }
+                } else if (action === 1n) {
+                    const { stAmount } = await staking.users(pid, user.address);
+                    if (stAmount === 0n) continue;
+                    await staking.connect(user).requestUnstake(pid, stAmount * (random(100n) + 1n) / 100n);
+                } else if (action === 2n) {
+                    if (await staking.getPendingReward(pid, user.address, { blockTag: "pending" }) === 0n) continue;
+                    await staking.connect(user).claimReward(pid);
+                } else if (action === 3n) {
+                    await staking.updatePool(pid, 10n + random(300n), MIN_DEPOSIT, LOCK_BLOCKS);
+                } else if (action === 4n) {
+                    const newRate = ethers.parseEther("1") * (random(10n) + 1n) + random(1000n);
+                    const changeBlock = await blockOf(staking.setEmissionSchedule(flatSchedule(newRate)));
+                    emitted += BigInt(changeBlock - lastBlock) * rate;
+                    lastBlock = changeBlock;
+                    rate = newRate;
+                } else {
+                    await mine(Number(random(20n)) + 1);
+                }
+                operations++;
+            }
+
+            const currentBlock = await ethers.provider.getBlockNumber();
+            emitted += BigInt(currentBlock - lastBlock) * rate;
+
+            // 每次结算按权重分配和计算每份额奖励时向下取整，允许少量wei的误差
+            const total = await totalRewards();
+            expect(total).to.be.lte(emitted);
+            expect(emitted - total).to.be.lte(operations * 100n);
+        });
+    });
+});
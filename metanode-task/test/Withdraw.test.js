@@ -0,0 +1,163 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { mine } = require("@nomicfoundation/hardhat-network-helpers");
+
+describe("提取解质押", function () {
+    let metaNodeToken, stakeToken, staking;
+    let owner, user1;
+    let stakingAddress;
+
+    const STAKE_AMOUNT = ethers.parseEther("100");
+    const MIN_DEPOSIT = ethers.parseEther("1");
+    const LOCK_BLOCKS = 10;
+    const ETH_PID = 1;
+    const ERC20_PID = 2;
+
+    beforeEach(async function () {
+        [owner, user1] = await ethers.getSigners();
+
+        const MetaNodeToken = await ethers.getContractFactory("MetaNodeToken");
+        metaNodeToken = await MetaNodeToken.deploy("MetaNode Token", "METANODE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+        stakeToken = await MetaNodeToken.deploy("Stake Token", "STAKE", ethers.parseEther("1000000"), ethers.parseEther("10000000"));
+
+        const MetaNodeStaking = await ethers.getContractFactory("MetaNodeStaking");
+        staking = await MetaNodeStaking.deploy(
+            await metaNodeToken.getAddress(),
+            ethers.parseEther("1"),
+            (await ethers.provider.getBlockNumber()) + 1
+        );
+        stakingAddress = await staking.getAddress();
+
+        await staking.addPool(ethers.ZeroAddress, 100, MIN_DEPOSIT, LOCK_BLOCKS);
+        await staking.addPool(await stakeToken.getAddress(), 100, MIN_DEPOSIT, LOCK_BLOCKS);
+
+        await stakeToken.transfer(user1.address, STAKE_AMOUNT);
+        await stakeToken.connect(user1).approve(stakingAddress, ethers.MaxUint256);
+        await staking.connect(user1).stake(ERC20_PID, STAKE_AMOUNT);
+    });
+
+    function requestUnstake(amount, pid = ERC20_PID) {
+        return staking.connect(user1).requestUnstake(pid, amount);
+    }
+
+    async function amounts(pid = ERC20_PID) {
+        return [
+            await staking.withdrawableAmount(pid, user1.address),
+            await staking.pendingWithdrawAmount(pid, user1.address)
+        ];
+    }
+
+    describe("withdrawableAmount / pendingWithdrawAmount", function () {
+        it("按是否过锁定期分别统计未处理的请求", async function () {
+            await requestUnstake(ethers.parseEther("10"));
+            await mine(5);
+            await requestUnstake(ethers.parseEther("20"));
+            expect(await amounts()).to.deep.equal([0n, ethers.parseEther("30")]);
+
+            await mine(4);
+            expect(await amounts()).to.deep.equal([ethers.parseEther("10"), ethers.parseEther("20")]);
+
+            await mine(10);
+            expect(await amounts()).to.deep.equal([ethers.parseEther("30"), 0n]);
+        });
+
+        it("已处理的请求不再计入", async function () {
+            await requestUnstake(ethers.parseEther("10"));
+            await mine(LOCK_BLOCKS);
+            await staking.connect(user1).withdrawAll(ERC20_PID);
+
+            expect(await amounts()).to.deep.equal([0n, 0n]);
+        });
+    });
+
+    describe("withdrawAll", function () {
+        it("一次提取所有已过锁定期的请求，未到期的保留", async function () {
+            await requestUnstake(ethers.parseEther("10"));
+            await requestUnstake(ethers.parseEther("20"));
+            await mine(LOCK_BLOCKS - 1);
+            await requestUnstake(ethers.parseEther("30"));
+
+            const [firstId, secondId] = await staking.getUserRequestIds(ERC20_PID, user1.address);
+            const tx = staking.connect(user1).withdrawAll(ERC20_PID);
+            await expect(tx).to.changeTokenBalances(stakeToken, [user1, staking], [ethers.parseEther("30"), -ethers.parseEther("30")]);
+            await expect(tx).to.emit(staking, "UnstakeProcessed").withArgs(user1.address, ERC20_PID, ethers.parseEther("10"), firstId);
+            await expect(tx).to.emit(staking, "UnstakeProcessed").withArgs(user1.address, ERC20_PID, ethers.parseEther("20"), secondId);
+
+            expect(await amounts()).to.deep.equal([0n, ethers.parseEther("30")]);
+        });
+
+        it("没有可提取的请求时回滚", async function () {
+            await expect(staking.connect(user1).withdrawAll(ERC20_PID))
+                .to.be.revertedWithCustomError(staking, "NothingToWithdraw")
+                .withArgs(user1.address, ERC20_PID);
+
+            await requestUnstake(ethers.parseEther("10"));
+            await expect(staking.connect(user1).withdrawAll(ERC20_PID))
+                .to.be.revertedWithCustomError(staking, "NothingToWithdraw");
+        });
+
+        it("锁定期缩短后，后发起的请求先到期也能提取", async function () {
+            await requestUnstake(ethers.parseEther("10"));
+            await staking.updatePool(ERC20_PID, 100, MIN_DEPOSIT, 1);
+            await requestUnstake(ethers.parseEther("20"));
+            await mine(1);
+
+            await expect(staking.connect(user1).withdrawAll(ERC20_PID))
+                .to.changeTokenBalance(stakeToken, user1, ethers.parseEther("20"));
+
+            const requests = await staking.getUserRequests(ERC20_PID, user1.address);
+            expect(requests.length).to.equal(2);
+            expect(requests[0].processed).to.be.false;
+            expect(requests[1].processed).to.be.true;
+        });
+
+        it("原生币池提取ETH", async function () {
+            await staking.connect(user1).depositETH(ETH_PID, { value: MIN_DEPOSIT * 3n });
+            await requestUnstake(MIN_DEPOSIT, ETH_PID);
+            await requestUnstake(MIN_DEPOSIT * 2n, ETH_PID);
+            await mine(LOCK_BLOCKS);
+
+            await expect(staking.connect(user1).withdrawAll(ETH_PID))
+                .to.changeEtherBalances([user1, staking], [MIN_DEPOSIT * 3n, -MIN_DEPOSIT * 3n]);
+        });
+    });
+
+    describe("请求队列", function () {
+        it("处理队首请求后移出队列，已处理的请求不能再次处理", async function () {
+            await requestUnstake(ethers.parseEther("10"));
+            await requestUnstake(ethers.parseEther("20"));
+            const [firstId, secondId] = await staking.getUserRequestIds(ERC20_PID, user1.address);
+            await mine(LOCK_BLOCKS);
+
+            await staking.connect(user1).processUnstake(ERC20_PID, firstId);
+            expect(await staking.getUserRequestIds(ERC20_PID, user1.address)).to.deep.equal([secondId]);
+            expect((await staking.users(ERC20_PID, user1.address)).requestHead).to.equal(1);
+
+            await expect(staking.connect(user1).processUnstake(ERC20_PID, firstId))
+                .to.be.revertedWithCustomError(staking, "AlreadyProcessed");
+        });
+
+        it("全部处理后清空队列", async function () {
+            await requestUnstake(ethers.parseEther("10"));
+            await requestUnstake(ethers.parseEther("20"));
+            await mine(LOCK_BLOCKS);
+            await staking.connect(user1).withdrawAll(ERC20_PID);
+
+            expect(await staking.getUserRequests(ERC20_PID, user1.address)).to.deep.equal([]);
+            expect((await staking.users(ERC20_PID, user1.address)).requestHead).to.equal(0);
+        });
+
+        it("长期多次解质押后提取的gas不随历史请求数增长", async function () {
+            const gasUsed = [];
+            for (let i = 0; i < 15; i++) {
+                await requestUnstake(ethers.parseEther("1"));
+                await requestUnstake(ethers.parseEther("1"));
+                await mine(LOCK_BLOCKS);
+                const receipt = await (await staking.connect(user1).withdrawAll(ERC20_PID)).wait();
+                gasUsed.push(receipt.gasUsed);
+            }
+
+            expect(gasUsed[gasUsed.length - 1]).to.equal(gasUsed[1]);
+        });
+    });
+});